@@ -30,937 +30,8839 @@ window.useMock = window.useMock || (
   )
 );
 
+/**
+ * Overtime rules used when no `overtimeRules` are stored in
+ * `settings/config`. A threshold of 0 disables that rule. The defaults
+ * implement the federal rule of overtime after 40 hours in a workweek.
+ */
+const DEFAULT_OVERTIME_RULES = {
+  weeklyOvertimeThreshold: 40,
+  dailyOvertimeThreshold: 0,
+  dailyDoubleTimeThreshold: 0,
+  overtimeMultiplier: 1.5,
+  doubleTimeMultiplier: 2,
+  seventhDayRule: false,
+  seventhDayDoubleTimeThreshold: 8,
+  workweekStartDay: 0 // 0 = Sunday … 6 = Saturday
+};
+
+/**
+ * Directions in which punch times can be rounded, and their labels.
+ */
+const ROUNDING_MODES = {
+  nearest: 'To the nearest increment',
+  up: 'Up',
+  down: 'Down'
+};
+
+/**
+ * Time rounding used before the first entry of `roundingRuleSchedules`.
+ * Punches are rounded to `increment` minutes of wall clock time (0 = not
+ * rounded), in and out separately. Rounding to the nearest 15 minutes
+ * implements the 7-minute rule. Raw punches are always stored; rounding
+ * only applies when hours are calculated.
+ */
+const DEFAULT_ROUNDING_RULES = {
+  increment: 0,
+  inMode: 'nearest',
+  outMode: 'nearest'
+};
+
+/**
+ * Supported pay period frequencies and their display labels.
+ */
+const PAY_PERIOD_FREQUENCIES = {
+  weekly: 'Weekly',
+  biweekly: 'Bi-weekly',
+  semimonthly: 'Semi-monthly (1st–15th, 16th–end)',
+  monthly: 'Monthly'
+};
+
+/**
+ * Pay period schedule used when `settings/config` holds neither a schedule
+ * nor a legacy `payPeriodStart` date.
+ */
+const DEFAULT_PAY_PERIOD_SCHEDULE = { frequency: 'biweekly', effectiveFrom: '2024-01-01' };
+
+/**
+ * Session and sign in limits used when `settings/security` holds none. A
+ * value of 0 disables that limit. Failed logins lock the account for
+ * `lockoutMinutes`, doubling with each further lockout. firestore.rules
+ * repeats the lockout defaults to check lockouts.
+ */
+const DEFAULT_SECURITY_SETTINGS = {
+  sessionLifetimeHours: 12,
+  idleTimeoutMinutes: 15,
+  idleWarningSeconds: 60,
+  maxFailedLogins: 5,
+  lockoutMinutes: 15
+};
+
+/**
+ * Grace periods of the schedule variance report, used when
+ * `settings/config` holds no `scheduleSettings`. Punching in up to
+ * `lateGraceMinutes` after a scheduled start, or out up to
+ * `earlyGraceMinutes` before a scheduled end, is not flagged.
+ */
+const DEFAULT_SCHEDULE_SETTINGS = {
+  lateGraceMinutes: 5,
+  earlyGraceMinutes: 5
+};
+
+/**
+ * Kinds of paid time off and their display labels.
+ */
+const PTO_TYPES = {
+  vacation: 'Vacation',
+  sick: 'Sick'
+};
+
+/**
+ * Paid time off accrual policy used when `settings/config` holds no
+ * `ptoPolicy`. With the 'perHour' method each type accrues its rate for
+ * every hour worked; with 'perPeriod' it accrues its rate in hours once per
+ * completed pay period. A maximum balance of 0 means no cap. The default
+ * rates give about 80 hours of vacation a year at full time and one hour of
+ * sick leave per 30 hours worked.
+ */
+const DEFAULT_PTO_POLICY = {
+  accrualMethod: 'perHour',
+  accrualRates: { vacation: 0.0385, sick: 0.0333 },
+  maxBalances: { vacation: 0, sick: 0 }
+};
+
+/**
+ * Highlighting on the live "on the clock" board, used when
+ * `settings/config` holds no `liveBoardSettings`. Employees within
+ * `overtimeWarningHours` of the daily or weekly overtime threshold, and
+ * open shifts running for `longShiftHours` or more, are highlighted. A
+ * value of 0 disables that highlight.
+ */
+const DEFAULT_LIVE_BOARD_SETTINGS = {
+  overtimeWarningHours: 2,
+  longShiftHours: 10
+};
+
+/**
+ * Ways an open shift can be closed automatically, and their labels.
+ */
+const AUTO_CLOCK_OUT_MODES = {
+  off: 'Off',
+  afterHours: 'After a number of hours',
+  cutoff: 'At a fixed time of day'
+};
+
+/**
+ * Auto clock-out policy used when `settings/config` holds no
+ * `autoClockOutPolicy`. With 'afterHours' a shift still open
+ * `maxShiftHours` after it started is closed at that point; with 'cutoff'
+ * it is closed at `cutoffTime` (HH:MM in the employee's time zone) on the
+ * day it started, or the next day for shifts started after the cutoff.
+ */
+const DEFAULT_AUTO_CLOCK_OUT_POLICY = {
+  mode: 'off',
+  maxShiftHours: 12,
+  cutoffTime: '23:59'
+};
+
 // Global variables for database access and pay period tracking
 let db = null;
-let payPeriodStartDate = null; // stored as ISO date string (YYYY‑MM‑DD)
+// Firebase Auth instance (or MockAuth when running against the mock)
+let auth = null;
+// Pay period schedules sorted by `effectiveFrom` (ISO date strings). Each
+// entry applies from its effective date until the next one starts, so
+// changing the frequency never moves periods that have already begun.
+let payPeriodSchedules = [{ ...DEFAULT_PAY_PERIOD_SCHEDULE }];
+let overtimeRules = { ...DEFAULT_OVERTIME_RULES };
+// Rounding rules sorted by `effectiveFrom`, each applying to shifts from
+// its effective date until the next one starts, so that changing them never
+// alters approved periods. See getRoundingRules.
+let roundingRuleSchedules = [];
+// Per-format payroll export settings (employee identifiers, column
+// mappings), keyed by exporter ID. See registerPayrollExporter.
+let exportSettings = {};
+let securitySettings = { ...DEFAULT_SECURITY_SETTINGS };
+let scheduleSettings = { ...DEFAULT_SCHEDULE_SETTINGS };
+let ptoPolicy = { ...DEFAULT_PTO_POLICY };
+let liveBoardSettings = { ...DEFAULT_LIVE_BOARD_SETTINGS };
+let autoClockOutPolicy = { ...DEFAULT_AUTO_CLOCK_OUT_POLICY };
+// IANA time zone of the organisation (e.g. 'America/Chicago'), used for day
+// boundaries and display. Empty means the browser's zone. Employees may
+// have their own `timeZone` on their user document; see getUserTimeZone.
+let organisationTimeZone = '';
+// Username of the signed in user, recorded as the actor in the audit log
+let currentUser = null;
+// Verified identity of the signed in user ({username, role, userData}, see
+// getVerifiedUser), used for permission checks; see can
+let currentIdentity = null;
+// Counts dashboard renders so that only the latest of several overlapping
+// ones is shown; see renderEmployeeDashboard
+let dashboardGeneration = 0;
 
 /**
- * An in‑memory mock implementation of a subset of the Firebase Firestore API.
- * Only the methods used by this application are implemented. Data is stored
- * in plain JavaScript objects. When running the app with `window.useMock`
- * set to `true`, all reads and writes occur against this mock instead of
- * Firebase.
+ * Domain of the pseudo email addresses used for Firebase Auth accounts.
+ * Employees sign in with a username; the Auth account for `alice` is
+ * `alice@timekeeper.local`. The part before the @ is the ID of the user's
+ * document in the `users` collection.
  */
-class MockFirestore {
-  constructor() {
-    this.collections = {};
+const AUTH_EMAIL_DOMAIN = 'timekeeper.local';
+
+/**
+ * Deep copy a JSON-compatible value. Documents in the mock store are always
+ * copied on the way in and out so callers can never mutate stored data.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read a possibly dotted field path ('a.b.c') from a document.
+ *
+ * @param {object} data
+ * @param {string} path
+ * @returns {*}
+ */
+function getFieldValue(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Mock of a Firestore DocumentSnapshot.
+ */
+class MockDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
   }
-  collection(name) {
-    if (!this.collections[name]) {
-      this.collections[name] = {};
+  data() {
+    return cloneData(this._data);
+  }
+  get(field) {
+    return cloneData(getFieldValue(this._data || {}, field));
+  }
+}
+
+/**
+ * Mock of a Firestore QuerySnapshot.
+ */
+class MockQuerySnapshot {
+  constructor(docs, changes = []) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+    this._changes = changes;
+  }
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+  docChanges() {
+    return this._changes;
+  }
+}
+
+/**
+ * Mock of a Firestore DocumentReference.
+ */
+class MockDocumentReference {
+  constructor(store, collectionName, id) {
+    this._store = store;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+    this._collection = collectionName;
+  }
+  async get() {
+    return this._snapshot();
+  }
+  async set(newData, options = {}) {
+    this._store._commit([{ type: 'set', ref: this, data: newData, options }]);
+  }
+  async update(updateData) {
+    this._store._commit([{ type: 'update', ref: this, data: updateData }]);
+  }
+  async delete() {
+    this._store._commit([{ type: 'delete', ref: this }]);
+  }
+  /**
+   * Listen for changes to this document. The callback runs once with the
+   * current state and then after every write that touches the document.
+   * Returns a function that stops listening.
+   */
+  onSnapshot(callback) {
+    let last;
+    return this._store._listen(() => {
+      const snapshot = this._snapshot();
+      const json = JSON.stringify(snapshot._data);
+      if (json !== last) {
+        last = json;
+        callback(snapshot);
+      }
+    });
+  }
+  _snapshot() {
+    return new MockDocumentSnapshot(this, cloneData(this._store._read(this._collection)[this.id]));
+  }
+}
+
+/**
+ * Mock of a Firestore Query. Supports `where` with the comparison, `in`,
+ * `not-in` and array operators, `orderBy`, `limit`, `limitToLast`, `get`
+ * and `onSnapshot`. Queries are immutable: every builder method returns a
+ * new query.
+ */
+class MockQuery {
+  constructor(store, collectionName, filters = [], orders = [], limitCount = null, limitToLast = false) {
+    this._store = store;
+    this._collection = collectionName;
+    this._filters = filters;
+    this._orders = orders;
+    this._limit = limitCount;
+    this._limitToLast = limitToLast;
+  }
+  where(field, op, value) {
+    const ops = ['==', '!=', '<', '<=', '>', '>=', 'in', 'not-in', 'array-contains', 'array-contains-any'];
+    if (!ops.includes(op)) {
+      throw new Error(`Unsupported query operator: ${op}`);
     }
-    const collectionData = this.collections[name];
-    return {
-      doc: (id) => {
-        return {
-          async get() {
-            const data = collectionData[id];
-            return {
-              exists: !!data,
-              data: () => (data ? { ...data } : undefined),
-              id
-            };
-          },
-          async set(newData) {
-            collectionData[id] = { ...newData };
-          },
-          async update(updateData) {
-            if (!collectionData[id]) {
-              throw new Error(`Document ${id} does not exist`);
-            }
-            collectionData[id] = { ...collectionData[id], ...updateData };
-          },
-          async delete() {
-            delete collectionData[id];
+    return new MockQuery(this._store, this._collection, [...this._filters, { field, op, value }], this._orders, this._limit, this._limitToLast);
+  }
+  orderBy(field, direction = 'asc') {
+    return new MockQuery(this._store, this._collection, this._filters, [...this._orders, { field, direction }], this._limit, this._limitToLast);
+  }
+  limit(count) {
+    return new MockQuery(this._store, this._collection, this._filters, this._orders, count, false);
+  }
+  limitToLast(count) {
+    return new MockQuery(this._store, this._collection, this._filters, this._orders, count, true);
+  }
+  async get() {
+    return new MockQuerySnapshot(this._run());
+  }
+  /**
+   * Listen for changes to the query results. The callback runs once with
+   * the current results and then whenever they change; `docChanges()` on
+   * the snapshot lists what was added, modified or removed. Returns a
+   * function that stops listening.
+   */
+  onSnapshot(callback) {
+    let previous = null;
+    return this._store._listen(() => {
+      const docs = this._run();
+      const current = {};
+      docs.forEach((doc) => { current[doc.id] = JSON.stringify(doc._data); });
+      const changes = [];
+      docs.forEach((doc, newIndex) => {
+        if (!previous || !(doc.id in previous)) {
+          changes.push({ type: 'added', doc, newIndex, oldIndex: -1 });
+        } else if (previous[doc.id] !== current[doc.id]) {
+          changes.push({ type: 'modified', doc, newIndex, oldIndex: newIndex });
+        }
+      });
+      if (previous) {
+        Object.keys(previous).forEach((id) => {
+          if (!(id in current)) {
+            const ref = new MockDocumentReference(this._store, this._collection, id);
+            changes.push({ type: 'removed', doc: new MockDocumentSnapshot(ref, JSON.parse(previous[id])), newIndex: -1, oldIndex: -1 });
           }
-        };
-      },
-      async get() {
-        // Return all documents in this collection
-        const docs = Object.keys(collectionData).map((docId) => {
-          return {
-            id: docId,
-            data: () => ({ ...collectionData[docId] })
-          };
         });
-        return { docs };
-      },
-      where: (field, op, value) => {
-        return {
-          async get() {
-            const result = [];
-            Object.keys(collectionData).forEach((docId) => {
-              const doc = collectionData[docId];
-              const fieldVal = doc[field];
-              let match = false;
-              if (op === '==') {
-                match = fieldVal === value;
-              }
-              if (match) {
-                result.push({ id: docId, data: () => ({ ...doc }) });
-              }
-            });
-            return { docs: result };
-          }
-        };
       }
-    };
+      if (previous === null || changes.length > 0) {
+        previous = current;
+        callback(new MockQuerySnapshot(docs, changes));
+      }
+    });
+  }
+  _matches(data) {
+    return this._filters.every(({ field, op, value }) => {
+      const fieldVal = getFieldValue(data, field);
+      switch (op) {
+        case '==': return JSON.stringify(fieldVal) === JSON.stringify(value);
+        case '!=': return fieldVal !== undefined && JSON.stringify(fieldVal) !== JSON.stringify(value);
+        case '<': return fieldVal !== undefined && fieldVal < value;
+        case '<=': return fieldVal !== undefined && fieldVal <= value;
+        case '>': return fieldVal !== undefined && fieldVal > value;
+        case '>=': return fieldVal !== undefined && fieldVal >= value;
+        case 'in': return value.some((v) => JSON.stringify(v) === JSON.stringify(fieldVal));
+        case 'not-in': return fieldVal !== undefined && !value.some((v) => JSON.stringify(v) === JSON.stringify(fieldVal));
+        case 'array-contains': return Array.isArray(fieldVal) && fieldVal.some((v) => JSON.stringify(v) === JSON.stringify(value));
+        case 'array-contains-any': return Array.isArray(fieldVal) && fieldVal.some((v) => value.some((w) => JSON.stringify(v) === JSON.stringify(w)));
+        default: return false;
+      }
+    });
+  }
+  _run() {
+    const collectionData = this._store._read(this._collection);
+    let ids = Object.keys(collectionData).filter((id) => this._matches(collectionData[id]));
+    // Like Firestore, ordering by a field leaves out documents without it
+    this._orders.forEach(({ field }) => {
+      ids = ids.filter((id) => getFieldValue(collectionData[id], field) !== undefined);
+    });
+    ids.sort((a, b) => {
+      for (const { field, direction } of this._orders) {
+        const x = getFieldValue(collectionData[a], field);
+        const y = getFieldValue(collectionData[b], field);
+        if (x < y) return direction === 'desc' ? 1 : -1;
+        if (x > y) return direction === 'desc' ? -1 : 1;
+      }
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+    if (this._limit !== null) {
+      ids = this._limitToLast ? ids.slice(-this._limit) : ids.slice(0, this._limit);
+    }
+    return ids.map((id) => new MockDocumentReference(this._store, this._collection, id)._snapshot());
   }
 }
 
 /**
- * Initialise the Firestore connection. If `window.useMock` is true then
- * initialise an in‑memory database instead. On real Firebase, this will
- * initialise a new app instance using the configuration provided via
- * firebaseConfig.js.
+ * Mock of a Firestore CollectionReference.
  */
-async function initDatabase() {
-  if (window.useMock) {
-    db = new MockFirestore();
-    // Populate mock data with default settings and a few users. We compute
-    // password hashes on the fly using the same hashPassword function used
-    // during login. This ensures parity between mock and real modes.
-    const adminHash = await hashPassword('admin');
-    const aliceHash = await hashPassword('password1');
-    const bobHash = await hashPassword('password2');
-    // Settings
-    db.collection('settings').doc('config').set({ payPeriodStart: getISODateString(new Date()) });
-    // Users
-    db.collection('users').doc('admin').set({
-      username: 'admin',
-      role: 'admin',
-      hourlyRate: 0,
-      passwordHash: adminHash
-    });
-    db.collection('users').doc('alice').set({
-      username: 'alice',
-      role: 'employee',
-      hourlyRate: 20,
-      passwordHash: aliceHash
-    });
-    db.collection('users').doc('bob').set({
-      username: 'bob',
-      role: 'employee',
-      hourlyRate: 22,
-      passwordHash: bobHash
-    });
-    // Example shift for demonstration. Alice worked 8 hours yesterday.
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yDate = getISODateString(yesterday);
-    const docId = `alice_${yDate}`;
-    db.collection('shifts').doc(docId).set({
-      username: 'alice',
-      date: yDate,
-      timeIn: `${yDate}T09:00`,
-      timeOut: `${yDate}T17:00`,
-      adjTimeIn: '',
-      adjTimeOut: ''
-    });
-  } else {
-    // Initialise Firebase
-    firebase.initializeApp(firebaseConfig);
-    db = firebase.firestore();
+class MockCollectionReference extends MockQuery {
+  constructor(store, name) {
+    super(store, name);
+    this.id = name;
   }
-  // Load the pay period start date into a global variable
-  const settingsDoc = await db.collection('settings').doc('config').get();
-  if (settingsDoc.exists) {
-    const data = settingsDoc.data();
-    payPeriodStartDate = data.payPeriodStart;
+  doc(id) {
+    return new MockDocumentReference(this._store, this._collection, id || MockFirestore.autoId());
+  }
+  async add(newData) {
+    const ref = this.doc();
+    await ref.set(newData);
+    return ref;
   }
 }
 
 /**
- * Compute the SHA‑256 hash of the provided password and return a hex
- * representation. This function is used both for login validation and for
- * generating hashes in the mock data initialisation. It relies on the Web
- * Crypto API which is supported in modern browsers.
- *
- * @param {string} password
- * @returns {Promise<string>} hex encoded hash
+ * Mock of a Firestore WriteBatch. Writes are applied together on commit.
  */
-async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
-  return hashHex;
+class MockWriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+  set(ref, data, options = {}) {
+    this._writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+  update(ref, data) {
+    this._writes.push({ type: 'update', ref, data });
+    return this;
+  }
+  delete(ref) {
+    this._writes.push({ type: 'delete', ref });
+    return this;
+  }
+  async commit() {
+    this._store._commit(this._writes);
+  }
 }
 
 /**
- * Return today's date as an ISO string (YYYY-MM-DD). This helper strips the
- * time component, making it useful for shift document keys and date
- * comparison.
- *
- * @param {Date} date Optional date object; defaults to current date
- * @returns {string} ISO date string
+ * Mock of a Firestore Transaction. Reads happen immediately; writes are
+ * buffered and applied together when the transaction function resolves.
  */
-function getISODateString(date = new Date()) {
-  const tzOffset = date.getTimezoneOffset() * 60000;
-  const localDate = new Date(date.getTime() - tzOffset);
-  return localDate.toISOString().split('T')[0];
+class MockTransaction extends MockWriteBatch {
+  constructor(store) {
+    super(store);
+    this._readVersions = {};
+  }
+  async get(ref) {
+    this._readVersions[ref.path] = this._store._versions[ref.path] || 0;
+    return ref._snapshot();
+  }
 }
 
 /**
- * Retrieve the current session from localStorage. Returns null if no
- * session is stored.
+ * A mock implementation of the Firebase Firestore API (compat flavour) for
+ * offline development and testing. It supports documents, collections and
+ * queries (`where`, `orderBy`, `limit`), batched writes, transactions and
+ * `onSnapshot` listeners, so features built against Firestore behave the
+ * same in mock mode. Data is persisted to localStorage, so it survives page
+ * reloads and is shared between tabs; listeners in other tabs are notified
+ * of changes. When running the app with `window.useMock` set to `true`,
+ * all reads and writes occur against this mock instead of Firebase.
  */
-function getSession() {
-  const json = localStorage.getItem('session');
-  if (!json) return null;
-  try {
-    return JSON.parse(json);
-  } catch (e) {
-    return null;
+class MockFirestore {
+  constructor(storageKey = 'mockFirestore') {
+    this._storageKey = storageKey;
+    this._versions = {};
+    this._listeners = new Set();
+    this.collections = this._load();
+    // Pick up writes made in other tabs
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', (event) => {
+        if (event.key === this._storageKey) {
+          this.collections = this._load();
+          this._notify();
+        }
+      });
+    }
+  }
+  /**
+   * Generate a random 20 character document ID like Firestore does.
+   * @returns {string}
+   */
+  static autoId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 20; i++) {
+      id += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return id;
+  }
+  collection(name) {
+    return new MockCollectionReference(this, name);
+  }
+  batch() {
+    return new MockWriteBatch(this);
+  }
+  /**
+   * Run a transaction. If a document read in the transaction changes before
+   * its writes are applied, the function is retried, as in Firestore.
+   */
+  async runTransaction(updateFunction) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const transaction = new MockTransaction(this);
+      const result = await updateFunction(transaction);
+      const stale = Object.keys(transaction._readVersions)
+        .some((path) => (this._versions[path] || 0) !== transaction._readVersions[path]);
+      if (!stale) {
+        this._commit(transaction._writes);
+        return result;
+      }
+    }
+    throw new Error('Transaction failed: too much contention.');
+  }
+  /**
+   * True if no documents are stored.
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return Object.keys(this.collections).every((name) => Object.keys(this.collections[name]).length === 0);
+  }
+  /**
+   * Remove every stored document.
+   */
+  clear() {
+    this.collections = {};
+    this._save();
+    this._notify();
+  }
+  /**
+   * Replace the stored data with a fixture: an object mapping collection
+   * names to objects of document data keyed by document ID.
+   *
+   * @param {Object<string, Object<string, object>>} collections
+   */
+  load(collections) {
+    this.collections = cloneData(collections);
+    this._save();
+    this._notify();
+  }
+  /**
+   * Return a copy of all stored data in the fixture format accepted by load.
+   * @returns {Object<string, Object<string, object>>}
+   */
+  dump() {
+    return cloneData(this.collections);
+  }
+  _read(name) {
+    return this.collections[name] || {};
+  }
+  // Apply a list of writes atomically: all of them are checked before any
+  // is applied, then the store is saved once and listeners are notified.
+  _commit(writes) {
+    writes.forEach((write) => {
+      const existing = this._read(write.ref._collection)[write.ref.id];
+      if (write.type === 'update' && !existing) {
+        throw new Error(`No document to update: ${write.ref.path}`);
+      }
+    });
+    writes.forEach((write) => {
+      const name = write.ref._collection;
+      if (!this.collections[name]) this.collections[name] = {};
+      const collectionData = this.collections[name];
+      const id = write.ref.id;
+      if (write.type === 'delete') {
+        delete collectionData[id];
+      } else if (write.type === 'set') {
+        collectionData[id] = write.options.merge
+          ? MockFirestore._merge(collectionData[id] || {}, cloneData(write.data))
+          : cloneData(write.data);
+      } else {
+        const updated = cloneData(collectionData[id]);
+        Object.keys(write.data).forEach((path) => {
+          const keys = path.split('.');
+          let target = updated;
+          keys.slice(0, -1).forEach((key) => {
+            if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+            target = target[key];
+          });
+          target[keys[keys.length - 1]] = cloneData(write.data[path]);
+        });
+        collectionData[id] = updated;
+      }
+      this._versions[write.ref.path] = (this._versions[write.ref.path] || 0) + 1;
+    });
+    this._save();
+    this._notify();
+  }
+  // Merge nested objects the way `set(..., { merge: true })` does
+  static _merge(target, source) {
+    const result = { ...target };
+    Object.keys(source).forEach((key) => {
+      const value = source[key];
+      result[key] = value && typeof value === 'object' && !Array.isArray(value) &&
+        result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])
+        ? MockFirestore._merge(result[key], value)
+        : value;
+    });
+    return result;
+  }
+  _listen(run) {
+    this._listeners.add(run);
+    // Deliver the first snapshot asynchronously, as Firestore does
+    setTimeout(() => {
+      if (this._listeners.has(run)) run();
+    }, 0);
+    return () => this._listeners.delete(run);
+  }
+  _notify() {
+    this._listeners.forEach((run) => {
+      try {
+        run();
+      } catch (err) {
+        console.error(err);
+      }
+    });
+  }
+  _load() {
+    try {
+      return JSON.parse(localStorage.getItem(this._storageKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+  _save() {
+    try {
+      localStorage.setItem(this._storageKey, JSON.stringify(this.collections));
+    } catch (err) {
+      // Storage may be full or unavailable; keep working in memory
+      console.error(err);
+    }
   }
 }
 
 /**
- * Persist the session object to localStorage.
- * @param {object} session
+ * Stand-in for Firebase Auth used with the mock database. It implements the
+ * parts of the compat Auth API the app uses. Credentials are checked
+ * against the `passwordHash` on the user document in the mock store, which
+ * plays the part of the Auth backend. The signed in user is kept in
+ * localStorage under `storageKey`; pass null for an instance that does not
+ * persist its sign in (used to create accounts without signing out the
+ * current user, like a secondary Firebase app).
  */
-function saveSession(session) {
-  localStorage.setItem('session', JSON.stringify(session));
+class MockAuth {
+  constructor(store, storageKey = 'mockAuthUser') {
+    this._store = store;
+    this._storageKey = storageKey;
+    this._listeners = new Set();
+    this.currentUser = null;
+    if (storageKey) {
+      try {
+        this.currentUser = this._wrapUser(JSON.parse(localStorage.getItem(storageKey)));
+      } catch (e) {
+        this.currentUser = null;
+      }
+    }
+  }
+  /**
+   * Call back with the signed in user (or null) now and whenever it
+   * changes. Returns a function that stops listening.
+   */
+  onAuthStateChanged(callback) {
+    this._listeners.add(callback);
+    setTimeout(() => {
+      if (this._listeners.has(callback)) callback(this.currentUser);
+    }, 0);
+    return () => this._listeners.delete(callback);
+  }
+  /**
+   * Check the password against the stored hash. Hashes in the old unsalted
+   * SHA-256 format are replaced with a PBKDF2 hash on a successful sign in.
+   */
+  async signInWithEmailAndPassword(email, password) {
+    const ref = this._store.collection('users').doc(usernameFromEmail(email));
+    const doc = await ref.get();
+    const result = doc.exists ? await verifyPassword(doc.data(), password) : { valid: false };
+    if (!result.valid) {
+      throw MockAuth.error('auth/invalid-credential', 'Invalid username or password.');
+    }
+    if (result.needsUpgrade) {
+      await ref.update(await createPasswordCredential(password));
+    }
+    this._setUser({ uid: doc.id, email: email.toLowerCase(), metadata: { lastSignInTime: new Date().toISOString() } });
+    return { user: this.currentUser };
+  }
+  async createUserWithEmailAndPassword(email, password) {
+    checkPasswordStrength(password);
+    const ref = this._store.collection('users').doc(usernameFromEmail(email));
+    const doc = await ref.get();
+    if (doc.exists && doc.data().passwordHash) {
+      throw MockAuth.error('auth/email-already-in-use', 'An account already exists for this user.');
+    }
+    await ref.set(await createPasswordCredential(password), { merge: true });
+    this._setUser({ uid: ref.id, email: email.toLowerCase(), metadata: { lastSignInTime: new Date().toISOString() } });
+    return { user: this.currentUser };
+  }
+  /**
+   * Replace a user's password. Stands in for both `User.updatePassword`
+   * and the Admin SDK's `updateUser`, which is how an admin sets a
+   * temporary password on real Firebase.
+   */
+  async setPassword(uid, password) {
+    checkPasswordStrength(password);
+    const ref = this._store.collection('users').doc(uid);
+    if (!(await ref.get()).exists) {
+      throw MockAuth.error('auth/user-not-found', 'No account exists for this user.');
+    }
+    await ref.update(await createPasswordCredential(password));
+  }
+  async signOut() {
+    this._setUser(null);
+  }
+  _wrapUser(user) {
+    return user && { ...user, updatePassword: (password) => this.setPassword(user.uid, password) };
+  }
+  _setUser(user) {
+    user = this._wrapUser(user);
+    this.currentUser = user;
+    if (this._storageKey) {
+      if (user) {
+        localStorage.setItem(this._storageKey, JSON.stringify(user));
+      } else {
+        localStorage.removeItem(this._storageKey);
+      }
+    }
+    this._listeners.forEach((callback) => callback(user));
+  }
+  static error(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+  }
 }
 
 /**
- * Clear the current session and return the user to the login page.
+ * Populate the mock database with default settings, an admin, two
+ * employees, a supervisor and an example shift. Password hashes are computed on the fly
+ * in the same format MockAuth checks during login.
+ *
+ * @param {MockFirestore} mockDb
  */
-function logout() {
-  localStorage.removeItem('session');
-  window.location.href = 'index.html';
+async function seedMockData(mockDb) {
+  const batch = mockDb.batch();
+  // Settings
+  batch.set(mockDb.collection('settings').doc('config'), {
+    payPeriodSchedules: [{ frequency: 'biweekly', effectiveFrom: getISODateString(new Date()) }]
+  });
+  // Users
+  batch.set(mockDb.collection('users').doc('admin'), {
+    username: 'admin',
+    role: 'admin',
+    hourlyRate: 0,
+    ...(await createPasswordCredential('admin'))
+  });
+  batch.set(mockDb.collection('users').doc('alice'), {
+    username: 'alice',
+    role: 'employee',
+    department: 'Warehouse',
+    hourlyRate: 20,
+    ...(await createPasswordCredential('password1'))
+  });
+  batch.set(mockDb.collection('users').doc('bob'), {
+    username: 'bob',
+    role: 'employee',
+    department: 'Office',
+    hourlyRate: 22,
+    ...(await createPasswordCredential('password2'))
+  });
+  batch.set(mockDb.collection('users').doc('carol'), {
+    username: 'carol',
+    role: 'supervisor',
+    department: 'Warehouse',
+    hourlyRate: 25,
+    ...(await createPasswordCredential('password3'))
+  });
+  // Example shift for demonstration. Alice worked 9 to 5 yesterday.
+  const timeZone = getOrganisationTimeZone();
+  const yDate = addDaysISO(getISODateString(new Date(), timeZone), -1);
+  batch.set(mockDb.collection('shifts').doc(`alice_${yDate}`), {
+    username: 'alice',
+    date: yDate,
+    timeIn: zonedTimeToUtc(yDate, '09:00', timeZone).toISOString(),
+    timeOut: zonedTimeToUtc(yDate, '17:00', timeZone).toISOString(),
+    adjTimeIn: '',
+    adjTimeOut: ''
+  });
+  await batch.commit();
 }
 
 /**
- * Initialise the login form page. Wires up the submit handler for the
- * username/password fields. If a session already exists in storage then the
- * user is redirected directly to the dashboard.
+ * Replace the mock database contents with a fixture. A fixture is a JSON
+ * object mapping collection names to documents keyed by ID, optionally
+ * wrapped as `{ "collections": { ... } }`. For convenience, user documents
+ * may give a plain `password` instead of a `passwordHash`; it is hashed on
+ * import.
+ *
+ * @param {object} fixture
  */
-async function initLoginPage() {
-  const session = getSession();
-  if (session) {
-    // If already logged in, go straight to dashboard
-    window.location.href = 'dashboard.html';
-    return;
+async function loadMockFixture(fixture) {
+  const collections = cloneData(fixture.collections || fixture);
+  if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+    throw new Error('A fixture must be an object of collections.');
   }
-  await initDatabase();
-  const form = document.getElementById('loginForm');
-  const message = document.getElementById('loginMessage');
-  form.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    const username = document.getElementById('username').value.trim();
-    const password = document.getElementById('password').value;
-    message.textContent = '';
+  const users = collections.users || {};
+  for (const id of Object.keys(users)) {
+    if (users[id].password !== undefined) {
+      Object.assign(users[id], await createPasswordCredential(users[id].password));
+      delete users[id].password;
+    }
+  }
+  db.load(collections);
+}
+
+/**
+ * Render the mock data tools into a container: reset to the seed data,
+ * load a fixture file, and download the current data as a fixture. Only
+ * shown when running against the mock database.
+ *
+ * @param {HTMLElement} container
+ */
+function renderMockDataTools(container) {
+  const heading = document.createElement('h3');
+  heading.textContent = 'Mock Data';
+  container.appendChild(heading);
+  const note = document.createElement('p');
+  note.textContent = 'Running against the local mock database. Data is kept in this browser.';
+  container.appendChild(note);
+  const group = document.createElement('div');
+  group.classList.add('button-group');
+  const resetBtn = document.createElement('button');
+  resetBtn.textContent = 'Reset to Seed Data';
+  resetBtn.addEventListener('click', async () => {
+    if (!confirm('Replace all mock data with the seed data?')) return;
+    db.clear();
+    await seedMockData(db);
+    window.location.reload();
+  });
+  const fixtureInput = document.createElement('input');
+  fixtureInput.type = 'file';
+  fixtureInput.accept = '.json,application/json';
+  fixtureInput.style.display = 'none';
+  fixtureInput.addEventListener('change', async () => {
+    const file = fixtureInput.files[0];
+    if (!file) return;
     try {
-      const hashed = await hashPassword(password);
-      const userDoc = await db.collection('users').doc(username).get();
-      if (!userDoc.exists) {
-        message.textContent = 'Invalid username or password.';
-        return;
-      }
-      const userData = userDoc.data();
-      if (userData.passwordHash !== hashed) {
-        message.textContent = 'Invalid username or password.';
-        return;
-      }
-      // Successful login
-      saveSession({ username: userData.username, role: userData.role });
-      window.location.href = 'dashboard.html';
+      await loadMockFixture(JSON.parse(await file.text()));
+      window.location.reload();
     } catch (err) {
       console.error(err);
-      message.textContent = 'Error logging in. See console for details.';
+      alert(`Could not load fixture: ${err.message}`);
     }
   });
+  const loadBtn = document.createElement('button');
+  loadBtn.textContent = 'Load Fixture File';
+  loadBtn.addEventListener('click', () => fixtureInput.click());
+  const dumpBtn = document.createElement('button');
+  dumpBtn.textContent = 'Download Data as Fixture';
+  dumpBtn.addEventListener('click', () => {
+    downloadFile(`timekeeper_fixture_${getISODateString()}.json`, JSON.stringify({ collections: db.dump() }, null, 2), 'application/json');
+  });
+  group.appendChild(resetBtn);
+  group.appendChild(loadBtn);
+  group.appendChild(dumpBtn);
+  container.appendChild(group);
+  container.appendChild(fixtureInput);
 }
 
 /**
- * Initialise the dashboard page. Decides whether to render the admin or
- * employee dashboard based on the role stored in the session.
+ * Initialise the Firestore connection and Firebase Auth. If `window.useMock`
+ * is true then initialise the mock database and MockAuth instead. On real
+ * Firebase, this will initialise a new app instance using the configuration
+ * provided via firebaseConfig.js. Set `window.firebaseEmulatorHost` (e.g.
+ * 'localhost') before loading this script to use the Auth and Firestore
+ * emulators on their default ports.
  */
-async function initDashboardPage() {
-  const session = getSession();
-  if (!session) {
-    // If not logged in, redirect to login
-    window.location.href = 'index.html';
-    return;
-  }
-  await initDatabase();
-  if (session.role === 'admin') {
-    await renderAdminDashboard(session.username);
+async function initDatabase() {
+  if (window.useMock) {
+    db = new MockFirestore();
+    auth = new MockAuth(db);
+    // Seed the mock data the first time; afterwards it is kept in
+    // localStorage until reset from the admin dashboard.
+    if (db.isEmpty()) {
+      await seedMockData(db);
+    }
   } else {
-    await renderEmployeeDashboard(session.username);
+    // Initialise Firebase
+    firebase.initializeApp(firebaseConfig);
+    db = firebase.firestore();
+    auth = firebase.auth();
+    if (window.firebaseEmulatorHost) {
+      auth.useEmulator(`http://${window.firebaseEmulatorHost}:9099`);
+      db.useEmulator(window.firebaseEmulatorHost, 8080);
+    }
+    // Cache data locally so the dashboard still loads while offline
+    await db.enablePersistence({ synchronizeTabs: true }).catch((err) => {
+      console.warn('Offline persistence unavailable:', err.code);
+    });
   }
 }
 
 /**
- * Render the admin dashboard. Provides controls for selecting employees,
- * adjusting shifts, updating pay periods and hourly rates, and exporting
- * data. Pass the currently logged in admin username for greeting.
- *
- * @param {string} adminUsername
+ * Load the organisation settings from `settings/config` into the global
+ * variables. Reading settings requires a signed in user.
  */
-async function renderAdminDashboard(adminUsername) {
-  const container = document.getElementById('dashboard');
-  container.innerHTML = '';
-  const header = document.createElement('h2');
-  header.textContent = `Admin Dashboard`;
-  container.appendChild(header);
-  const greeting = document.createElement('p');
-  greeting.textContent = `Hello, ${adminUsername}.`;
+async function loadSettings() {
+  const settingsDoc = await db.collection('settings').doc('config').get();
+  if (settingsDoc.exists) {
+    const data = settingsDoc.data();
+    if (data.payPeriodSchedules && data.payPeriodSchedules.length > 0) {
+      payPeriodSchedules = [...data.payPeriodSchedules]
+        .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+    } else if (data.payPeriodStart) {
+      // Older settings only stored the start of a bi-weekly cycle
+      payPeriodSchedules = [{ frequency: 'biweekly', effectiveFrom: data.payPeriodStart }];
+    }
+    overtimeRules = { ...DEFAULT_OVERTIME_RULES, ...(data.overtimeRules || {}) };
+    if (data.roundingRuleSchedules && data.roundingRuleSchedules.length > 0) {
+      roundingRuleSchedules = [...data.roundingRuleSchedules]
+        .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+    } else if (data.roundingRules) {
+      // Older settings held a single set of rules for every shift
+      roundingRuleSchedules = [{ ...DEFAULT_ROUNDING_RULES, ...data.roundingRules, effectiveFrom: '1970-01-01' }];
+    }
+    exportSettings = data.exportSettings || {};
+    scheduleSettings = { ...DEFAULT_SCHEDULE_SETTINGS, ...(data.scheduleSettings || {}) };
+    ptoPolicy = { ...DEFAULT_PTO_POLICY, ...(data.ptoPolicy || {}) };
+    liveBoardSettings = { ...DEFAULT_LIVE_BOARD_SETTINGS, ...(data.liveBoardSettings || {}) };
+    autoClockOutPolicy = { ...DEFAULT_AUTO_CLOCK_OUT_POLICY, ...(data.autoClockOutPolicy || {}) };
+    organisationTimeZone = data.timeZone || '';
+  }
+  await loadSecuritySettings();
+}
+
+/**
+ * Load the session and sign in limits from `settings/security`. They live
+ * in their own document because the login page needs them before anyone
+ * is signed in, so the security rules let anyone read it.
+ */
+async function loadSecuritySettings() {
+  const securityDoc = await db.collection('settings').doc('security').get();
+  securitySettings = { ...DEFAULT_SECURITY_SETTINGS, ...(securityDoc.exists ? securityDoc.data() : {}) };
+}
+
+// PBKDF2 settings for the password hashes of the mock, which keeps them on
+// user documents. The iteration count is stored with each hash, so raising
+// it only affects passwords set afterwards (and older hashes are upgraded at
+// the next sign in).
+const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const PASSWORD_HASH_ITERATIONS = 600000;
+// Fields of a user document that hold a password hash. On real Firebase
+// only users from before the switch to Firebase Auth have them (an unsalted
+// SHA-256 hash); removeStoredCredential deletes them.
+const CREDENTIAL_FIELDS = ['passwordHash', 'passwordSalt', 'passwordIterations', 'passwordAlgorithm'];
+// Firebase Auth rejects passwords shorter than this
+const PASSWORD_MIN_LENGTH = 6;
+
+/**
+ * Derive a PBKDF2-SHA256 hash of the password and return a hex
+ * representation. It relies on the Web Crypto API which is supported in
+ * modern browsers.
+ *
+ * @param {string} password
+ * @param {string} salt hex encoded salt
+ * @param {number} iterations
+ * @returns {Promise<string>} hex encoded hash
+ */
+async function hashPassword(password, salt, iterations) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const saltBytes = new Uint8Array(salt.match(/../g).map((byte) => parseInt(byte, 16)));
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, key, 256);
+  return Array.from(new Uint8Array(bits)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compute the unsalted SHA‑256 hash used for passwords before PBKDF2. Only
+ * used to check passwords that have not been upgraded yet.
+ *
+ * @param {string} password
+ * @returns {Promise<string>} hex encoded hash
+ */
+async function legacyHashPassword(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a password with a new random salt. Returns the fields to store on
+ * the user document.
+ *
+ * @param {string} password
+ * @returns {Promise<{passwordHash: string, passwordSalt: string, passwordIterations: number, passwordAlgorithm: string}>}
+ */
+async function createPasswordCredential(password) {
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16))).map((b) => b.toString(16).padStart(2, '0')).join('');
+  return {
+    passwordHash: await hashPassword(password, salt, PASSWORD_HASH_ITERATIONS),
+    passwordSalt: salt,
+    passwordIterations: PASSWORD_HASH_ITERATIONS,
+    passwordAlgorithm: PASSWORD_HASH_ALGORITHM
+  };
+}
+
+/**
+ * Check a password against the credential fields of a user document.
+ * `needsUpgrade` is set when the password is correct but stored in the old
+ * unsalted format or with fewer iterations than PASSWORD_HASH_ITERATIONS.
+ *
+ * @param {object} userData
+ * @param {string} password
+ * @returns {Promise<{valid: boolean, needsUpgrade: boolean}>}
+ */
+async function verifyPassword(userData, password) {
+  if (!userData.passwordHash) return { valid: false, needsUpgrade: false };
+  if (!userData.passwordSalt) {
+    return { valid: userData.passwordHash === await legacyHashPassword(password), needsUpgrade: true };
+  }
+  const hash = await hashPassword(password, userData.passwordSalt, userData.passwordIterations);
+  return {
+    valid: hash === userData.passwordHash,
+    needsUpgrade: userData.passwordIterations < PASSWORD_HASH_ITERATIONS
+  };
+}
+
+/**
+ * Delete the old password hash from the signed in user's document. Once
+ * they have signed in with Firebase Auth it is no longer needed, and an
+ * unsalted hash is easy to crack for anyone who can read the document. The
+ * mock keeps its credentials on user documents, so this only applies to
+ * real Firebase. Users who never sign in again are cleaned up by
+ * `scripts/migrate-auth.js clean`.
+ *
+ * @param {{username: string, userData: object}} identity
+ */
+async function removeStoredCredential(identity) {
+  if (window.useMock) return;
+  const fields = CREDENTIAL_FIELDS.filter((field) => field in identity.userData);
+  if (fields.length === 0) return;
+  const changes = {};
+  fields.forEach((field) => { changes[field] = firebase.firestore.FieldValue.delete(); });
+  await db.collection('users').doc(identity.username).update(changes);
+  fields.forEach((field) => delete identity.userData[field]);
+}
+
+/**
+ * Record in the settings that no user document holds a password hash any
+ * more. The security rules only let supervisors read their team's user
+ * documents once this is set, so the old hashes are never exposed to them.
+ * Admins check on every dashboard load until it is set; the mock's rules
+ * are not enforced, so it is skipped there.
+ */
+async function markStoredCredentialsRemoved() {
+  if (window.useMock) return;
+  const configRef = db.collection('settings').doc('config');
+  const config = await configRef.get();
+  if (config.exists && config.data().storedCredentialsRemoved) return;
+  const users = await db.collection('users').get();
+  if (users.docs.some((doc) => CREDENTIAL_FIELDS.some((field) => field in doc.data()))) return;
+  await configRef.set({ storedCredentialsRemoved: true }, { merge: true });
+}
+
+/**
+ * Throw an `auth/weak-password` error if the password is too short, the
+ * same way Firebase Auth does.
+ *
+ * @param {string} password
+ */
+function checkPasswordStrength(password) {
+  if (!password || password.length < PASSWORD_MIN_LENGTH) {
+    const err = new Error(`Passwords must be at least ${PASSWORD_MIN_LENGTH} characters.`);
+    err.code = 'auth/weak-password';
+    throw err;
+  }
+}
+
+/**
+ * Return the date of an instant in a time zone as an ISO string
+ * (YYYY-MM-DD). This helper strips the time component, making it useful for
+ * shift document keys and date comparison.
+ *
+ * @param {Date} date Optional date object; defaults to current date
+ * @param {string} timeZone defaults to the organisation's time zone
+ * @returns {string} ISO date string
+ */
+function getISODateString(date = new Date(), timeZone = getOrganisationTimeZone()) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * Return the organisation's time zone, falling back to the browser's.
+ * @returns {string}
+ */
+function getOrganisationTimeZone() {
+  return organisationTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Return the time zone an employee's shifts are recorded and shown in:
+ * their own override if set, otherwise the organisation's.
+ *
+ * @param {object} userData user document
+ * @returns {string}
+ */
+function getUserTimeZone(userData) {
+  return (userData && userData.timeZone) || getOrganisationTimeZone();
+}
+
+// Time zones of users whose documents this page cannot read, keyed by
+// username. The kiosk fills it from the roster; see initKioskPage.
+const knownUserTimeZones = {};
+
+/**
+ * Load a user's document and return their time zone.
+ * @param {string} username
+ * @returns {Promise<string>}
+ */
+async function getTimeZoneForUser(username) {
+  if (knownUserTimeZones[username] !== undefined) {
+    return knownUserTimeZones[username] || getOrganisationTimeZone();
+  }
+  const userDoc = await db.collection('users').doc(username).get();
+  return getUserTimeZone(userDoc.exists ? userDoc.data() : null);
+}
+
+/**
+ * True if the value is an IANA time zone name the browser knows.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return !!timeZone;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Build a <select> of the time zones the browser knows. The first option
+ * has an empty value and the given label, for "use the default".
+ *
+ * @param {string} value selected time zone
+ * @param {string} defaultLabel label of the empty option
+ * @returns {HTMLSelectElement}
+ */
+function createTimeZoneSelect(value, defaultLabel) {
+  const select = document.createElement('select');
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [Intl.DateTimeFormat().resolvedOptions().timeZone];
+  if (value && !zones.includes(value)) zones.unshift(value);
+  [['', defaultLabel], ...zones.map((zone) => [zone, zone])].forEach(([zone, label]) => {
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = value || '';
+  return select;
+}
+
+// Intl formatters are slow to create, so keep one per time zone
+const zonedPartsFormatters = {};
+
+/**
+ * Return the wall clock date and time of an instant in a time zone.
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(date, timeZone) {
+  if (!zonedPartsFormatters[timeZone]) {
+    zonedPartsFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  const parts = {};
+  zonedPartsFormatters[timeZone].formatToParts(date).forEach((part) => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Return the offset of a time zone from UTC at an instant, in milliseconds
+ * (negative west of Greenwich).
+ *
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * Convert a wall clock date and time in a time zone to an instant. Around
+ * daylight saving changes, a time that occurs twice resolves to the first
+ * occurrence and a time skipped by the clocks going forward resolves to the
+ * same distance past the change (02:30 becomes 03:30), as calendars do.
+ *
+ * @param {string} dateISO YYYY-MM-DD
+ * @param {string} time HH:MM or HH:MM:SS
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc(dateISO, time, timeZone) {
+  const [year, month, day] = dateISO.split('-').map(Number);
+  const [hour, minute, second = 0] = time.split(':').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset depends on the instant being solved for, so try the offsets
+  // in force a day either side as well as at the wall time itself, which
+  // covers both sides of any change, and keep the ones that give back the
+  // wall time
+  const oneDay = 24 * 3600000;
+  const offsets = new Set([wall - oneDay, wall, wall + oneDay].map((instant) => getTimeZoneOffset(new Date(instant), timeZone)));
+  const candidates = [...offsets].map((offset) => wall - offset);
+  const exact = candidates.filter((candidate) => candidate + getTimeZoneOffset(new Date(candidate), timeZone) === wall);
+  return new Date(exact.length > 0 ? Math.min(...exact) : Math.max(...candidates));
+}
+
+/**
+ * Return the Firebase Auth email address for a username.
+ * @param {string} username
+ * @returns {string}
+ */
+function usernameToEmail(username) {
+  return `${username}@${AUTH_EMAIL_DOMAIN}`;
+}
+
+/**
+ * Return the username for a Firebase Auth email address.
+ * @param {string} email
+ * @returns {string}
+ */
+function usernameFromEmail(email) {
+  return (email || '').split('@')[0];
+}
+
+/**
+ * Wait for Firebase Auth to restore the signed in user (if any) and return
+ * it. Auth state is restored asynchronously on page load, so
+ * `auth.currentUser` cannot be read straight away.
+ *
+ * @returns {Promise<object|null>}
+ */
+function waitForAuthUser() {
+  return new Promise((resolve) => {
+    const unsubscribe = auth.onAuthStateChanged((user) => {
+      unsubscribe();
+      resolve(user);
+    });
+  });
+}
+
+/**
+ * Return the verified identity of the signed in user: the username from
+ * their Firebase Auth account and the role from their user document. The
+ * Firestore security rules (firestore.rules) only let admins write user
+ * documents, so the role cannot be changed from the browser the way the old
+ * localStorage session could. Returns null if nobody is signed in or the
+ * signed in account has no user document (for example it was deleted).
+ *
+ * @returns {Promise<{username: string, role: string, userData: object}|null>}
+ */
+async function getVerifiedUser() {
+  const user = await waitForAuthUser();
+  if (!user) return null;
+  const username = usernameFromEmail(user.email);
+  let userDoc;
+  try {
+    userDoc = await db.collection('users').doc(username).get();
+  } catch (err) {
+    // The rules refuse accounts without a user document even their own
+    if (err.code === 'permission-denied') return null;
+    throw err;
+  }
+  if (!userDoc.exists) return null;
+  const userData = userDoc.data();
+  return { username, role: userData.role, userData };
+}
+
+/**
+ * Roles a user can be given from the admin dashboard, and their labels.
+ * Admin and kiosk accounts are created separately.
+ */
+const STAFF_ROLES = {
+  employee: 'Employee',
+  supervisor: 'Supervisor'
+};
+
+/**
+ * What each role may do. Supervisors may only do these things for the
+ * employees of their own department, and never for themselves; see can.
+ *
+ * - time.punch: keep an own timesheet (employee dashboard)
+ * - employees.view: see employees' shifts, totals, schedule variance and
+ *   the live board
+ * - shifts.adjust: adjust shifts and review auto clock-outs
+ * - timesheets.approve: approve and reopen timesheets
+ * - requests.decide: approve time off and correction requests
+ * - payroll.export: run payroll and timesheet exports
+ * - users.manage: add and delete users, change rates, departments,
+ *   passwords, time zones, PINs and time off balances
+ * - schedules.manage: edit schedules
+ * - settings.manage: change organisation settings
+ * - audit.view: read the audit log
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['employees.view', 'shifts.adjust', 'timesheets.approve', 'requests.decide', 'payroll.export',
+    'users.manage', 'schedules.manage', 'settings.manage', 'audit.view'],
+  supervisor: ['time.punch', 'employees.view', 'shifts.adjust', 'timesheets.approve', 'requests.decide', 'payroll.export'],
+  employee: ['time.punch'],
+  kiosk: ['time.punch']
+};
+
+/**
+ * Check whether the signed in user may do something, optionally for a
+ * particular employee. This is the single place where roles are turned
+ * into permissions; the security rules (firestore.rules) enforce the same
+ * on the server.
+ *
+ * @param {string} action a permission listed in ROLE_PERMISSIONS
+ * @param {object|null} subject user document of the employee concerned;
+ *   null for actions that do not concern one employee
+ * @param {object} identity defaults to the signed in user
+ * @returns {boolean}
+ */
+function can(action, subject = null, identity = currentIdentity) {
+  if (!identity || !(ROLE_PERMISSIONS[identity.role] || []).includes(action)) return false;
+  if (identity.role !== 'supervisor' || !subject || action === 'time.punch') return true;
+  return subject.username !== identity.username &&
+    !!identity.userData.department && subject.department === identity.userData.department;
+}
+
+/**
+ * Throw an Error unless the signed in user may do something for an
+ * employee. Used by data functions that change another user's records.
+ *
+ * @param {string} action see can
+ * @param {string} username the employee concerned
+ */
+async function assertCan(action, username) {
+  const userDoc = await db.collection('users').doc(username).get();
+  if (!can(action, userDoc.exists ? userDoc.data() : { username })) {
+    throw new Error(`You do not have permission to do this for ${username}.`);
+  }
+}
+
+/**
+ * The department the signed in user's access is limited to, or null if
+ * they can see everyone (admins).
+ *
+ * @param {object} identity defaults to the signed in user
+ * @returns {string|null}
+ */
+function getScopedDepartment(identity = currentIdentity) {
+  return identity && identity.role === 'supervisor' ? (identity.userData.department || '') : null;
+}
+
+/**
+ * Run a per-employee loader for every employee the signed in user can see
+ * and merge the results. Supervisors use this instead of collection-wide
+ * queries, which the security rules only allow admins.
+ *
+ * @param {function(string): Promise<object[]>} loader e.g. getShiftsForUser
+ * @returns {Promise<object[]>}
+ */
+async function loadForTeam(loader) {
+  const results = [];
+  for (const employee of await getAllEmployees()) {
+    results.push(...await loader(employee.username));
+  }
+  return results;
+}
+
+/**
+ * Create the Firebase Auth account for a user. On real Firebase this goes
+ * through a secondary app instance, because creating an account signs in
+ * as it and the admin creating it must stay signed in.
+ *
+ * @param {string} username
+ * @param {string} password
+ */
+async function createAuthAccount(username, password) {
+  if (window.useMock) {
+    await new MockAuth(db, null).createUserWithEmailAndPassword(usernameToEmail(username), password);
+    return;
+  }
+  const app = firebase.apps.find((a) => a.name === 'accounts') || firebase.initializeApp(firebaseConfig, 'accounts');
+  const accountsAuth = app.auth();
+  if (window.firebaseEmulatorHost && !accountsAuth.emulatorConfig) {
+    accountsAuth.useEmulator(`http://${window.firebaseEmulatorHost}:9099`);
+  }
+  await accountsAuth.createUserWithEmailAndPassword(usernameToEmail(username), password);
+  await accountsAuth.signOut();
+}
+
+// Messages shown on the login page after an automatic logout, keyed by the
+// reason passed to logout()
+const LOGOUT_MESSAGES = {
+  idle: 'You were logged out after a period of inactivity.',
+  expired: 'Your session has expired. Please log in again.'
+};
+// localStorage key holding the time of the last user activity, shared by
+// all open tabs
+const LAST_ACTIVITY_KEY = 'lastActivity';
+
+/**
+ * Sign out and return the user to the login page.
+ * @param {string} reason optional key of LOGOUT_MESSAGES to show there
+ */
+async function logout(reason) {
+  await auth.signOut();
+  window.location.href = reason ? `index.html?reason=${reason}` : 'index.html';
+}
+
+/**
+ * Return when the signed in user's session ends, counted from when they
+ * signed in, or null if sessions do not expire.
+ *
+ * @param {object} user Firebase Auth user
+ * @returns {Date|null}
+ */
+function getSessionExpiry(user) {
+  if (!securitySettings.sessionLifetimeHours || !user || !user.metadata) return null;
+  const signedInAt = new Date(user.metadata.lastSignInTime).getTime();
+  return new Date(signedInAt + securitySettings.sessionLifetimeHours * 3600000);
+}
+
+/**
+ * Return how long the user has been inactive, in milliseconds, across all
+ * tabs.
+ * @returns {number}
+ */
+function getIdleTime() {
+  const lastActivity = Number(localStorage.getItem(LAST_ACTIVITY_KEY));
+  return lastActivity ? Date.now() - lastActivity : 0;
+}
+
+/**
+ * Watch for session expiry and inactivity on a dashboard page. User input
+ * counts as activity; when the idle timeout is close a warning with a
+ * countdown is shown, and when it or the session lifetime runs out the
+ * user is logged out.
+ */
+function startSessionTimers() {
+  let lastWrite = 0;
+  const markActivity = () => {
+    // Writing on every mouse move is wasteful; once a second is plenty
+    if (Date.now() - lastWrite < 1000) return;
+    lastWrite = Date.now();
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(lastWrite));
+  };
+  ['mousedown', 'mousemove', 'keydown', 'touchstart', 'scroll'].forEach((type) => {
+    document.addEventListener(type, markActivity, { passive: true });
+  });
+  let warning = null;
+  const timer = setInterval(() => {
+    const expiry = getSessionExpiry(auth.currentUser);
+    const idleTimeout = securitySettings.idleTimeoutMinutes * 60000;
+    const remaining = idleTimeout ? Math.ceil((idleTimeout - getIdleTime()) / 1000) : Infinity;
+    if ((expiry && Date.now() >= expiry) || remaining <= 0) {
+      clearInterval(timer);
+      logout(remaining <= 0 ? 'idle' : 'expired');
+      return;
+    }
+    if (remaining <= securitySettings.idleWarningSeconds) {
+      if (!warning) {
+        warning = document.createElement('div');
+        warning.classList.add('banner', 'banner-pending', 'idle-warning');
+        const text = document.createElement('span');
+        const stayBtn = document.createElement('button');
+        stayBtn.textContent = 'Stay Logged In';
+        stayBtn.addEventListener('click', markActivity);
+        warning.appendChild(text);
+        warning.appendChild(stayBtn);
+        document.body.appendChild(warning);
+      }
+      warning.querySelector('span').textContent = `You will be logged out in ${remaining} seconds due to inactivity.`;
+    } else if (warning) {
+      warning.remove();
+      warning = null;
+    }
+  }, 1000);
+}
+
+/**
+ * Return when a username's lockout after failed logins ends, or null if
+ * it is not locked. Lockouts only slow down guessing through this page;
+ * Firebase Auth throttles repeated failures on its side as well. Anyone
+ * can lock a username by failing to log in with it, so admins are let in
+ * with the right password regardless and can clear everyone else's.
+ *
+ * @param {string} username
+ * @returns {Promise<Date|null>}
+ */
+async function getLoginLockout(username) {
+  const doc = await db.collection('loginAttempts').doc(username).get();
+  if (!doc.exists || !doc.data().lockedUntil) return null;
+  const lockedUntil = new Date(doc.data().lockedUntil);
+  return lockedUntil > new Date() ? lockedUntil : null;
+}
+
+/**
+ * Count a failed login for a username and lock it once the failures reach
+ * a multiple of `maxFailedLogins`. Each lockout lasts twice as long as the
+ * one before, up to a day. Usernames without an account are counted too,
+ * so the response does not reveal which accounts exist. The lockout end is
+ * stored in milliseconds so that the security rules can check it is the
+ * one computed here (older records hold an ISO string; both parse with
+ * `new Date`).
+ *
+ * @param {string} username
+ * @returns {Promise<{username: string, failures: number, lastFailureAt: string, lockedUntil: number|string}>}
+ */
+async function recordFailedLogin(username) {
+  const ref = db.collection('loginAttempts').doc(username);
+  const doc = await ref.get();
+  const now = new Date();
+  const attempt = {
+    username,
+    failures: (doc.exists ? doc.data().failures : 0) + 1,
+    lastFailureAt: now.toISOString(),
+    lockedUntil: doc.exists ? doc.data().lockedUntil || '' : ''
+  };
+  const max = securitySettings.maxFailedLogins;
+  if (max && securitySettings.lockoutMinutes && attempt.failures % max === 0) {
+    const minutes = Math.min(securitySettings.lockoutMinutes * 2 ** (attempt.failures / max - 1), 24 * 60);
+    attempt.lockedUntil = now.getTime() + minutes * 60000;
+  }
+  await ref.set(attempt);
+  return attempt;
+}
+
+/**
+ * Forget the failed logins of a user after they sign in successfully.
+ * @param {string} username
+ */
+async function clearFailedLogins(username) {
+  const ref = db.collection('loginAttempts').doc(username);
+  if ((await ref.get()).exists) {
+    await ref.delete();
+  }
+}
+
+/**
+ * Load the failed login records, most recent failure first. Used by the
+ * admin dashboard to list lockouts.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function getLoginAttempts() {
+  const result = await db.collection('loginAttempts').get();
+  return result.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => (a.lastFailureAt < b.lastFailureAt ? 1 : -1));
+}
+
+/**
+ * Clear a user's failed logins and lockout. Used by the admin; the change
+ * is recorded in the audit log.
+ *
+ * @param {string} username
+ */
+async function clearLoginLockout(username) {
+  const ref = db.collection('loginAttempts').doc(username);
+  const doc = await ref.get();
+  if (!doc.exists) return;
+  const batch = db.batch();
+  batch.delete(ref);
+  addAuditEntry(batch, {
+    action: 'user.unlock',
+    collection: 'loginAttempts',
+    docId: username,
+    subject: username,
+    before: doc.data(),
+    after: null
+  });
+  await batch.commit();
+}
+
+/**
+ * Initialise the login form page. Wires up the submit handler for the
+ * username/password fields, which signs in with Firebase Auth. If a user is
+ * already signed in then they are redirected directly to the dashboard.
+ */
+async function initLoginPage() {
+  await initDatabase();
+  await loadSecuritySettings();
+  // Sessions used to be kept in localStorage; drop any left over
+  localStorage.removeItem('session');
+  const form = document.getElementById('loginForm');
+  const message = document.getElementById('loginMessage');
+  const user = await waitForAuthUser();
+  if (user) {
+    const expiry = getSessionExpiry(user);
+    const idleTimeout = securitySettings.idleTimeoutMinutes * 60000;
+    if ((!expiry || expiry > new Date()) && (!idleTimeout || getIdleTime() < idleTimeout)) {
+      // If already logged in, go straight to dashboard
+      window.location.href = 'dashboard.html';
+      return;
+    }
+    await auth.signOut();
+  }
+  const reason = new URLSearchParams(window.location.search).get('reason');
+  if (LOGOUT_MESSAGES[reason]) {
+    message.textContent = LOGOUT_MESSAGES[reason];
+  }
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const username = document.getElementById('username').value.trim();
+    const password = document.getElementById('password').value;
+    message.textContent = '';
+    if (!username || username.includes('/')) {
+      message.textContent = 'Invalid username or password.';
+      return;
+    }
+    let lockedUntil = null;
+    try {
+      lockedUntil = await getLoginLockout(username);
+      await auth.signInWithEmailAndPassword(usernameToEmail(username), password);
+      const identity = await getVerifiedUser();
+      if (lockedUntil && (!identity || identity.role !== 'admin')) {
+        // Answer as for a wrong password, so a lockout cannot be used to
+        // confirm a guess
+        await auth.signOut();
+        message.textContent = `Too many failed attempts. Try again after ${lockedUntil.toLocaleTimeString()}.`;
+        return;
+      }
+      if (!identity) {
+        await auth.signOut();
+        message.textContent = 'This account is no longer active.';
+        return;
+      }
+      await clearFailedLogins(username);
+      localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()));
+      window.location.href = 'dashboard.html';
+    } catch (err) {
+      if (['auth/invalid-credential', 'auth/invalid-login-credentials', 'auth/user-not-found', 'auth/wrong-password', 'auth/invalid-email'].includes(err.code)) {
+        if (lockedUntil) {
+          message.textContent = `Too many failed attempts. Try again after ${lockedUntil.toLocaleTimeString()}.`;
+          return;
+        }
+        const attempt = await recordFailedLogin(username);
+        message.textContent = attempt.lockedUntil && new Date(attempt.lockedUntil) > new Date()
+          ? `Too many failed attempts. Try again after ${new Date(attempt.lockedUntil).toLocaleTimeString()}.`
+          : 'Invalid username or password.';
+        return;
+      }
+      if (err.code === 'auth/too-many-requests') {
+        message.textContent = 'Too many failed attempts. Please wait a few minutes and try again.';
+        return;
+      }
+      console.error(err);
+      message.textContent = 'Error logging in. See console for details.';
+    }
+  });
+}
+
+/**
+ * Initialise the dashboard page. Decides whether to render the admin or
+ * employee dashboard based on the verified role of the signed in user.
+ */
+async function initDashboardPage() {
+  await initDatabase();
+  const identity = await getVerifiedUser();
+  if (!identity) {
+    // If not logged in, redirect to login
+    if (auth.currentUser) await auth.signOut();
+    window.location.href = 'index.html';
+    return;
+  }
+  if (identity.role === 'kiosk') {
+    // Kiosk accounts never get a dashboard
+    window.location.href = 'kiosk.html';
+    return;
+  }
+  await removeStoredCredential(identity).catch((err) => console.error(err));
+  if (identity.role === 'admin') {
+    await markStoredCredentialsRemoved().catch((err) => console.error(err));
+  }
+  await loadSettings();
+  currentUser = identity.username;
+  currentIdentity = identity;
+  // Apply the session limits to a page opened after the session ran out,
+  // e.g. a browser left open on a shared machine
+  const expiry = getSessionExpiry(auth.currentUser);
+  const idleTimeout = securitySettings.idleTimeoutMinutes * 60000;
+  if (expiry && expiry <= new Date()) {
+    await logout('expired');
+    return;
+  }
+  if (idleTimeout && getIdleTime() >= idleTimeout) {
+    await logout('idle');
+    return;
+  }
+  startSessionTimers();
+  if (identity.userData.mustChangePassword) {
+    // An admin reset the password; a new one must be chosen first
+    const container = document.getElementById('dashboard');
+    container.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Choose a New Password';
+    container.appendChild(heading);
+    const note = document.createElement('p');
+    note.textContent = 'Your password was reset by an administrator. Please choose a new one to continue.';
+    container.appendChild(note);
+    renderPasswordChangeForm(container, identity.username, () => window.location.reload());
+    const logoutBtn = document.createElement('button');
+    logoutBtn.textContent = 'Logout';
+    logoutBtn.addEventListener('click', () => logout());
+    container.appendChild(logoutBtn);
+    return;
+  }
+  // Admins keep no timesheet of their own and go straight to managing;
+  // supervisors start on their own timesheet and can switch to their team
+  if (!can('time.punch')) {
+    await renderAdminDashboard(identity.username);
+  } else {
+    // Replay punches made offline on this device, now and whenever the
+    // connection comes back
+    await syncPunchQueue();
+    window.addEventListener('online', syncPunchQueue);
+    window.addEventListener('punchqueuechange', () => {
+      // A supervisor may have switched to their team dashboard meanwhile
+      if (document.getElementById('dashboard').dataset.view === 'admin') return;
+      renderEmployeeDashboard(identity.username);
+    });
+    await renderEmployeeDashboard(identity.username);
+  }
+}
+
+/**
+ * Render the admin dashboard. Provides controls for selecting employees,
+ * adjusting shifts, updating pay periods and hourly rates, and exporting
+ * data. Pass the currently logged in admin username for greeting.
+ *
+ * @param {string} adminUsername
+ */
+async function renderAdminDashboard(adminUsername) {
+  // Drops any employee dashboard render still in progress
+  dashboardGeneration++;
+  const container = document.getElementById('dashboard');
+  container.innerHTML = '';
+  container.dataset.view = 'admin';
+  // Supervisors get the same dashboard limited to their department; each
+  // section is shown only to those with the permission it needs
+  const department = getScopedDepartment();
+  const header = document.createElement('h2');
+  header.textContent = department === null ? `Admin Dashboard` : `Team Dashboard (${department || 'no department'})`;
+  container.appendChild(header);
+  const greeting = document.createElement('p');
+  greeting.textContent = `Hello, ${adminUsername}.`;
   container.appendChild(greeting);
   // Logout button
   const logoutBtn = document.createElement('button');
   logoutBtn.textContent = 'Logout';
-  logoutBtn.addEventListener('click', logout);
+  logoutBtn.addEventListener('click', () => logout());
   container.appendChild(logoutBtn);
+  if (can('time.punch')) {
+    const ownBtn = document.createElement('button');
+    ownBtn.textContent = 'My Timesheet';
+    ownBtn.style.marginLeft = '10px';
+    ownBtn.addEventListener('click', () => renderEmployeeDashboard(adminUsername));
+    container.appendChild(ownBtn);
+  }
+  // Close shifts that were never punched out before anything is shown
+  await autoClockOutOpenShifts();
+  const boardUsernames = department === null ? null : (await getAllEmployees()).map((emp) => emp.username);
+  // Section: Live board of who is punched in right now
+  const clockSection = document.createElement('div');
+  clockSection.style.marginTop = '20px';
+  const clockHeading = document.createElement('h3');
+  clockHeading.textContent = 'On the Clock';
+  clockSection.appendChild(clockHeading);
+  const clockBoard = document.createElement('div');
+  clockSection.appendChild(clockBoard);
+  const clockForm = document.createElement('form');
+  clockForm.classList.add('form');
+  clockForm.innerHTML = `
+    <label for="overtimeWarning">Highlight employees within this many hours of overtime</label>
+    <input type="number" id="overtimeWarning" min="0" step="0.25" value="${liveBoardSettings.overtimeWarningHours}">
+    <label for="longShift">Highlight open shifts longer than (hours)</label>
+    <input type="number" id="longShift" min="0" step="0.25" value="${liveBoardSettings.longShiftHours}">
+    <button type="submit">Save Highlighting</button>
+  `;
+  const clockMessage = document.createElement('p');
+  clockMessage.classList.add('message');
+  clockForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const overtimeWarningHours = parseFloat(clockForm.querySelector('#overtimeWarning').value) || 0;
+    const longShiftHours = parseFloat(clockForm.querySelector('#longShift').value) || 0;
+    if (overtimeWarningHours < 0 || longShiftHours < 0) {
+      clockMessage.style.color = '';
+      clockMessage.textContent = 'Hours cannot be negative.';
+      return;
+    }
+    await updateLiveBoardSettings({ overtimeWarningHours, longShiftHours });
+    clockMessage.style.color = 'green';
+    clockMessage.textContent = 'Highlighting saved.';
+    // Redraw with the new thresholds
+    stopClockBoard();
+    stopClockBoard = renderOnTheClockBoard(clockBoard, boardUsernames);
+  });
+  if (can('settings.manage')) {
+    clockSection.appendChild(clockForm);
+    clockSection.appendChild(clockMessage);
+  }
+  container.appendChild(clockSection);
+  let stopClockBoard = renderOnTheClockBoard(clockBoard, boardUsernames);
   // Fetch list of employees
   const employeeSelect = document.createElement('select');
   const employeesData = await getAllEmployees();
   if (employeesData.length === 0) {
     const opt = document.createElement('option');
-    opt.value = '';
-    opt.textContent = 'No employees';
-    employeeSelect.appendChild(opt);
+    opt.value = '';
+    opt.textContent = 'No employees';
+    employeeSelect.appendChild(opt);
+  } else {
+    employeesData.forEach((emp) => {
+      const opt = document.createElement('option');
+      opt.value = emp.username;
+      opt.textContent = emp.username;
+      employeeSelect.appendChild(opt);
+    });
+  }
+  // Section: Pay period schedule
+  const periodSection = document.createElement('div');
+  periodSection.style.marginTop = '20px';
+  const periodHeading = document.createElement('h3');
+  periodHeading.textContent = 'Pay Period Schedule';
+  periodSection.appendChild(periodHeading);
+  const periodInfo = document.createElement('p');
+  const scheduleList = document.createElement('ul');
+  const renderPeriodInfo = () => {
+    const current = getPayPeriodForDate(getISODateString());
+    periodInfo.textContent = `Current pay period: ${current.start} to ${current.end}`;
+    scheduleList.innerHTML = '';
+    payPeriodSchedules.forEach((schedule) => {
+      const li = document.createElement('li');
+      li.textContent = `${PAY_PERIOD_FREQUENCIES[schedule.frequency]} from ${schedule.effectiveFrom}`;
+      scheduleList.appendChild(li);
+    });
+  };
+  renderPeriodInfo();
+  periodSection.appendChild(periodInfo);
+  periodSection.appendChild(scheduleList);
+  const periodForm = document.createElement('form');
+  periodForm.classList.add('form');
+  const nextPeriodStart = addDaysISO(getPayPeriodForDate(getISODateString()).end, 1);
+  periodForm.innerHTML = `
+    <label for="periodFrequency">Frequency</label>
+    <select id="periodFrequency">
+      ${Object.keys(PAY_PERIOD_FREQUENCIES).map((key) => `<option value="${key}">${PAY_PERIOD_FREQUENCIES[key]}</option>`).join('')}
+    </select>
+    <label for="periodEffective">Effective from (first day of the first new period)</label>
+    <input type="date" id="periodEffective" min="${nextPeriodStart}" value="${nextPeriodStart}" required>
+    <button type="submit">Change Schedule</button>
+  `;
+  periodForm.querySelector('#periodFrequency').value = getPayPeriodSchedule(getISODateString()).frequency;
+  const periodMessage = document.createElement('p');
+  periodMessage.classList.add('message');
+  periodForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    periodMessage.textContent = '';
+    periodMessage.style.color = '';
+    const frequency = periodForm.querySelector('#periodFrequency').value;
+    const effectiveFrom = periodForm.querySelector('#periodEffective').value;
+    const error = validatePayPeriodSchedule(frequency, effectiveFrom);
+    if (error) {
+      periodMessage.textContent = error;
+      return;
+    }
+    await updatePayPeriodSchedule(frequency, effectiveFrom);
+    const transition = getPayPeriodForDate(addDaysISO(effectiveFrom, -1));
+    periodMessage.style.color = 'green';
+    periodMessage.textContent = `Schedule saved. The last period before the change runs ${transition.start} to ${transition.end}.`;
+    renderPeriodInfo();
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    }
+  });
+  periodSection.appendChild(periodForm);
+  periodSection.appendChild(periodMessage);
+  if (can('settings.manage')) container.appendChild(periodSection);
+  // Section: Organisation time zone
+  const zoneSection = document.createElement('div');
+  zoneSection.style.marginTop = '20px';
+  const zoneHeading = document.createElement('h3');
+  zoneHeading.textContent = 'Time Zone';
+  zoneSection.appendChild(zoneHeading);
+  const zoneNote = document.createElement('p');
+  zoneNote.textContent = 'Shift dates, pay periods and displayed times use this time zone unless an employee has their own.';
+  zoneSection.appendChild(zoneNote);
+  const zoneForm = document.createElement('form');
+  zoneForm.classList.add('form');
+  const zoneSelect = createTimeZoneSelect(organisationTimeZone, `Browser time zone (${Intl.DateTimeFormat().resolvedOptions().timeZone})`);
+  const zoneSubmit = document.createElement('button');
+  zoneSubmit.type = 'submit';
+  zoneSubmit.textContent = 'Save Time Zone';
+  zoneForm.appendChild(zoneSelect);
+  zoneForm.appendChild(zoneSubmit);
+  const zoneMessage = document.createElement('p');
+  zoneMessage.classList.add('message');
+  zoneForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await updateOrganisationTimeZone(zoneSelect.value);
+    zoneMessage.style.color = 'green';
+    zoneMessage.textContent = `Time zone set to ${getOrganisationTimeZone()}.`;
+    renderPeriodInfo();
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    }
+  });
+  zoneSection.appendChild(zoneForm);
+  zoneSection.appendChild(zoneMessage);
+  if (can('settings.manage')) container.appendChild(zoneSection);
+  // Section: Overtime rules
+  const otSection = document.createElement('div');
+  otSection.style.marginTop = '20px';
+  const otHeading = document.createElement('h3');
+  otHeading.textContent = 'Overtime Rules';
+  otSection.appendChild(otHeading);
+  const otForm = document.createElement('form');
+  otForm.classList.add('form');
+  const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  otForm.innerHTML = `
+    <label for="otWeekly">Weekly overtime after (hours, 0 = off)</label>
+    <input type="number" id="otWeekly" min="0" step="0.25" value="${overtimeRules.weeklyOvertimeThreshold}">
+    <label for="otDaily">Daily overtime after (hours, 0 = off)</label>
+    <input type="number" id="otDaily" min="0" step="0.25" value="${overtimeRules.dailyOvertimeThreshold}">
+    <label for="dtDaily">Daily double time after (hours, 0 = off)</label>
+    <input type="number" id="dtDaily" min="0" step="0.25" value="${overtimeRules.dailyDoubleTimeThreshold}">
+    <label for="otMultiplier">Overtime multiplier</label>
+    <input type="number" id="otMultiplier" min="1" step="0.05" value="${overtimeRules.overtimeMultiplier}">
+    <label for="dtMultiplier">Double time multiplier</label>
+    <input type="number" id="dtMultiplier" min="1" step="0.05" value="${overtimeRules.doubleTimeMultiplier}">
+    <label><input type="checkbox" id="seventhDay" ${overtimeRules.seventhDayRule ? 'checked' : ''}> Seventh consecutive day rule (overtime from the first hour, double time after the threshold below)</label>
+    <label for="seventhDayDt">Seventh day double time after (hours)</label>
+    <input type="number" id="seventhDayDt" min="0" step="0.25" value="${overtimeRules.seventhDayDoubleTimeThreshold}">
+    <label for="workweekStart">Workweek starts on</label>
+    <select id="workweekStart">
+      ${weekdays.map((day, i) => `<option value="${i}" ${i === overtimeRules.workweekStartDay ? 'selected' : ''}>${day}</option>`).join('')}
+    </select>
+    <button type="submit">Save Overtime Rules</button>
+  `;
+  const otMessage = document.createElement('p');
+  otMessage.classList.add('message');
+  otForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    otMessage.textContent = '';
+    const num = (id) => parseFloat(otForm.querySelector(id).value);
+    const rules = {
+      weeklyOvertimeThreshold: num('#otWeekly') || 0,
+      dailyOvertimeThreshold: num('#otDaily') || 0,
+      dailyDoubleTimeThreshold: num('#dtDaily') || 0,
+      overtimeMultiplier: num('#otMultiplier'),
+      doubleTimeMultiplier: num('#dtMultiplier'),
+      seventhDayRule: otForm.querySelector('#seventhDay').checked,
+      seventhDayDoubleTimeThreshold: num('#seventhDayDt') || 0,
+      workweekStartDay: parseInt(otForm.querySelector('#workweekStart').value, 10)
+    };
+    if (isNaN(rules.overtimeMultiplier) || isNaN(rules.doubleTimeMultiplier) ||
+        rules.overtimeMultiplier < 1 || rules.doubleTimeMultiplier < 1) {
+      otMessage.style.color = '';
+      otMessage.textContent = 'Multipliers must be at least 1.';
+      return;
+    }
+    if (rules.dailyOvertimeThreshold && rules.dailyDoubleTimeThreshold &&
+        rules.dailyDoubleTimeThreshold <= rules.dailyOvertimeThreshold) {
+      otMessage.style.color = '';
+      otMessage.textContent = 'Daily double time must start after daily overtime.';
+      return;
+    }
+    await updateOvertimeRules(rules);
+    otMessage.style.color = 'green';
+    otMessage.textContent = 'Overtime rules saved.';
+    // Refresh the selected employee so totals use the new rules
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    }
+  });
+  otSection.appendChild(otForm);
+  otSection.appendChild(otMessage);
+  if (can('settings.manage')) container.appendChild(otSection);
+  // Section: Rounding of punch times for pay
+  const roundingSection = document.createElement('div');
+  roundingSection.style.marginTop = '20px';
+  const roundingHeading = document.createElement('h3');
+  roundingHeading.textContent = 'Time Rounding';
+  roundingSection.appendChild(roundingHeading);
+  const roundingNote = document.createElement('p');
+  roundingNote.textContent = 'Raw punches are always kept; hours and pay are calculated from the rounded times. Rounding to the nearest 15 minutes is the 7-minute rule. Rules apply to shifts from their effective date, which cannot fall in an approved period.';
+  roundingSection.appendChild(roundingNote);
+  const roundingList = document.createElement('ul');
+  const renderRoundingList = () => {
+    roundingList.innerHTML = '';
+    roundingRuleSchedules.forEach((rules) => {
+      const li = document.createElement('li');
+      li.textContent = `From ${rules.effectiveFrom}: ${describeRoundingRules(rules)}`;
+      roundingList.appendChild(li);
+    });
+  };
+  renderRoundingList();
+  roundingSection.appendChild(roundingList);
+  const roundingForm = document.createElement('form');
+  roundingForm.classList.add('form');
+  const roundingModeOptions = (selected) => Object.keys(ROUNDING_MODES)
+    .map((key) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${ROUNDING_MODES[key]}</option>`).join('');
+  const currentRounding = getRoundingRules(getISODateString());
+  roundingForm.innerHTML = `
+    <label for="roundingIncrement">Round to (minutes, 0 = off)</label>
+    <input type="number" id="roundingIncrement" min="0" max="60" step="1" value="${currentRounding.increment}">
+    <label for="roundingIn">Round time in</label>
+    <select id="roundingIn">${roundingModeOptions(currentRounding.inMode)}</select>
+    <label for="roundingOut">Round time out</label>
+    <select id="roundingOut">${roundingModeOptions(currentRounding.outMode)}</select>
+    <label for="roundingEffective">Effective from (shifts on or after)</label>
+    <input type="date" id="roundingEffective" value="${getISODateString()}" required>
+    <button type="submit">Save Rounding</button>
+  `;
+  const roundingMessage = document.createElement('p');
+  roundingMessage.classList.add('message');
+  roundingForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    roundingMessage.style.color = '';
+    const increment = parseInt(roundingForm.querySelector('#roundingIncrement').value, 10) || 0;
+    if (increment < 0 || increment > 60) {
+      roundingMessage.textContent = 'The increment must be between 0 and 60 minutes.';
+      return;
+    }
+    const rules = {
+      increment,
+      inMode: roundingForm.querySelector('#roundingIn').value,
+      outMode: roundingForm.querySelector('#roundingOut').value
+    };
+    const effectiveFrom = roundingForm.querySelector('#roundingEffective').value;
+    try {
+      await updateRoundingRules(rules, effectiveFrom);
+    } catch (err) {
+      roundingMessage.textContent = err.message;
+      return;
+    }
+    renderRoundingList();
+    roundingMessage.style.color = 'green';
+    roundingMessage.textContent = `Rounding saved for shifts from ${effectiveFrom}. ${describeRoundingRules(rules)}`;
+    // Refresh the selected employee so totals use the new rounding
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    }
+  });
+  roundingSection.appendChild(roundingForm);
+  roundingSection.appendChild(roundingMessage);
+  if (can('settings.manage')) container.appendChild(roundingSection);
+  // Section: Session limits and login lockouts
+  const securitySection = document.createElement('div');
+  securitySection.style.marginTop = '20px';
+  const securityHeading = document.createElement('h3');
+  securityHeading.textContent = 'Sessions and Logins';
+  securitySection.appendChild(securityHeading);
+  const securityForm = document.createElement('form');
+  securityForm.classList.add('form');
+  securityForm.innerHTML = `
+    <label for="sessionLifetime">Log out after (hours since login, 0 = never)</label>
+    <input type="number" id="sessionLifetime" min="0" step="0.5" value="${securitySettings.sessionLifetimeHours}">
+    <label for="idleTimeout">Log out after inactivity (minutes, 0 = never)</label>
+    <input type="number" id="idleTimeout" min="0" step="1" value="${securitySettings.idleTimeoutMinutes}">
+    <label for="idleWarning">Warn before inactivity logout (seconds)</label>
+    <input type="number" id="idleWarning" min="0" step="1" value="${securitySettings.idleWarningSeconds}">
+    <label for="maxFailedLogins">Lock account after failed logins (0 = never)</label>
+    <input type="number" id="maxFailedLogins" min="0" step="1" value="${securitySettings.maxFailedLogins}">
+    <label for="lockoutMinutes">First lockout lasts (minutes, doubles each time)</label>
+    <input type="number" id="lockoutMinutes" min="0" step="1" value="${securitySettings.lockoutMinutes}">
+    <button type="submit">Save Session Settings</button>
+  `;
+  const securityMessage = document.createElement('p');
+  securityMessage.classList.add('message');
+  securityForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    securityMessage.textContent = '';
+    const num = (id) => parseFloat(securityForm.querySelector(id).value) || 0;
+    const settings = {
+      sessionLifetimeHours: num('#sessionLifetime'),
+      idleTimeoutMinutes: num('#idleTimeout'),
+      idleWarningSeconds: num('#idleWarning'),
+      maxFailedLogins: Math.floor(num('#maxFailedLogins')),
+      lockoutMinutes: num('#lockoutMinutes')
+    };
+    if (Object.values(settings).some((value) => value < 0)) {
+      securityMessage.style.color = '';
+      securityMessage.textContent = 'Values cannot be negative.';
+      return;
+    }
+    if (settings.idleTimeoutMinutes && settings.idleWarningSeconds >= settings.idleTimeoutMinutes * 60) {
+      securityMessage.style.color = '';
+      securityMessage.textContent = 'The warning must start before the inactivity logout.';
+      return;
+    }
+    await updateSecuritySettings(settings);
+    securityMessage.style.color = 'green';
+    securityMessage.textContent = 'Session settings saved.';
+  });
+  securitySection.appendChild(securityForm);
+  securitySection.appendChild(securityMessage);
+  // Failed logins, with a way to lift a lockout early
+  const lockoutContainer = document.createElement('div');
+  const refreshLockouts = async () => {
+    lockoutContainer.innerHTML = '';
+    const attempts = await getLoginAttempts();
+    if (attempts.length === 0) {
+      lockoutContainer.innerHTML = '<p>No failed logins.</p>';
+      return;
+    }
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Username</th><th>Failed Attempts</th><th>Last Failure</th><th>Locked Until</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    attempts.forEach((attempt) => {
+      const tr = document.createElement('tr');
+      const locked = attempt.lockedUntil && new Date(attempt.lockedUntil) > new Date();
+      [
+        attempt.username,
+        attempt.failures,
+        new Date(attempt.lastFailureAt).toLocaleString(),
+        locked ? new Date(attempt.lockedUntil).toLocaleString() : ''
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      const actionTd = document.createElement('td');
+      const clearBtn = document.createElement('button');
+      clearBtn.textContent = locked ? 'Unlock' : 'Clear';
+      clearBtn.addEventListener('click', async () => {
+        await clearLoginLockout(attempt.username);
+        await refreshLockouts();
+      });
+      actionTd.appendChild(clearBtn);
+      tr.appendChild(actionTd);
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    lockoutContainer.appendChild(table);
+  };
+  const lockoutHeading = document.createElement('h4');
+  lockoutHeading.textContent = 'Failed Logins';
+  securitySection.appendChild(lockoutHeading);
+  securitySection.appendChild(lockoutContainer);
+  if (can('settings.manage')) {
+    container.appendChild(securitySection);
+    await refreshLockouts();
+  }
+  // Section: Weekly schedule editor. Each cell holds the shifts of one
+  // employee on one day, in the employee's time zone.
+  const scheduleSection = document.createElement('div');
+  scheduleSection.style.marginTop = '20px';
+  const scheduleHeading = document.createElement('h3');
+  scheduleHeading.textContent = 'Weekly Schedule';
+  scheduleSection.appendChild(scheduleHeading);
+  const scheduleNote = document.createElement('p');
+  scheduleNote.textContent = 'Enter shifts as 24 hour time ranges, e.g. 09:00-17:00, separated by commas. An end before the start runs into the next day.';
+  scheduleSection.appendChild(scheduleNote);
+  let scheduleWeekStart = getWorkweekStart(getISODateString(), overtimeRules.workweekStartDay);
+  const scheduleNav = document.createElement('div');
+  const schedulePrev = document.createElement('button');
+  schedulePrev.textContent = 'Previous Week';
+  const scheduleLabel = document.createElement('span');
+  scheduleLabel.style.margin = '0 10px';
+  const scheduleNext = document.createElement('button');
+  scheduleNext.textContent = 'Next Week';
+  scheduleNav.appendChild(schedulePrev);
+  scheduleNav.appendChild(scheduleLabel);
+  scheduleNav.appendChild(scheduleNext);
+  scheduleSection.appendChild(scheduleNav);
+  const scheduleGrid = document.createElement('div');
+  scheduleGrid.style.overflowX = 'auto';
+  scheduleSection.appendChild(scheduleGrid);
+  const copyWeekBtn = document.createElement('button');
+  copyWeekBtn.textContent = 'Copy Previous Week';
+  copyWeekBtn.style.marginTop = '10px';
+  const saveScheduleBtn = document.createElement('button');
+  saveScheduleBtn.textContent = 'Save Schedule';
+  saveScheduleBtn.style.marginLeft = '10px';
+  scheduleSection.appendChild(copyWeekBtn);
+  scheduleSection.appendChild(saveScheduleBtn);
+  const scheduleMessage = document.createElement('p');
+  scheduleMessage.classList.add('message');
+  scheduleSection.appendChild(scheduleMessage);
+  // Fill the grid's inputs from the schedules of the week starting on
+  // `weekStart` (the displayed week, or the one before when copying)
+  const fillScheduleGrid = async (weekStart) => {
+    const schedules = await getSchedules(weekStart, addDaysISO(weekStart, 6));
+    scheduleGrid.querySelectorAll('input').forEach((input) => {
+      const date = addDaysISO(weekStart, parseInt(input.dataset.day, 10));
+      const schedule = schedules.find((entry) => entry.username === input.dataset.username && entry.date === date);
+      input.value = schedule ? formatScheduleText(schedule.shifts, input.dataset.timeZone) : '';
+    });
+  };
+  const renderScheduleGrid = async () => {
+    scheduleMessage.textContent = '';
+    scheduleLabel.textContent = `${scheduleWeekStart} to ${addDaysISO(scheduleWeekStart, 6)}`;
+    scheduleGrid.innerHTML = '';
+    const employees = await getAllEmployees();
+    if (employees.length === 0) {
+      scheduleGrid.innerHTML = '<p>No employees.</p>';
+      return;
+    }
+    employees.sort((a, b) => (a.username < b.username ? -1 : 1));
+    const table = document.createElement('table');
+    const days = [0, 1, 2, 3, 4, 5, 6].map((day) => addDaysISO(scheduleWeekStart, day));
+    table.innerHTML = `<thead><tr><th>Employee</th>${days.map((date) => `<th>${new Date(`${date}T00:00`).toLocaleDateString(undefined, { weekday: 'short' })} ${date.slice(5)}</th>`).join('')}</tr></thead>`;
+    const tbody = document.createElement('tbody');
+    employees.forEach((emp) => {
+      const tr = document.createElement('tr');
+      const nameTd = document.createElement('td');
+      nameTd.textContent = emp.username;
+      tr.appendChild(nameTd);
+      days.forEach((date, day) => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = '09:00-17:00';
+        input.size = 11;
+        input.dataset.username = emp.username;
+        input.dataset.timeZone = getUserTimeZone(emp);
+        input.dataset.day = day;
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    scheduleGrid.appendChild(table);
+    await fillScheduleGrid(scheduleWeekStart);
+  };
+  schedulePrev.addEventListener('click', async () => {
+    scheduleWeekStart = addDaysISO(scheduleWeekStart, -7);
+    await renderScheduleGrid();
+  });
+  scheduleNext.addEventListener('click', async () => {
+    scheduleWeekStart = addDaysISO(scheduleWeekStart, 7);
+    await renderScheduleGrid();
+  });
+  copyWeekBtn.addEventListener('click', async () => {
+    await fillScheduleGrid(addDaysISO(scheduleWeekStart, -7));
+    scheduleMessage.style.color = '';
+    scheduleMessage.textContent = 'Copied the previous week. Save to keep it.';
+  });
+  saveScheduleBtn.addEventListener('click', async () => {
+    scheduleMessage.style.color = '';
+    scheduleMessage.textContent = '';
+    // Validate every cell before writing anything
+    const changes = [];
+    for (const input of scheduleGrid.querySelectorAll('input')) {
+      const date = addDaysISO(scheduleWeekStart, parseInt(input.dataset.day, 10));
+      try {
+        changes.push({ username: input.dataset.username, date, shifts: parseScheduleText(input.value, date, input.dataset.timeZone) });
+      } catch (err) {
+        scheduleMessage.textContent = `${input.dataset.username} on ${date}: ${err.message}`;
+        input.focus();
+        return;
+      }
+    }
+    for (const change of changes) {
+      await setSchedule(change.username, change.date, change.shifts);
+    }
+    await renderScheduleGrid();
+    scheduleMessage.style.color = 'green';
+    scheduleMessage.textContent = 'Schedule saved.';
+  });
+  if (can('schedules.manage')) {
+    container.appendChild(scheduleSection);
+    await renderScheduleGrid();
+  }
+  // Section: Schedule variance report
+  const varianceSection = document.createElement('div');
+  varianceSection.style.marginTop = '20px';
+  const varianceHeading = document.createElement('h3');
+  varianceHeading.textContent = 'Schedule Variance';
+  varianceSection.appendChild(varianceHeading);
+  const graceForm = document.createElement('form');
+  graceForm.classList.add('form');
+  graceForm.innerHTML = `
+    <label for="lateGrace">Flag punch ins later than (minutes after the scheduled start)</label>
+    <input type="number" id="lateGrace" min="0" step="1" value="${scheduleSettings.lateGraceMinutes}">
+    <label for="earlyGrace">Flag punch outs earlier than (minutes before the scheduled end)</label>
+    <input type="number" id="earlyGrace" min="0" step="1" value="${scheduleSettings.earlyGraceMinutes}">
+    <button type="submit">Save Grace Periods</button>
+  `;
+  const graceMessage = document.createElement('p');
+  graceMessage.classList.add('message');
+  let variancePeriod = getPayPeriodForDate(getISODateString());
+  const varianceNav = document.createElement('div');
+  const variancePrev = document.createElement('button');
+  variancePrev.textContent = 'Previous Period';
+  const varianceLabel = document.createElement('span');
+  varianceLabel.style.margin = '0 10px';
+  const varianceNext = document.createElement('button');
+  varianceNext.textContent = 'Next Period';
+  const varianceExportBtn = document.createElement('button');
+  varianceExportBtn.textContent = 'Export CSV';
+  varianceExportBtn.style.marginLeft = '10px';
+  varianceNav.appendChild(variancePrev);
+  varianceNav.appendChild(varianceLabel);
+  varianceNav.appendChild(varianceNext);
+  varianceNav.appendChild(varianceExportBtn);
+  const varianceTable = document.createElement('div');
+  const renderVarianceReport = async () => {
+    varianceLabel.textContent = `${variancePeriod.start} to ${variancePeriod.end}`;
+    const report = await buildVarianceReport(variancePeriod);
+    renderVarianceTable(varianceTable, report.variances, { showEmployee: true });
+  };
+  graceForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const lateGraceMinutes = parseFloat(graceForm.querySelector('#lateGrace').value) || 0;
+    const earlyGraceMinutes = parseFloat(graceForm.querySelector('#earlyGrace').value) || 0;
+    if (lateGraceMinutes < 0 || earlyGraceMinutes < 0) {
+      graceMessage.style.color = '';
+      graceMessage.textContent = 'Grace periods cannot be negative.';
+      return;
+    }
+    await updateScheduleSettings({ lateGraceMinutes, earlyGraceMinutes });
+    graceMessage.style.color = 'green';
+    graceMessage.textContent = 'Grace periods saved.';
+    await renderVarianceReport();
+  });
+  variancePrev.addEventListener('click', async () => {
+    variancePeriod = getAdjacentPayPeriod(variancePeriod, -1);
+    await renderVarianceReport();
+  });
+  varianceNext.addEventListener('click', async () => {
+    variancePeriod = getAdjacentPayPeriod(variancePeriod, 1);
+    await renderVarianceReport();
+  });
+  varianceExportBtn.addEventListener('click', async () => {
+    const report = await buildVarianceReport(variancePeriod);
+    downloadFile(`schedule_variance_${variancePeriod.start}_to_${variancePeriod.end}.csv`, varianceReportToCsv(report), 'text/csv');
+  });
+  if (can('settings.manage')) {
+    varianceSection.appendChild(graceForm);
+    varianceSection.appendChild(graceMessage);
+  }
+  varianceSection.appendChild(varianceNav);
+  varianceSection.appendChild(varianceTable);
+  if (can('employees.view')) {
+    container.appendChild(varianceSection);
+    await renderVarianceReport();
+  }
+  // Section: Paid time off policy and requests awaiting a decision
+  const ptoSection = document.createElement('div');
+  ptoSection.style.marginTop = '20px';
+  const ptoHeading = document.createElement('h3');
+  ptoHeading.textContent = 'Time Off';
+  ptoSection.appendChild(ptoHeading);
+  const ptoForm = document.createElement('form');
+  ptoForm.classList.add('form');
+  ptoForm.innerHTML = `
+    <label for="ptoMethod">Accrual</label>
+    <select id="ptoMethod">
+      <option value="perHour">Per hour worked</option>
+      <option value="perPeriod">Per pay period</option>
+    </select>
+    ${Object.keys(PTO_TYPES).map((type) => `
+      <label for="ptoRate-${type}">${PTO_TYPES[type]} accrued (hours per hour worked or per pay period)</label>
+      <input type="number" id="ptoRate-${type}" min="0" step="any" value="${(ptoPolicy.accrualRates || {})[type] || 0}">
+      <label for="ptoMax-${type}">${PTO_TYPES[type]} maximum balance (hours, 0 = no limit)</label>
+      <input type="number" id="ptoMax-${type}" min="0" step="0.25" value="${(ptoPolicy.maxBalances || {})[type] || 0}">
+    `).join('')}
+    <button type="submit">Save Time Off Policy</button>
+  `;
+  ptoForm.querySelector('#ptoMethod').value = ptoPolicy.accrualMethod;
+  const ptoMessage = document.createElement('p');
+  ptoMessage.classList.add('message');
+  ptoForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const accrualRates = {};
+    const maxBalances = {};
+    Object.keys(PTO_TYPES).forEach((type) => {
+      accrualRates[type] = parseFloat(ptoForm.querySelector(`#ptoRate-${type}`).value) || 0;
+      maxBalances[type] = parseFloat(ptoForm.querySelector(`#ptoMax-${type}`).value) || 0;
+    });
+    if ([...Object.values(accrualRates), ...Object.values(maxBalances)].some((value) => value < 0)) {
+      ptoMessage.style.color = '';
+      ptoMessage.textContent = 'Values cannot be negative.';
+      return;
+    }
+    await updatePtoPolicy({ accrualMethod: ptoForm.querySelector('#ptoMethod').value, accrualRates, maxBalances });
+    ptoMessage.style.color = 'green';
+    ptoMessage.textContent = 'Time off policy saved.';
+    await refreshPtoRequests();
+  });
+  if (can('settings.manage')) {
+    ptoSection.appendChild(ptoForm);
+    ptoSection.appendChild(ptoMessage);
+  }
+  const ptoRequestsHeading = document.createElement('h4');
+  ptoRequestsHeading.textContent = 'Requests Awaiting Approval';
+  ptoSection.appendChild(ptoRequestsHeading);
+  const ptoRequestsContainer = document.createElement('div');
+  ptoSection.appendChild(ptoRequestsContainer);
+  const refreshPtoRequests = async () => {
+    ptoRequestsContainer.innerHTML = '';
+    const requests = await getPendingPtoRequests();
+    if (requests.length === 0) {
+      ptoRequestsContainer.innerHTML = '<p>No requests awaiting approval.</p>';
+      return;
+    }
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Employee</th><th>Type</th><th>From</th><th>To</th><th>Hours</th><th>Available</th><th>Note</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    for (const request of requests) {
+      const userDoc = await db.collection('users').doc(request.username).get();
+      // The request's own hours are pending, so add them back
+      const hours = getPtoRequestHours(request);
+      const balance = userDoc.exists ? (await getPtoBalances(userDoc.data()))[request.type] : null;
+      const available = balance ? balance.available + hours : 0;
+      const tr = document.createElement('tr');
+      [
+        request.username,
+        PTO_TYPES[request.type],
+        request.startDate,
+        request.endDate,
+        hours.toFixed(2),
+        available.toFixed(2),
+        request.note
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      if (hours > available) {
+        tr.style.backgroundColor = '#fff3cd';
+      }
+      const actionTd = document.createElement('td');
+      const approveBtn = document.createElement('button');
+      approveBtn.textContent = 'Approve';
+      approveBtn.addEventListener('click', async () => {
+        if (hours > available &&
+            !confirm(`${request.username} only has ${available.toFixed(2)} hours available. Approve anyway?`)) {
+          return;
+        }
+        try {
+          await decidePtoRequest(request, true);
+        } catch (err) {
+          alert(err.message);
+          await refreshPtoRequests();
+          return;
+        }
+        await refreshPtoRequests();
+        if (employeeSelect.value === request.username) {
+          await renderEmployeeDetails(request.username);
+        }
+      });
+      const denyBtn = document.createElement('button');
+      denyBtn.textContent = 'Deny';
+      denyBtn.style.marginLeft = '10px';
+      denyBtn.addEventListener('click', async () => {
+        const note = prompt('Reason for denying the request (shown to the employee):');
+        if (note === null) return;
+        try {
+          await decidePtoRequest(request, false, note.trim());
+        } catch (err) {
+          alert(err.message);
+        }
+        await refreshPtoRequests();
+      });
+      actionTd.appendChild(approveBtn);
+      actionTd.appendChild(denyBtn);
+      tr.appendChild(actionTd);
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    ptoRequestsContainer.appendChild(table);
+  };
+  if (can('requests.decide')) {
+    container.appendChild(ptoSection);
+    await refreshPtoRequests();
+  }
+  // Section: Missed punch corrections awaiting a decision
+  const correctionSection = document.createElement('div');
+  correctionSection.style.marginTop = '20px';
+  const correctionHeading = document.createElement('h3');
+  correctionHeading.textContent = 'Correction Requests';
+  correctionSection.appendChild(correctionHeading);
+  const correctionContainer = document.createElement('div');
+  correctionSection.appendChild(correctionContainer);
+  const refreshCorrections = async () => {
+    correctionContainer.innerHTML = '';
+    const requests = await getPendingCorrectionRequests();
+    if (requests.length === 0) {
+      correctionContainer.innerHTML = '<p>No correction requests awaiting approval.</p>';
+      return;
+    }
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Employee</th><th>Date</th><th>Current</th><th>Proposed</th><th>Reason</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    for (const request of requests) {
+      const timeZone = await getTimeZoneForUser(request.username);
+      let current = 'No shift';
+      let proposedStart = request.timeIn ? new Date(request.timeIn) : null;
+      let proposedEnd = request.timeOut ? new Date(request.timeOut) : null;
+      if (request.shiftId) {
+        const shiftDoc = await db.collection('shifts').doc(request.shiftId).get();
+        if (shiftDoc.exists) {
+          const times = resolveShiftTimes(shiftDoc.data(), timeZone);
+          current = formatTimeRange(times.start, times.end, request.date, timeZone);
+          proposedStart = proposedStart || times.start;
+          proposedEnd = proposedEnd || times.end;
+        } else {
+          current = 'Shift deleted';
+        }
+      }
+      const tr = document.createElement('tr');
+      [
+        request.username,
+        request.date,
+        current,
+        formatTimeRange(proposedStart, proposedEnd, request.date, timeZone),
+        request.reason
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      const actionTd = document.createElement('td');
+      const approveBtn = document.createElement('button');
+      approveBtn.textContent = 'Approve';
+      approveBtn.addEventListener('click', async () => {
+        try {
+          await decideCorrectionRequest(request, true);
+        } catch (err) {
+          alert(err.message);
+          await refreshCorrections();
+          return;
+        }
+        await refreshCorrections();
+        await refreshReview();
+        if (employeeSelect.value === request.username) {
+          await renderEmployeeDetails(request.username);
+        }
+      });
+      const rejectBtn = document.createElement('button');
+      rejectBtn.textContent = 'Reject';
+      rejectBtn.style.marginLeft = '10px';
+      rejectBtn.addEventListener('click', async () => {
+        const note = prompt('Comment for the employee:');
+        if (note === null) return;
+        try {
+          await decideCorrectionRequest(request, false, note.trim());
+        } catch (err) {
+          alert(err.message);
+        }
+        await refreshCorrections();
+      });
+      actionTd.appendChild(approveBtn);
+      actionTd.appendChild(rejectBtn);
+      tr.appendChild(actionTd);
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    correctionContainer.appendChild(table);
+  };
+  if (can('requests.decide')) {
+    container.appendChild(correctionSection);
+    await refreshCorrections();
+  }
+  // Section: Auto clock-out policy and the shifts it closed
+  const autoSection = document.createElement('div');
+  autoSection.style.marginTop = '20px';
+  const autoHeading = document.createElement('h3');
+  autoHeading.textContent = 'Auto Clock-Out';
+  autoSection.appendChild(autoHeading);
+  const autoNote = document.createElement('p');
+  autoNote.textContent = 'Shifts that are never punched out are closed automatically and listed below until they are adjusted or marked as reviewed. The employee is asked for their real time out.';
+  autoSection.appendChild(autoNote);
+  const autoForm = document.createElement('form');
+  autoForm.classList.add('form');
+  autoForm.innerHTML = `
+    <label for="autoMode">Close open shifts</label>
+    <select id="autoMode">
+      ${Object.keys(AUTO_CLOCK_OUT_MODES).map((key) => `<option value="${key}" ${key === autoClockOutPolicy.mode ? 'selected' : ''}>${AUTO_CLOCK_OUT_MODES[key]}</option>`).join('')}
+    </select>
+    <label for="autoHours">Hours after punching in</label>
+    <input type="number" id="autoHours" min="1" step="0.25" value="${autoClockOutPolicy.maxShiftHours}">
+    <label for="autoCutoff">Time of day (in the employee's time zone)</label>
+    <input type="time" id="autoCutoff" value="${autoClockOutPolicy.cutoffTime}">
+    <button type="submit">Save Policy</button>
+  `;
+  const autoMessage = document.createElement('p');
+  autoMessage.classList.add('message');
+  const reviewContainer = document.createElement('div');
+  const refreshReview = async () => {
+    reviewContainer.innerHTML = '';
+    const shifts = await getShiftsNeedingReview();
+    if (shifts.length === 0) {
+      reviewContainer.innerHTML = '<p>No shifts need review.</p>';
+      return;
+    }
+    const pendingCorrections = new Set((await getPendingCorrectionRequests()).map((request) => request.shiftId));
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Employee</th><th>Date</th><th>Time In</th><th>Auto Time Out</th><th>Correction</th><th></th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    for (const shift of shifts) {
+      const timeZone = await getTimeZoneForUser(shift.username);
+      const times = resolveShiftTimes(shift, timeZone);
+      const tr = document.createElement('tr');
+      [
+        shift.username,
+        shift.date,
+        formatShiftTime(times.start, shift.date, timeZone),
+        formatShiftTime(times.end, shift.date, timeZone),
+        pendingCorrections.has(shift.docId) ? 'Requested' : ''
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      const actionTd = document.createElement('td');
+      const keepBtn = document.createElement('button');
+      keepBtn.textContent = 'Mark Reviewed';
+      keepBtn.addEventListener('click', async () => {
+        await markShiftReviewed(shift);
+        await refreshReview();
+      });
+      const showBtn = document.createElement('button');
+      showBtn.textContent = 'Show Employee';
+      showBtn.style.marginLeft = '10px';
+      showBtn.addEventListener('click', async () => {
+        employeeSelect.value = shift.username;
+        await renderEmployeeDetails(shift.username);
+      });
+      actionTd.appendChild(keepBtn);
+      actionTd.appendChild(showBtn);
+      tr.appendChild(actionTd);
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    reviewContainer.appendChild(table);
+  };
+  autoForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const mode = autoForm.querySelector('#autoMode').value;
+    const maxShiftHours = parseFloat(autoForm.querySelector('#autoHours').value);
+    const cutoffTime = autoForm.querySelector('#autoCutoff').value;
+    autoMessage.style.color = '';
+    if (mode === 'afterHours' && !(maxShiftHours > 0)) {
+      autoMessage.textContent = 'Please enter the number of hours after which shifts are closed.';
+      return;
+    }
+    if (mode === 'cutoff' && !cutoffTime) {
+      autoMessage.textContent = 'Please choose the time of day at which shifts are closed.';
+      return;
+    }
+    await updateAutoClockOutPolicy({ mode, maxShiftHours: maxShiftHours || autoClockOutPolicy.maxShiftHours, cutoffTime: cutoffTime || autoClockOutPolicy.cutoffTime });
+    const closed = await autoClockOutOpenShifts();
+    autoMessage.style.color = 'green';
+    autoMessage.textContent = `Policy saved.${closed.length > 0 ? ` ${closed.length} open shift(s) closed.` : ''}`;
+    await refreshReview();
+  });
+  if (can('settings.manage')) {
+    autoSection.appendChild(autoForm);
+    autoSection.appendChild(autoMessage);
+  }
+  const reviewHeading = document.createElement('h4');
+  reviewHeading.textContent = 'Needs Review';
+  autoSection.appendChild(reviewHeading);
+  autoSection.appendChild(reviewContainer);
+  if (can('shifts.adjust')) {
+    container.appendChild(autoSection);
+    await refreshReview();
+  }
+  // Section: Company-wide payroll report
+  const payrollSection = document.createElement('div');
+  payrollSection.style.marginTop = '20px';
+  const payrollHeading = document.createElement('h3');
+  payrollHeading.textContent = 'Payroll Report';
+  payrollSection.appendChild(payrollHeading);
+  let payrollPeriod = getPayPeriodForDate(getISODateString());
+  const payrollNav = document.createElement('div');
+  const payrollPrev = document.createElement('button');
+  payrollPrev.textContent = 'Previous Period';
+  const payrollLabel = document.createElement('span');
+  payrollLabel.style.margin = '0 10px';
+  const payrollNext = document.createElement('button');
+  payrollNext.textContent = 'Next Period';
+  payrollNav.appendChild(payrollPrev);
+  payrollNav.appendChild(payrollLabel);
+  payrollNav.appendChild(payrollNext);
+  payrollSection.appendChild(payrollNav);
+  const detailLabel = document.createElement('label');
+  detailLabel.style.display = 'block';
+  detailLabel.style.marginTop = '10px';
+  const detailCheckbox = document.createElement('input');
+  detailCheckbox.type = 'checkbox';
+  detailLabel.appendChild(detailCheckbox);
+  detailLabel.appendChild(document.createTextNode(' Include a detailed sheet of every shift'));
+  payrollSection.appendChild(detailLabel);
+  const formatSelect = document.createElement('select');
+  formatSelect.style.marginTop = '10px';
+  Object.keys(PAYROLL_EXPORTERS).forEach((id) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = PAYROLL_EXPORTERS[id].label;
+    formatSelect.appendChild(opt);
+  });
+  payrollSection.appendChild(formatSelect);
+  const payrollBtn = document.createElement('button');
+  payrollBtn.textContent = 'Export Payroll';
+  payrollBtn.style.marginTop = '10px';
+  payrollBtn.style.marginLeft = '10px';
+  payrollSection.appendChild(payrollBtn);
+  const payrollPreview = document.createElement('div');
+  payrollSection.appendChild(payrollPreview);
+  // Show a summary of the chosen period so problems such as open shifts
+  // are visible before the report is exported.
+  const renderPayrollPreview = async () => {
+    payrollLabel.textContent = `${payrollPeriod.start} to ${payrollPeriod.end}`;
+    const report = await buildPayrollReport(payrollPeriod);
+    renderPayrollSummary(payrollPreview, report);
+  };
+  payrollPrev.addEventListener('click', async () => {
+    payrollPeriod = getAdjacentPayPeriod(payrollPeriod, -1);
+    await renderPayrollPreview();
+  });
+  payrollNext.addEventListener('click', async () => {
+    payrollPeriod = getAdjacentPayPeriod(payrollPeriod, 1);
+    await renderPayrollPreview();
+  });
+  payrollBtn.addEventListener('click', async () => {
+    const report = await buildPayrollReport(payrollPeriod);
+    renderPayrollSummary(payrollPreview, report);
+    const flagged = report.employees.filter((emp) => emp.openShifts > 0);
+    if (flagged.length > 0 &&
+        !confirm(`${flagged.map((emp) => emp.username).join(', ')} still have open shifts in this period. Export anyway?`)) {
+      return;
+    }
+    const unapproved = report.employees.filter((emp) => emp.timesheetStatus !== 'approved');
+    if (unapproved.length > 0 &&
+        !confirm(`The timesheets of ${unapproved.map((emp) => emp.username).join(', ')} have not been approved. Export anyway?`)) {
+      return;
+    }
+    try {
+      exportPayrollReport(formatSelect.value, report, { includeDetails: detailCheckbox.checked });
+    } catch (err) {
+      console.error(err);
+      alert(`Export failed: ${err.message}`);
+    }
+  });
+  await renderPayrollPreview();
+  // Export settings are free-form JSON so that each format can define its
+  // own options without changes to this form.
+  const exportSettingsLabel = document.createElement('label');
+  exportSettingsLabel.textContent = 'Export settings (JSON, keyed by format):';
+  exportSettingsLabel.style.display = 'block';
+  exportSettingsLabel.style.marginTop = '10px';
+  const exportSettingsInput = document.createElement('textarea');
+  exportSettingsInput.rows = 8;
+  exportSettingsInput.style.width = '100%';
+  exportSettingsInput.value = JSON.stringify(exportSettings, null, 2);
+  exportSettingsInput.placeholder = '{ "quickbooks-iif": { "employeeIds": { "alice": "Alice Smith" } } }';
+  const exportSettingsBtn = document.createElement('button');
+  exportSettingsBtn.textContent = 'Save Export Settings';
+  const exportSettingsMessage = document.createElement('p');
+  exportSettingsMessage.classList.add('message');
+  exportSettingsBtn.addEventListener('click', async () => {
+    exportSettingsMessage.textContent = '';
+    exportSettingsMessage.style.color = '';
+    let parsed;
+    try {
+      parsed = JSON.parse(exportSettingsInput.value || '{}');
+    } catch (err) {
+      exportSettingsMessage.textContent = `Invalid JSON: ${err.message}`;
+      return;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      exportSettingsMessage.textContent = 'Export settings must be a JSON object.';
+      return;
+    }
+    await updateExportSettings(parsed);
+    exportSettingsMessage.style.color = 'green';
+    exportSettingsMessage.textContent = 'Export settings saved.';
+  });
+  if (can('settings.manage')) {
+    payrollSection.appendChild(exportSettingsLabel);
+    payrollSection.appendChild(exportSettingsInput);
+    payrollSection.appendChild(exportSettingsBtn);
+    payrollSection.appendChild(exportSettingsMessage);
+  }
+  if (can('payroll.export')) container.appendChild(payrollSection);
+  // Section: Add employee form
+  const addSection = document.createElement('div');
+  addSection.style.marginTop = '20px';
+  const addHeading = document.createElement('h3');
+  addHeading.textContent = 'Add New Employee';
+  addSection.appendChild(addHeading);
+  const addForm = document.createElement('form');
+  addForm.classList.add('form');
+  addForm.innerHTML = `
+    <label for="newUsername">Username</label>
+    <input type="text" id="newUsername" name="newUsername" required>
+    <label for="newPassword">Password</label>
+    <input type="password" id="newPassword" name="newPassword" required>
+    <label for="newRate">Hourly Rate</label>
+    <input type="number" id="newRate" name="newRate" min="0" step="0.01" required>
+    <label for="newRole">Role</label>
+    <select id="newRole">
+      ${Object.keys(STAFF_ROLES).map((role) => `<option value="${role}">${STAFF_ROLES[role]}</option>`).join('')}
+    </select>
+    <label for="newDepartment">Department</label>
+    <input type="text" id="newDepartment" placeholder="Optional for employees">
+    <button type="submit">Add Employee</button>
+  `;
+  const addMessage = document.createElement('p');
+  addMessage.classList.add('message');
+  addForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    addMessage.textContent = '';
+    const uname = addForm.querySelector('#newUsername').value.trim();
+    const pwd = addForm.querySelector('#newPassword').value;
+    const rate = parseFloat(addForm.querySelector('#newRate').value);
+    const role = addForm.querySelector('#newRole').value;
+    const department = addForm.querySelector('#newDepartment').value.trim();
+    if (!uname || !pwd) {
+      addMessage.textContent = 'Please enter a username and password.';
+      return;
+    }
+    try {
+      validateUserAccess(role, department);
+    } catch (err) {
+      addMessage.textContent = err.message;
+      return;
+    }
+    const exists = await db.collection('users').doc(uname).get();
+    if (exists.exists) {
+      addMessage.textContent = 'Username already exists.';
+      return;
+    }
+    try {
+      await addEmployee(uname, pwd, rate, { role, department });
+    } catch (err) {
+      // e.g. auth/weak-password, or an Auth account left over from a
+      // deleted employee
+      console.error(err);
+      addMessage.textContent = `Could not create account: ${err.message}`;
+      return;
+    }
+    addMessage.style.color = 'green';
+    addMessage.textContent = `Employee ${uname} added.`;
+    await refreshEmployeeSelect();
+  });
+  addSection.appendChild(addForm);
+  addSection.appendChild(addMessage);
+  if (can('users.manage')) container.appendChild(addSection);
+  // Section: Kiosk accounts for shared punch-in devices
+  const kioskSection = document.createElement('div');
+  kioskSection.style.marginTop = '20px';
+  const kioskHeading = document.createElement('h3');
+  kioskHeading.textContent = 'Kiosks';
+  kioskSection.appendChild(kioskHeading);
+  const kioskNote = document.createElement('p');
+  kioskNote.textContent = 'To set up a shared device, open kiosk.html on it and sign in with a kiosk account. Employees need a kiosk PIN, set from their details below.';
+  kioskSection.appendChild(kioskNote);
+  const kioskList = document.createElement('ul');
+  const refreshKiosks = async () => {
+    kioskList.innerHTML = '';
+    const kiosks = await getKioskAccounts();
+    if (kiosks.length === 0) {
+      kioskList.innerHTML = '<li>No kiosk accounts.</li>';
+      return;
+    }
+    kiosks.sort((a, b) => (a.username < b.username ? -1 : 1)).forEach((kiosk) => {
+      const li = document.createElement('li');
+      li.textContent = `${kiosk.username} (${kiosk.kioskEnabled ? 'enabled' : 'disabled'})`;
+      const toggleBtn = document.createElement('button');
+      toggleBtn.textContent = kiosk.kioskEnabled ? 'Disable' : 'Enable';
+      toggleBtn.style.marginLeft = '10px';
+      toggleBtn.addEventListener('click', async () => {
+        await setKioskEnabled(kiosk.username, !kiosk.kioskEnabled);
+        await refreshKiosks();
+      });
+      li.appendChild(toggleBtn);
+      kioskList.appendChild(li);
+    });
+  };
+  kioskSection.appendChild(kioskList);
+  const kioskForm = document.createElement('form');
+  kioskForm.classList.add('form');
+  kioskForm.innerHTML = `
+    <label for="kioskUsername">Kiosk account name</label>
+    <input type="text" id="kioskUsername" required>
+    <label for="kioskPassword">Password</label>
+    <input type="password" id="kioskPassword" autocomplete="new-password" required>
+    <button type="submit">Add Kiosk</button>
+  `;
+  const kioskMessage = document.createElement('p');
+  kioskMessage.classList.add('message');
+  kioskForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    kioskMessage.style.color = '';
+    kioskMessage.textContent = '';
+    const kioskName = kioskForm.querySelector('#kioskUsername').value.trim();
+    const kioskPassword = kioskForm.querySelector('#kioskPassword').value;
+    if ((await db.collection('users').doc(kioskName).get()).exists) {
+      kioskMessage.textContent = 'That name is already in use.';
+      return;
+    }
+    try {
+      await addKioskAccount(kioskName, kioskPassword);
+    } catch (err) {
+      console.error(err);
+      kioskMessage.textContent = `Could not create account: ${err.message}`;
+      return;
+    }
+    kioskForm.reset();
+    kioskMessage.style.color = 'green';
+    kioskMessage.textContent = `Kiosk ${kioskName} added.`;
+    await refreshKiosks();
+  });
+  kioskSection.appendChild(kioskForm);
+  kioskSection.appendChild(kioskMessage);
+  if (can('users.manage')) {
+    container.appendChild(kioskSection);
+    await refreshKiosks();
+  }
+  // Section: Mock data tools (development only)
+  if (window.useMock && can('users.manage')) {
+    const mockSection = document.createElement('div');
+    mockSection.style.marginTop = '20px';
+    renderMockDataTools(mockSection);
+    container.appendChild(mockSection);
+  }
+  // Section: Bulk import from CSV
+  const importSection = document.createElement('div');
+  importSection.style.marginTop = '20px';
+  if (can('users.manage')) container.appendChild(importSection);
+  renderImportWizard(importSection, async () => {
+    await refreshEmployeeSelect();
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    }
+  });
+  // Refresh employee list, keeping the current selection if possible
+  async function refreshEmployeeSelect() {
+    const selected = employeeSelect.value;
+    const empOpts = employeeSelect.querySelectorAll('option');
+    empOpts.forEach(opt => opt.remove());
+    const updatedEmployees = await getAllEmployees();
+    updatedEmployees.forEach(emp => {
+      const opt = document.createElement('option');
+      opt.value = emp.username;
+      opt.textContent = emp.username;
+      employeeSelect.appendChild(opt);
+    });
+    if (updatedEmployees.some((emp) => emp.username === selected)) {
+      employeeSelect.value = selected;
+    }
+  }
+  // Section: Select employee to view details
+  const selectSection = document.createElement('div');
+  selectSection.style.marginTop = '20px';
+  const selectLabel = document.createElement('label');
+  selectLabel.textContent = 'Select employee:';
+  selectLabel.style.marginRight = '10px';
+  selectSection.appendChild(selectLabel);
+  selectSection.appendChild(employeeSelect);
+  container.appendChild(selectSection);
+  // Placeholder for employee details
+  const detailsDiv = document.createElement('div');
+  detailsDiv.id = 'employeeDetails';
+  detailsDiv.style.marginTop = '20px';
+  container.appendChild(detailsDiv);
+  // When employee selection changes, render details
+  employeeSelect.addEventListener('change', async () => {
+    if (employeeSelect.value) {
+      await renderEmployeeDetails(employeeSelect.value);
+    } else {
+      detailsDiv.innerHTML = '';
+    }
+  });
+  // Automatically select first employee if available
+  if (employeesData.length > 0) {
+    employeeSelect.value = employeesData[0].username;
+    await renderEmployeeDetails(employeesData[0].username);
+  }
+}
+
+/**
+ * Render the detail view for a single employee within the admin dashboard.
+ * This includes the ability to modify adjusted times, change the hourly
+ * rate, delete the employee, navigate pay periods, and export CSV reports.
+ *
+ * @param {string} username
+ */
+async function renderEmployeeDetails(username) {
+  const detailsDiv = document.getElementById('employeeDetails');
+  detailsDiv.innerHTML = '';
+  // Get user data
+  const userDoc = await db.collection('users').doc(username).get();
+  if (!userDoc.exists) {
+    detailsDiv.textContent = 'Employee not found.';
+    return;
+  }
+  const userData = userDoc.data();
+  if (!can('employees.view', userData)) {
+    detailsDiv.textContent = 'You do not have permission to view this employee.';
+    return;
+  }
+  // Supervisors can work with their team's time but not manage accounts
+  const canManage = can('users.manage', userData);
+  const canAdjust = can('shifts.adjust', userData);
+  // Shift times are shown and entered in the employee's time zone
+  const timeZone = getUserTimeZone(userData);
+  // Keep track of the displayed pay period for navigation, starting with
+  // the one that contains today
+  let currentPeriod = getPayPeriodForDate(getISODateString());
+  // Container for navigation and summary
+  const header = document.createElement('h3');
+  header.textContent = `Details for ${username}`;
+  detailsDiv.appendChild(header);
+  // Role and department, which decide what a supervisor can see
+  const accessDiv = document.createElement('div');
+  accessDiv.style.marginBottom = '10px';
+  const roleLabel = document.createElement('label');
+  roleLabel.textContent = 'Role:';
+  roleLabel.style.marginRight = '10px';
+  const roleSelect = document.createElement('select');
+  Object.keys(STAFF_ROLES).forEach((role) => {
+    const opt = document.createElement('option');
+    opt.value = role;
+    opt.textContent = STAFF_ROLES[role];
+    roleSelect.appendChild(opt);
+  });
+  roleSelect.value = userData.role;
+  const departmentLabel = document.createElement('label');
+  departmentLabel.textContent = 'Department:';
+  departmentLabel.style.margin = '0 10px';
+  const departmentInput = document.createElement('input');
+  departmentInput.type = 'text';
+  departmentInput.value = userData.department || '';
+  const accessButton = document.createElement('button');
+  accessButton.textContent = 'Update Access';
+  accessButton.style.marginLeft = '10px';
+  accessButton.addEventListener('click', async () => {
+    try {
+      await updateUserAccess(username, { role: roleSelect.value, department: departmentInput.value.trim() });
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    alert(`Access for ${username} updated.`);
+    await renderEmployeeDetails(username);
+  });
+  accessDiv.appendChild(roleLabel);
+  accessDiv.appendChild(roleSelect);
+  accessDiv.appendChild(departmentLabel);
+  accessDiv.appendChild(departmentInput);
+  accessDiv.appendChild(accessButton);
+  if (canManage) {
+    detailsDiv.appendChild(accessDiv);
+  } else {
+    const accessInfo = document.createElement('p');
+    accessInfo.textContent = `${STAFF_ROLES[userData.role] || userData.role}, ${userData.department || 'no department'}`;
+    detailsDiv.appendChild(accessInfo);
+  }
+  // Hourly rate change. Rates take effect from a date, so a raise can be
+  // scheduled ahead of time and past shifts keep the rate they were
+  // worked at.
+  const today = getISODateString();
+  const rateDiv = document.createElement('div');
+  rateDiv.style.marginBottom = '10px';
+  const rateLabel = document.createElement('label');
+  rateLabel.textContent = 'Hourly Rate:';
+  rateLabel.style.marginRight = '10px';
+  const rateInput = document.createElement('input');
+  rateInput.type = 'number';
+  rateInput.min = '0';
+  rateInput.step = '0.01';
+  rateInput.value = getRateForDate(userData, today);
+  const rateDateLabel = document.createElement('label');
+  rateDateLabel.textContent = 'effective from';
+  rateDateLabel.style.margin = '0 10px';
+  const rateDateInput = document.createElement('input');
+  rateDateInput.type = 'date';
+  rateDateInput.value = today;
+  const rateButton = document.createElement('button');
+  rateButton.textContent = 'Update Rate';
+  rateButton.style.marginLeft = '10px';
+  rateButton.addEventListener('click', async () => {
+    const newRate = parseFloat(rateInput.value);
+    if (isNaN(newRate) || newRate < 0) {
+      alert('Please enter a valid hourly rate.');
+      return;
+    }
+    if (!rateDateInput.value) {
+      alert('Please choose the date the rate takes effect.');
+      return;
+    }
+    const reason = prompt('Reason for the rate change (optional):');
+    if (reason === null) return;
+    try {
+      await updateHourlyRate(username, newRate, rateDateInput.value, reason.trim());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    alert(rateDateInput.value > today ? `Rate change scheduled for ${rateDateInput.value}.` : 'Hourly rate updated.');
+    // Re-render so the timeline and totals use the new rate history
+    await renderEmployeeDetails(username);
+  });
+  rateDiv.appendChild(rateLabel);
+  rateDiv.appendChild(rateInput);
+  rateDiv.appendChild(rateDateLabel);
+  rateDiv.appendChild(rateDateInput);
+  rateDiv.appendChild(rateButton);
+  if (canManage) detailsDiv.appendChild(rateDiv);
+  // Rate timeline, newest first
+  const rateList = document.createElement('ul');
+  rateList.style.marginBottom = '10px';
+  const rateHistory = getRateHistory(userData);
+  const currentEntry = rateHistory.filter((entry) => entry.effectiveFrom <= today).pop();
+  [...rateHistory].reverse().forEach((entry) => {
+    const li = document.createElement('li');
+    const status = entry.effectiveFrom > today ? ' (scheduled)' : entry === currentEntry ? ' (current)' : '';
+    li.textContent = `${entry.rate.toFixed(2)} from ${entry.effectiveFrom}${status}`;
+    if (entry.effectiveFrom > today && canManage) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.style.marginLeft = '10px';
+      cancelBtn.addEventListener('click', async () => {
+        const reason = prompt('Reason for cancelling the scheduled rate (optional):');
+        if (reason === null) return;
+        try {
+          await removeScheduledRate(username, entry.effectiveFrom, reason.trim());
+        } catch (err) {
+          alert(err.message);
+          return;
+        }
+        await renderEmployeeDetails(username);
+      });
+      li.appendChild(cancelBtn);
+    }
+    rateList.appendChild(li);
+  });
+  detailsDiv.appendChild(rateList);
+  // Time zone override, for employees working away from the main site
+  const zoneDiv = document.createElement('div');
+  zoneDiv.style.marginBottom = '10px';
+  const zoneLabel = document.createElement('label');
+  zoneLabel.textContent = 'Time Zone:';
+  zoneLabel.style.marginRight = '10px';
+  const zoneSelect = createTimeZoneSelect(userData.timeZone || '', `Organisation default (${getOrganisationTimeZone()})`);
+  const zoneButton = document.createElement('button');
+  zoneButton.textContent = 'Update Time Zone';
+  zoneButton.style.marginLeft = '10px';
+  zoneButton.addEventListener('click', async () => {
+    await updateUserTimeZone(username, zoneSelect.value);
+    await renderEmployeeDetails(username);
+  });
+  zoneDiv.appendChild(zoneLabel);
+  zoneDiv.appendChild(zoneSelect);
+  zoneDiv.appendChild(zoneButton);
+  if (canManage) detailsDiv.appendChild(zoneDiv);
+  // Paid time off balances, with manual adjustments for carried over hours
+  const ptoDiv = document.createElement('div');
+  ptoDiv.style.marginBottom = '10px';
+  const balances = await getPtoBalances(userData);
+  const ptoSummary = document.createElement('p');
+  ptoSummary.textContent = `Time off balance: ${Object.keys(PTO_TYPES).map((type) => `${PTO_TYPES[type]} ${balances[type].balance.toFixed(2)} h${balances[type].pending ? ` (${balances[type].pending.toFixed(2)} h requested)` : ''}`).join(', ')}`;
+  ptoDiv.appendChild(ptoSummary);
+  const ptoTypeSelect = document.createElement('select');
+  Object.keys(PTO_TYPES).forEach((type) => {
+    const opt = document.createElement('option');
+    opt.value = type;
+    opt.textContent = PTO_TYPES[type];
+    ptoTypeSelect.appendChild(opt);
+  });
+  const ptoHoursInput = document.createElement('input');
+  ptoHoursInput.type = 'number';
+  ptoHoursInput.step = '0.25';
+  ptoHoursInput.placeholder = 'Hours (+/-)';
+  ptoHoursInput.style.marginLeft = '10px';
+  const ptoAdjustBtn = document.createElement('button');
+  ptoAdjustBtn.textContent = 'Adjust Balance';
+  ptoAdjustBtn.style.marginLeft = '10px';
+  ptoAdjustBtn.addEventListener('click', async () => {
+    const hours = parseFloat(ptoHoursInput.value);
+    if (isNaN(hours) || hours === 0) {
+      alert('Please enter the number of hours to add, or a negative number to remove.');
+      return;
+    }
+    const reason = prompt('Reason for the adjustment:');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('A reason is required to adjust a balance.');
+      return;
+    }
+    await adjustPtoBalance(username, ptoTypeSelect.value, hours, reason.trim());
+    await renderEmployeeDetails(username);
+  });
+  if (canManage) {
+    ptoDiv.appendChild(ptoTypeSelect);
+    ptoDiv.appendChild(ptoHoursInput);
+    ptoDiv.appendChild(ptoAdjustBtn);
+  }
+  detailsDiv.appendChild(ptoDiv);
+  // Delete employee button
+  const deleteBtn = document.createElement('button');
+  deleteBtn.textContent = 'Delete Employee';
+  deleteBtn.style.marginBottom = '10px';
+  deleteBtn.style.backgroundColor = '#dc3545';
+  deleteBtn.style.color = '#fff';
+  deleteBtn.addEventListener('click', async () => {
+    if (confirm(`Are you sure you want to delete ${username}? This will remove all shift records for this employee.`)) {
+      const reason = prompt('Reason for deleting this employee (optional):');
+      if (reason === null) return;
+      try {
+        await deleteEmployee(username, reason.trim());
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      alert(window.useMock
+        ? `${username} deleted.`
+        : `${username} deleted. Their sign-in account can no longer be used; remove it with "node scripts/migrate-auth.js prune" before giving the username to someone else.`);
+      // Remove from list
+      const select = document.querySelector('select');
+      select.querySelector(`option[value="${username}"]`).remove();
+      detailsDiv.innerHTML = '';
+    }
+  });
+  if (canManage) detailsDiv.appendChild(deleteBtn);
+  // Password reset. Only the mock can set another user's password from the
+  // browser; on real Firebase the admin can still force a change.
+  if (window.useMock && canManage) {
+    const resetBtn = document.createElement('button');
+    resetBtn.textContent = 'Reset Password';
+    resetBtn.style.marginLeft = '10px';
+    resetBtn.addEventListener('click', async () => {
+      const temporaryPassword = prompt(`Temporary password for ${username}:`);
+      if (!temporaryPassword) return;
+      const mustChange = confirm(`Require ${username} to choose a new password at next login?`);
+      try {
+        await resetPassword(username, temporaryPassword, mustChange);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      alert(`Password for ${username} reset.`);
+      await renderEmployeeDetails(username);
+    });
+    detailsDiv.appendChild(resetBtn);
+  }
+  const forceChangeBtn = document.createElement('button');
+  forceChangeBtn.textContent = userData.mustChangePassword ? 'Cancel Required Password Change' : 'Require Password Change';
+  forceChangeBtn.style.marginLeft = '10px';
+  forceChangeBtn.addEventListener('click', async () => {
+    await setPasswordChangeRequired(username, !userData.mustChangePassword);
+    await renderEmployeeDetails(username);
+  });
+  if (canManage) detailsDiv.appendChild(forceChangeBtn);
+  const pinBtn = document.createElement('button');
+  pinBtn.textContent = 'Set Kiosk PIN';
+  pinBtn.style.marginLeft = '10px';
+  pinBtn.addEventListener('click', async () => {
+    const pin = prompt(`New kiosk PIN for ${username} (4 to 8 digits; leave empty to remove them from kiosks):`);
+    if (pin === null) return;
+    try {
+      await setKioskPin(username, pin.trim());
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    alert(pin.trim() ? `Kiosk PIN for ${username} set.` : `${username} removed from kiosks.`);
+  });
+  if (canManage) detailsDiv.appendChild(pinBtn);
+  // Navigation controls for pay periods
+  const navDiv = document.createElement('div');
+  navDiv.style.margin = '10px 0';
+  const prevBtn = document.createElement('button');
+  prevBtn.textContent = 'Previous Period';
+  prevBtn.addEventListener('click', () => {
+    currentPeriod = getAdjacentPayPeriod(currentPeriod, -1);
+    updateTable();
+  });
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = 'Next Period';
+  nextBtn.style.marginLeft = '10px';
+  nextBtn.addEventListener('click', () => {
+    currentPeriod = getAdjacentPayPeriod(currentPeriod, 1);
+    updateTable();
+  });
+  navDiv.appendChild(prevBtn);
+  navDiv.appendChild(nextBtn);
+  // Approving the employee's timesheet locks the displayed period;
+  // reopening unlocks it again
+  const approveBtn = document.createElement('button');
+  approveBtn.style.marginLeft = '10px';
+  approveBtn.addEventListener('click', async () => {
+    try {
+      if (approval && approval.status === 'approved') {
+        const reason = prompt(`Reason for reopening the period ${currentPeriod.start} to ${currentPeriod.end}:`);
+        if (reason === null) return;
+        await reopenTimesheet(username, currentPeriod, reason.trim());
+      } else {
+        if ((!approval || approval.status !== 'signed') &&
+            !confirm(`${username} has not signed off this timesheet. Approve and lock it anyway?`)) {
+          return;
+        }
+        await approveTimesheet(username, currentPeriod);
+      }
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    await updateTable();
+  });
+  if (can('timesheets.approve', userData)) navDiv.appendChild(approveBtn);
+  detailsDiv.appendChild(navDiv);
+  // Table placeholder
+  const tableContainer = document.createElement('div');
+  detailsDiv.appendChild(tableContainer);
+  // Late arrivals, early departures, missed shifts and unscheduled work in
+  // the displayed period
+  const varianceHeading = document.createElement('h4');
+  varianceHeading.textContent = 'Schedule Variance';
+  detailsDiv.appendChild(varianceHeading);
+  const varianceContainer = document.createElement('div');
+  varianceContainer.style.marginBottom = '10px';
+  detailsDiv.appendChild(varianceContainer);
+  // Export CSV
+  const exportBtn = document.createElement('button');
+  exportBtn.textContent = 'Export CSV';
+  exportBtn.style.marginTop = '10px';
+  exportBtn.addEventListener('click', async () => {
+    await exportCsv(username, currentPeriod);
+  });
+  if (can('payroll.export', userData)) detailsDiv.appendChild(exportBtn);
+  // Printable timesheet
+  const pdfBtn = document.createElement('button');
+  pdfBtn.textContent = 'Download PDF';
+  pdfBtn.style.marginLeft = '10px';
+  pdfBtn.addEventListener('click', async () => {
+    await downloadTimesheetPdf(username, currentPeriod);
+  });
+  if (can('payroll.export', userData)) detailsDiv.appendChild(pdfBtn);
+  // Save adjustments
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save Adjustments';
+  saveBtn.style.marginLeft = '10px';
+  saveBtn.addEventListener('click', async () => {
+    const rows = tableContainer.querySelectorAll('tbody tr[data-doc-id]');
+    // Validate every row before writing anything so a bad entry does not
+    // leave the period half saved.
+    const updates = [];
+    for (const row of rows) {
+      const docId = row.dataset.docId;
+      const shift = renderedShifts[docId];
+      const adjInVal = row.querySelector('.adj-in').value;
+      const adjOutVal = row.querySelector('.adj-out').value;
+      // Inputs hold wall clock times in the employee's time zone; store
+      // them as full UTC timestamps
+      const adjTimeIn = adjInVal ? parseDateTimeInput(adjInVal, timeZone).toISOString() : '';
+      const adjTimeOut = adjOutVal ? parseDateTimeInput(adjOutVal, timeZone).toISOString() : '';
+      const times = resolveShiftTimes({ ...shift, adjTimeIn, adjTimeOut }, timeZone);
+      if (times.start && times.end && times.end <= times.start) {
+        alert(`Time out must be after time in for the shift on ${shift.date}.`);
+        return;
+      }
+      // Only update if changed; empty string allowed
+      if (adjInVal !== formatDateTimeInput(resolveShiftTimes(shift, timeZone).adjTimeIn, timeZone) ||
+          adjOutVal !== formatDateTimeInput(resolveShiftTimes(shift, timeZone).adjTimeOut, timeZone)) {
+        updates.push({ docId, adjTimeIn, adjTimeOut });
+      }
+    }
+    if (updates.length === 0) {
+      alert('No adjustments to save.');
+      return;
+    }
+    // Every adjustment must be justified for the audit log
+    const reason = prompt(`Reason for adjusting ${updates.length} shift(s):`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('A reason is required to save adjustments.');
+      return;
+    }
+    try {
+      for (const update of updates) {
+        await saveShiftAdjustment(renderedShifts[update.docId], {
+          adjTimeIn: update.adjTimeIn,
+          adjTimeOut: update.adjTimeOut
+        }, reason.trim());
+      }
+    } catch (err) {
+      alert(err.message);
+      await updateTable();
+      return;
+    }
+    alert('Adjustments saved.');
+    await updateTable();
+  });
+  if (canAdjust) detailsDiv.appendChild(saveBtn);
+  // Audit log for this employee
+  const auditBtn = document.createElement('button');
+  auditBtn.textContent = 'View Audit Log';
+  auditBtn.style.marginLeft = '10px';
+  auditBtn.addEventListener('click', async () => {
+    const entries = await getAuditLog('subject', username);
+    renderAuditLog(auditContainer, `Audit log for ${username}`, entries);
+  });
+  if (can('audit.view')) detailsDiv.appendChild(auditBtn);
+  const auditContainer = document.createElement('div');
+  auditContainer.style.marginTop = '20px';
+  detailsDiv.appendChild(auditContainer);
+  // Shifts shown in the table, keyed by document ID, for the save handler
+  let renderedShifts = {};
+  // Timesheet approval of the displayed period
+  let approval = null;
+  // Function to update the table for the current period
+  async function updateTable() {
+    // Clear old table
+    tableContainer.innerHTML = '';
+    approval = await getTimesheetApproval(username, currentPeriod);
+    const locked = !!approval && approval.status === 'approved';
+    // Adjustment inputs are read-only in a locked period and for anyone
+    // who cannot adjust this employee's shifts
+    const readOnly = locked || !canAdjust;
+    approveBtn.textContent = locked ? 'Reopen Period' : 'Approve Timesheet';
+    saveBtn.disabled = locked;
+    // Load shifts for user
+    const shifts = await getShiftsForUser(username);
+    // Determine the date range of the displayed period
+    const periodStartISO = currentPeriod.start;
+    const periodEndISO = currentPeriod.end;
+    // Filter shifts in this period
+    const periodShifts = shifts.filter(s => s.date >= periodStartISO && s.date <= periodEndISO);
+    renderedShifts = {};
+    periodShifts.forEach((s) => { renderedShifts[s.docId] = s; });
+    // Build table
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.innerHTML = `<tr><th>Date</th><th>Day of Week</th><th>Time In</th><th>Manager Adj. In</th><th>Time Out</th><th>Manager Adj. Out</th><th>Rounded In</th><th>Rounded Out</th><th>Rate</th><th>Hours Worked</th><th>Regular Hours</th><th>OT Hours</th><th>DT Hours</th><th>PTO Hours</th><th>Regular Pay</th><th>OT Pay</th><th>DT Pay</th><th>PTO Pay</th><th>Total Pay</th><th>History</th></tr>`;
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    // Pay is calculated over all shifts so weekly overtime accrued before
+    // the period start is taken into account.
+    const payByShift = calculatePay(shifts, userData);
+    const totals = emptyPayBreakdown();
+    // Rows of shifts and approved days off, put in date order below
+    const rows = [];
+    for (const shift of periodShifts) {
+      const tr = document.createElement('tr');
+      tr.dataset.docId = shift.docId;
+      // Date and day of week
+      const dateObj = new Date(shift.date + 'T00:00');
+      const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
+      // Determine actual start and end times, and the rounded times paid
+      const times = resolveShiftTimes(shift, timeZone);
+      const rounded = roundShiftTimes(times, shift.date, timeZone);
+      const pay = payByShift[shift.docId];
+      addPayBreakdown(totals, pay);
+      tr.innerHTML = `
+        <td>${shift.date}</td>
+        <td>${dayStr}</td>
+        <td>${formatShiftTime(times.timeIn, shift.date, timeZone)}</td>
+        <td><input class="adj-in" type="datetime-local" value="${formatDateTimeInput(times.adjTimeIn, timeZone)}"${readOnly ? ' disabled' : ''}></td>
+        <td>${formatShiftTime(times.timeOut, shift.date, timeZone)}${shift.source === 'auto' ? ' (auto)' : ''}</td>
+        <td><input class="adj-out" type="datetime-local" value="${formatDateTimeInput(times.adjTimeOut, timeZone)}"${readOnly ? ' disabled' : ''}></td>
+        <td>${formatShiftTime(rounded.start, shift.date, timeZone)}</td>
+        <td>${formatShiftTime(rounded.end, shift.date, timeZone)}</td>
+        <td>${getRateForDate(userData, shift.date).toFixed(2)}</td>
+        ${formatPayCells(pay)}
+        <td>${can('audit.view') ? '<button class="history-btn">History</button>' : ''}</td>
+      `;
+      if (can('audit.view')) {
+        tr.querySelector('.history-btn').addEventListener('click', async () => {
+          const entries = await getAuditLog('docId', shift.docId);
+          renderAuditLog(auditContainer, `History of the shift on ${shift.date} (${formatTime(times.start, timeZone)})`, entries);
+        });
+      }
+      if (isUnreviewedAutoClockOut(shift)) {
+        tr.style.backgroundColor = '#fff3cd';
+      }
+      rows.push({ date: shift.date, tr });
+    }
+    const ptoRequests = await getPtoRequestsForUser(username);
+    getPtoDays(ptoRequests, userData, currentPeriod).forEach((day) => {
+      const tr = document.createElement('tr');
+      addPayBreakdown(totals, day.pay);
+      tr.innerHTML = `
+        <td>${day.date}</td>
+        <td>${new Date(day.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' })}</td>
+        <td colspan="6">${PTO_TYPES[day.type]} (PTO)</td>
+        <td>${getRateForDate(userData, day.date).toFixed(2)}</td>
+        ${formatPayCells(day.pay)}
+        <td></td>
+      `;
+      rows.push({ date: day.date, tr });
+    });
+    rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).forEach((row) => tbody.appendChild(row.tr));
+    // Append totals row
+    const totalTr = document.createElement('tr');
+    totalTr.innerHTML = `<td colspan="9" style="text-align:right;font-weight:bold;">Total:</td>${formatPayCells(totals)}<td></td>`;
+    tbody.appendChild(totalTr);
+    table.appendChild(tbody);
+    const caption = document.createElement('caption');
+    caption.textContent = `Pay period ${periodStartISO} to ${periodEndISO}: ${describeTimesheetStatus(approval)}`;
+    table.prepend(caption);
+    tableContainer.appendChild(table);
+    renderVarianceTable(varianceContainer, await getScheduleVariances(userData, currentPeriod), { timeZone });
+    // Update navigation button enable/disable based on data availability
+    // Disable next button if there are no shifts after this period
+    const hasNext = shifts.some(s => s.date > periodEndISO);
+    const hasPrev = shifts.some(s => s.date < periodStartISO);
+    nextBtn.disabled = !hasNext;
+    prevBtn.disabled = !hasPrev;
+  }
+  // Export CSV for the current period
+  async function exportCsv(username, period) {
+    // Use the same filter as updateTable to get the period range
+    const shifts = await getShiftsForUser(username);
+    const periodStartISO = period.start;
+    const periodEndISO = period.end;
+    const periodShifts = shifts.filter(s => s.date >= periodStartISO && s.date <= periodEndISO);
+    let csv = 'Date,Day of Week,Time In,Manager Adj. In,Time Out,Manager Adj. Out,Rounded In,Rounded Out,Rate,Hours Worked,Regular Hours,OT Hours,DT Hours,PTO Hours,Regular Pay,OT Pay,DT Pay,PTO Pay,Total Pay\n';
+    const payByShift = calculatePay(shifts, userData);
+    const totals = emptyPayBreakdown();
+    const lines = [];
+    for (const shift of periodShifts) {
+      const dateObj = new Date(shift.date + 'T00:00');
+      const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
+      const times = resolveShiftTimes(shift, timeZone);
+      const rounded = roundShiftTimes(times, shift.date, timeZone);
+      const pay = payByShift[shift.docId];
+      addPayBreakdown(totals, pay);
+      lines.push({ date: shift.date, text: `${shift.date},${dayStr},${formatShiftTime(times.timeIn, shift.date, timeZone)},${formatShiftTime(times.adjTimeIn, shift.date, timeZone)},${formatShiftTime(times.timeOut, shift.date, timeZone)},${formatShiftTime(times.adjTimeOut, shift.date, timeZone)},${formatShiftTime(rounded.start, shift.date, timeZone)},${formatShiftTime(rounded.end, shift.date, timeZone)},${getRateForDate(userData, shift.date).toFixed(2)},${payBreakdownValues(pay).join(',')}\n` });
+    }
+    // Approved time off is paid as its own category
+    getPtoDays(await getPtoRequestsForUser(username), userData, period).forEach((day) => {
+      const dayStr = new Date(day.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' });
+      addPayBreakdown(totals, day.pay);
+      lines.push({ date: day.date, text: `${day.date},${dayStr},${PTO_TYPES[day.type]} (PTO),,,,,,${getRateForDate(userData, day.date).toFixed(2)},${payBreakdownValues(day.pay).join(',')}\n` });
+    });
+    lines.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).forEach((line) => { csv += line.text; });
+    csv += `Totals,,,,,,,,,${payBreakdownValues(totals).join(',')}\n`;
+    csv += `${toCsvRow(['Timesheet', describeTimesheetStatus(await getTimesheetApproval(username, period))])}\n`;
+    downloadFile(`${username}_period_${periodStartISO}_to_${periodEndISO}.csv`, csv, 'text/csv');
+  }
+  // Kick off first render
+  await updateTable();
+}
+
+/**
+ * Compute the number of hours between two points in time. The result is
+ * rounded to two decimal places (nearest minute) as per specification.
+ * Because both arguments are full timestamps, shifts that cross midnight
+ * are measured correctly.
+ *
+ * @param {Date|string} start e.g. '2025-08-02T22:00'
+ * @param {Date|string} end e.g. '2025-08-03T06:15'
+ * @returns {number} hours
+ */
+function computeHours(start, end) {
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  const diffMs = endDate - startDate;
+  if (isNaN(diffMs) || diffMs < 0) return 0;
+  const minutes = Math.round(diffMs / 60000); // round to nearest minute
+  const hours = minutes / 60;
+  return hours;
+}
+
+/**
+ * Parse a stored shift time into a Date. Punches and manager adjustments
+ * are stored as full UTC timestamps. Older versions stored punches as UTC
+ * with the zone cut off ('2025-08-02T14:00'), so values without a zone are
+ * read as UTC; adjustments saved by the old admin table are bare "HH:MM"
+ * wall clock times, taken to be on the shift's date in the employee's time
+ * zone. Returns null for empty or unparsable values.
+ *
+ * @param {string} value stored time value
+ * @param {string} date ISO date string (YYYY-MM-DD) of the shift
+ * @param {string} timeZone the employee's time zone
+ * @returns {Date|null}
+ */
+function parseShiftTime(value, date, timeZone = getOrganisationTimeZone()) {
+  if (!value) return null;
+  let parsed;
+  if (/^\d{1,2}:\d{2}$/.test(value)) {
+    parsed = zonedTimeToUtc(date, value.padStart(5, '0'), timeZone);
+  } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(value)) {
+    parsed = new Date(`${value}Z`);
+  } else {
+    parsed = new Date(value);
+  }
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Resolve all of the times on a shift into Date objects and work out the
+ * effective start and end, preferring manager adjustments over the raw
+ * punches. A legacy "HH:MM" time out that falls at or before the start is
+ * assumed to be on the following day, so overnight shifts keep working.
+ *
+ * @param {object} shift shift document data
+ * @param {string} timeZone the employee's time zone, for legacy "HH:MM" values
+ * @returns {{timeIn: Date|null, timeOut: Date|null, adjTimeIn: Date|null,
+ *   adjTimeOut: Date|null, start: Date|null, end: Date|null}}
+ */
+function resolveShiftTimes(shift, timeZone = getOrganisationTimeZone()) {
+  const timeIn = parseShiftTime(shift.timeIn, shift.date, timeZone);
+  const adjTimeIn = parseShiftTime(shift.adjTimeIn, shift.date, timeZone);
+  const start = adjTimeIn || timeIn;
+  const resolveOut = (value) => {
+    const out = parseShiftTime(value, shift.date, timeZone);
+    if (out && start && out <= start && /^\d{1,2}:\d{2}$/.test(value)) {
+      return parseShiftTime(value, addDaysISO(shift.date, 1), timeZone);
+    }
+    return out;
+  };
+  const timeOut = resolveOut(shift.timeOut);
+  const adjTimeOut = resolveOut(shift.adjTimeOut);
+  return {
+    timeIn,
+    timeOut,
+    adjTimeIn,
+    adjTimeOut,
+    start,
+    end: adjTimeOut || timeOut
+  };
+}
+
+/**
+ * Round a punch time to the rounding increment, in wall clock time of the
+ * employee's time zone so that increments line up with the hour even in
+ * zones with a half hour offset. Seconds are dropped first, so with 15
+ * minute increments 7 minutes past rounds down and 8 minutes past up.
+ *
+ * @param {Date|null} time
+ * @param {number} increment minutes; 0 leaves the time as it is
+ * @param {string} mode a key of ROUNDING_MODES
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+function roundPunchTime(time, increment, mode, timeZone = getOrganisationTimeZone()) {
+  if (!time || !(increment > 0)) return time;
+  const [date, clock] = formatDateTimeInput(time, timeZone).split('T');
+  const minutes = parseInt(clock.slice(0, 2), 10) * 60 + parseInt(clock.slice(3, 5), 10);
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  const rounded = round(minutes / increment) * increment;
+  const dayMinutes = ((rounded % 1440) + 1440) % 1440;
+  const hhmm = `${String(Math.floor(dayMinutes / 60)).padStart(2, '0')}:${String(dayMinutes % 60).padStart(2, '0')}`;
+  return zonedTimeToUtc(addDaysISO(date, Math.floor(rounded / 1440)), hhmm, timeZone);
+}
+
+/**
+ * Return the rounding rules in force for shifts on a date: those of the
+ * latest schedule entry effective on or before it, or the defaults.
+ *
+ * @param {string} dateISO
+ * @param {object[]} schedules defaults to the configured rounding rules
+ * @returns {{increment: number, inMode: string, outMode: string}}
+ */
+function getRoundingRules(dateISO, schedules = roundingRuleSchedules) {
+  let current = DEFAULT_ROUNDING_RULES;
+  schedules.forEach((rules) => {
+    if (rules.effectiveFrom <= dateISO) current = rules;
+  });
+  return current;
+}
+
+/**
+ * Apply the rounding rules to the start and end of a shift, as returned by
+ * resolveShiftTimes. These are the times hours are paid for.
+ *
+ * @param {{start: Date|null, end: Date|null}} times
+ * @param {string} dateISO date of the shift, which selects the rules
+ * @param {string} timeZone the employee's time zone
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+function roundShiftTimes(times, dateISO, timeZone = getOrganisationTimeZone()) {
+  const rules = getRoundingRules(dateISO);
+  return {
+    start: roundPunchTime(times.start, rules.increment, rules.inMode, timeZone),
+    end: roundPunchTime(times.end, rules.increment, rules.outMode, timeZone)
+  };
+}
+
+/**
+ * Describe the rounding rules, e.g. "Punches are rounded to 15 minutes (in:
+ * to the nearest increment, out: down)."
+ *
+ * @param {object} rules see DEFAULT_ROUNDING_RULES
+ * @returns {string}
+ */
+function describeRoundingRules(rules = getRoundingRules(getISODateString())) {
+  if (!(rules.increment > 0)) return 'Punches are not rounded.';
+  return `Punches are rounded to ${rules.increment} minutes (in: ${ROUNDING_MODES[rules.inMode].toLowerCase()}, out: ${ROUNDING_MODES[rules.outMode].toLowerCase()}).`;
+}
+
+/**
+ * Format an ISO date/time string into a human‑friendly HH:MM display in a
+ * time zone. If the input string is falsy or empty, returns an empty string.
+ *
+ * @param {string|Date} isoStr
+ * @param {string} timeZone defaults to the organisation's time zone
+ * @returns {string}
+ */
+function formatTime(isoStr, timeZone = getOrganisationTimeZone()) {
+  if (!isoStr) return '';
+  const date = new Date(isoStr);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+/**
+ * Format a shift time for display in a table. Times on a later calendar day
+ * than the shift's date (overnight shifts) are suffixed with the number of
+ * days, e.g. "06:15 AM (+1)".
+ *
+ * @param {Date|null} time
+ * @param {string} shiftDate ISO date string (YYYY-MM-DD) of the shift
+ * @param {string} timeZone the employee's time zone
+ * @returns {string}
+ */
+function formatShiftTime(time, shiftDate, timeZone = getOrganisationTimeZone()) {
+  if (!time) return '';
+  const text = formatTime(time, timeZone);
+  const dayDiff = Math.round((new Date(getISODateString(time, timeZone)) - new Date(shiftDate)) / (1000 * 60 * 60 * 24));
+  return dayDiff > 0 ? `${text} (+${dayDiff})` : text;
+}
+
+/**
+ * Format a date into a value suitable for a <input type="datetime-local">,
+ * as wall clock time in a time zone. For example 2 Aug 2025 14:30 UTC in
+ * 'America/New_York' becomes '2025-08-02T10:30'.
+ * @param {Date|null} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatDateTimeInput(date, timeZone = getOrganisationTimeZone()) {
+  if (!date || isNaN(date.getTime())) return '';
+  const parts = getZonedParts(date, timeZone);
+  const hours = parts.hour.toString().padStart(2, '0');
+  const minutes = parts.minute.toString().padStart(2, '0');
+  return `${getISODateString(date, timeZone)}T${hours}:${minutes}`;
+}
+
+/**
+ * Parse the value of a <input type="datetime-local"> as wall clock time in
+ * a time zone. Returns null for an empty or malformed value.
+ *
+ * @param {string} value e.g. '2025-08-02T10:30'
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+function parseDateTimeInput(value, timeZone = getOrganisationTimeZone()) {
+  const match = (value || '').match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)/);
+  return match ? zonedTimeToUtc(match[1], match[2], timeZone) : null;
+}
+
+/**
+ * Return the pay period schedule in force on a date. Dates before the first
+ * schedule use the first schedule, extended backwards.
+ *
+ * @param {string} dateISO
+ * @param {object[]} schedules defaults to the configured schedules
+ * @returns {{frequency: string, effectiveFrom: string}}
+ */
+function getPayPeriodSchedule(dateISO, schedules = payPeriodSchedules) {
+  let current = schedules[0];
+  schedules.forEach((schedule) => {
+    if (schedule.effectiveFrom <= dateISO) current = schedule;
+  });
+  return current;
+}
+
+/**
+ * The pay period calculator. Returns the first and last day of the pay
+ * period that contains a date, according to the schedule in force on that
+ * date:
+ *
+ * - weekly and bi-weekly periods repeat every 7 or 14 days counted from
+ *   the schedule's effective date;
+ * - semi-monthly periods run from the 1st to the 15th and from the 16th
+ *   to the last day of the month;
+ * - monthly periods run over the calendar month.
+ *
+ * A period that would run past the start of the next schedule ends the day
+ * before it, so a change of schedule can shorten the last period before it
+ * but never moves earlier ones.
+ *
+ * @param {string} dateISO
+ * @param {object[]} schedules defaults to the configured schedules
+ * @returns {{start: string, end: string}} ISO date strings, inclusive
+ */
+function getPayPeriodForDate(dateISO, schedules = payPeriodSchedules) {
+  const schedule = getPayPeriodSchedule(dateISO, schedules);
+  const [year, month, day] = dateISO.split('-').map(Number);
+  const monthStart = `${dateISO.substring(0, 7)}-01`;
+  const monthEnd = new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+  let start;
+  let end;
+  if (schedule.frequency === 'weekly' || schedule.frequency === 'biweekly') {
+    const length = schedule.frequency === 'weekly' ? 7 : 14;
+    const dayMs = 1000 * 60 * 60 * 24;
+    const diffDays = Math.round((new Date(`${dateISO}T00:00:00Z`) - new Date(`${schedule.effectiveFrom}T00:00:00Z`)) / dayMs);
+    start = addDaysISO(schedule.effectiveFrom, Math.floor(diffDays / length) * length);
+    end = addDaysISO(start, length - 1);
+  } else if (schedule.frequency === 'semimonthly') {
+    start = day <= 15 ? monthStart : `${dateISO.substring(0, 7)}-16`;
+    end = day <= 15 ? `${dateISO.substring(0, 7)}-15` : monthEnd;
+  } else {
+    start = monthStart;
+    end = monthEnd;
+  }
+  const next = schedules.find((s) => s.effectiveFrom > dateISO);
+  if (next && end >= next.effectiveFrom) {
+    end = addDaysISO(next.effectiveFrom, -1);
+  }
+  return { start, end };
+}
+
+/**
+ * Step from a pay period to the one before (-1) or after (1) it.
+ *
+ * @param {{start: string, end: string}} period
+ * @param {number} direction -1 or 1
+ * @returns {{start: string, end: string}}
+ */
+function getAdjacentPayPeriod(period, direction) {
+  const date = direction < 0 ? addDaysISO(period.start, -1) : addDaysISO(period.end, 1);
+  return getPayPeriodForDate(date);
+}
+
+/**
+ * Check a proposed pay period schedule change. Changes may only take effect
+ * after the current period so that periods already started (and possibly
+ * paid) are never reshuffled, and semi-monthly and monthly schedules must
+ * start on a day one of their periods starts on.
+ *
+ * @param {string} frequency
+ * @param {string} effectiveFrom ISO date
+ * @returns {string|null} an error message, or null if the change is valid
+ */
+function validatePayPeriodSchedule(frequency, effectiveFrom) {
+  if (!PAY_PERIOD_FREQUENCIES[frequency]) {
+    return 'Please choose a pay period frequency.';
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) {
+    return 'Please choose the date the new schedule starts.';
+  }
+  const current = getPayPeriodForDate(getISODateString());
+  if (effectiveFrom <= current.end) {
+    return `The new schedule must start after the current period ends (${current.end}).`;
+  }
+  const day = effectiveFrom.substring(8);
+  if (frequency === 'semimonthly' && day !== '01' && day !== '16') {
+    return 'Semi-monthly schedules must start on the 1st or 16th.';
+  }
+  if (frequency === 'monthly' && day !== '01') {
+    return 'Monthly schedules must start on the 1st.';
+  }
+  return null;
+}
+
+/**
+ * Return the ISO date (YYYY-MM-DD) of the first day of the workweek that
+ * contains the given date.
+ *
+ * @param {string} dateISO
+ * @param {number} startDay 0 = Sunday … 6 = Saturday
+ * @returns {string}
+ */
+function getWorkweekStart(dateISO, startDay) {
+  const date = new Date(`${dateISO}T00:00:00Z`);
+  const offset = (date.getUTCDay() - startDay + 7) % 7;
+  date.setUTCDate(date.getUTCDate() - offset);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Return a pay breakdown with every hour and pay figure set to zero.
+ * @returns {object}
+ */
+function emptyPayBreakdown() {
+  return {
+    hours: 0,
+    regularHours: 0,
+    overtimeHours: 0,
+    doubleTimeHours: 0,
+    ptoHours: 0,
+    regularPay: 0,
+    overtimePay: 0,
+    doubleTimePay: 0,
+    ptoPay: 0,
+    pay: 0
+  };
+}
+
+/**
+ * Add the figures of one pay breakdown onto a running total in place.
+ *
+ * @param {object} totals breakdown being accumulated
+ * @param {object} breakdown breakdown to add
+ */
+function addPayBreakdown(totals, breakdown) {
+  Object.keys(totals).forEach((key) => {
+    totals[key] += breakdown[key];
+  });
+}
+
+/**
+ * List the figures of a pay breakdown in table column order: hours worked,
+ * regular, OT, DT and PTO hours, regular, OT, DT and PTO pay, and total
+ * pay.
+ *
+ * @param {object} breakdown
+ * @returns {string[]}
+ */
+function payBreakdownValues(breakdown) {
+  return [
+    breakdown.hours,
+    breakdown.regularHours,
+    breakdown.overtimeHours,
+    breakdown.doubleTimeHours,
+    breakdown.ptoHours,
+    breakdown.regularPay,
+    breakdown.overtimePay,
+    breakdown.doubleTimePay,
+    breakdown.ptoPay,
+    breakdown.pay
+  ].map((value) => value.toFixed(2));
+}
+
+/**
+ * Render a pay breakdown as a run of table cells.
+ *
+ * @param {object} breakdown
+ * @returns {string} HTML
+ */
+function formatPayCells(breakdown) {
+  return payBreakdownValues(breakdown).map((value) => `<td>${value}</td>`).join('');
+}
+
+/**
+ * Return a user's rate history sorted by effective date. Users created
+ * before rate history existed only have `hourlyRate`, which is treated as
+ * a rate in force since 1970-01-01.
+ *
+ * @param {object} userData user document
+ * @returns {{rate: number, effectiveFrom: string}[]}
+ */
+function getRateHistory(userData) {
+  if (userData.rateHistory && userData.rateHistory.length > 0) {
+    return [...userData.rateHistory]
+      .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+  }
+  return [{ rate: userData.hourlyRate || 0, effectiveFrom: '1970-01-01' }];
+}
+
+/**
+ * Return the hourly rate in force for a user on a date. Dates before the
+ * first entry in the history use the first rate.
+ *
+ * @param {object} userData user document
+ * @param {string} dateISO
+ * @returns {number}
+ */
+function getRateForDate(userData, dateISO) {
+  const history = getRateHistory(userData);
+  let rate = history[0].rate;
+  history.forEach((entry) => {
+    if (entry.effectiveFrom <= dateISO) rate = entry.rate;
+  });
+  return rate;
+}
+
+/**
+ * The overtime rules engine. Splits the hours of every completed shift into
+ * regular, overtime and double time, and prices them at the hourly rate in
+ * force on the shift's date using the configured multipliers. The rules applied are:
+ *
+ * - daily overtime and double time: hours worked on a date beyond the
+ *   daily thresholds (California style);
+ * - seventh consecutive day: when all seven days of a workweek are worked,
+ *   every hour on the seventh day is overtime, and hours beyond the seventh
+ *   day double time threshold are double time;
+ * - weekly overtime: regular hours beyond the weekly threshold in a
+ *   workweek become overtime. Hours already paid as daily overtime do not
+ *   count towards the weekly threshold, so nothing is paid twice.
+ *
+ * Hours run between the rounded start and end of each shift (see
+ * roundShiftTimes). A shift counts towards the date it started on. Pass
+ * every shift the user has, not only those in the period being displayed,
+ * so weekly totals that straddle a period boundary are correct.
+ *
+ * @param {object[]} shifts shift documents as returned by getShiftsForUser
+ * @param {object} userData user document, for the rate history
+ * @param {object} rules overtime rules; defaults to the configured rules
+ * @returns {Object<string, object>} pay breakdown keyed by shift docId
+ */
+function calculatePay(shifts, userData, rules = overtimeRules) {
+  const result = {};
+  const worked = [];
+  const timeZone = getUserTimeZone(userData);
+  shifts.forEach((shift) => {
+    result[shift.docId] = emptyPayBreakdown();
+    const times = roundShiftTimes(resolveShiftTimes(shift, timeZone), shift.date, timeZone);
+    if (times.start && times.end) {
+      worked.push({ shift, start: times.start, hours: computeHours(times.start, times.end) });
+    }
+  });
+  worked.sort((a, b) => a.start - b.start);
+  // Which dates of each workweek have hours, for the seventh day rule
+  const datesByWeek = {};
+  worked.forEach(({ shift, hours }) => {
+    if (hours <= 0) return;
+    const week = getWorkweekStart(shift.date, rules.workweekStartDay);
+    datesByWeek[week] = datesByWeek[week] || new Set();
+    datesByWeek[week].add(shift.date);
+  });
+  // Hours in [from, to) that fall inside [low, high)
+  const overlap = (from, to, low, high) => Math.max(0, Math.min(to, high) - Math.max(from, low));
+  const dayHours = {};
+  const weekRegularHours = {};
+  worked.forEach(({ shift, hours }) => {
+    const week = getWorkweekStart(shift.date, rules.workweekStartDay);
+    const before = dayHours[shift.date] || 0;
+    const after = before + hours;
+    dayHours[shift.date] = after;
+    let regular;
+    let overtime;
+    let doubleTime;
+    const isSeventhDay = rules.seventhDayRule &&
+      datesByWeek[week] && datesByWeek[week].size === 7 &&
+      shift.date === addDaysISO(week, 6);
+    if (isSeventhDay) {
+      const dtFrom = rules.seventhDayDoubleTimeThreshold || Infinity;
+      regular = 0;
+      overtime = overlap(before, after, 0, dtFrom);
+      doubleTime = overlap(before, after, dtFrom, Infinity);
+    } else {
+      const otFrom = rules.dailyOvertimeThreshold || Infinity;
+      const dtFrom = rules.dailyDoubleTimeThreshold || Infinity;
+      regular = overlap(before, after, 0, Math.min(otFrom, dtFrom));
+      overtime = overlap(before, after, otFrom, dtFrom);
+      doubleTime = overlap(before, after, dtFrom, Infinity);
+    }
+    if (rules.weeklyOvertimeThreshold) {
+      const weekBefore = weekRegularHours[week] || 0;
+      const remaining = Math.max(0, rules.weeklyOvertimeThreshold - weekBefore);
+      const excess = Math.max(0, regular - remaining);
+      regular -= excess;
+      overtime += excess;
+      weekRegularHours[week] = weekBefore + regular;
+    }
+    const rate = getRateForDate(userData, shift.date);
+    const roundPay = (value) => Math.round(value * 100) / 100;
+    const breakdown = {
+      hours,
+      regularHours: regular,
+      overtimeHours: overtime,
+      doubleTimeHours: doubleTime,
+      ptoHours: 0,
+      regularPay: roundPay(regular * rate),
+      overtimePay: roundPay(overtime * rate * rules.overtimeMultiplier),
+      doubleTimePay: roundPay(doubleTime * rate * rules.doubleTimeMultiplier),
+      ptoPay: 0
+    };
+    breakdown.pay = breakdown.regularPay + breakdown.overtimePay + breakdown.doubleTimePay;
+    result[shift.docId] = breakdown;
+  });
+  return result;
+}
+
+/**
+ * List the days off of a paid time off request: the dates from `startDate`
+ * to `endDate` inclusive, without Saturdays and Sundays unless the employee
+ * asked for them with `includeWeekends`.
+ *
+ * @param {object} request ptoRequests document
+ * @returns {string[]} ISO dates
+ */
+function getPtoRequestDates(request) {
+  const dates = [];
+  for (let date = request.startDate; date <= request.endDate; date = addDaysISO(date, 1)) {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (request.includeWeekends || (day !== 0 && day !== 6)) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * The hours of paid time off a request takes: every day off it covers at
+ * its hours per day, as balances and pay count them. The `hours` field stored
+ * on a request comes from the employee's browser and is not relied on.
+ *
+ * @param {object} request ptoRequests document
+ * @returns {number}
+ */
+function getPtoRequestHours(request) {
+  return getPtoRequestDates(request).length * request.hoursPerDay;
+}
+
+/**
+ * Turn approved paid time off requests into one entry per day off, each
+ * with a pay breakdown holding only PTO hours and pay at the rate in force
+ * on that day. PTO is paid at the straight rate and does not count towards
+ * overtime.
+ *
+ * @param {object[]} requests ptoRequests documents; only approved ones are used
+ * @param {object} userData user document, for the rate history
+ * @param {{start: string, end: string}} [period] only list days in this period
+ * @returns {{date: string, type: string, requestId: string, pay: object}[]} sorted by date
+ */
+function getPtoDays(requests, userData, period) {
+  const days = [];
+  requests.filter((request) => request.status === 'approved').forEach((request) => {
+    getPtoRequestDates(request).forEach((date) => {
+      if (period && (date < period.start || date > period.end)) return;
+      const pay = emptyPayBreakdown();
+      pay.ptoHours = request.hoursPerDay;
+      pay.ptoPay = Math.round(request.hoursPerDay * getRateForDate(userData, date) * 100) / 100;
+      pay.pay = pay.ptoPay;
+      days.push({ date, type: request.type, requestId: request.docId, pay });
+    });
+  });
+  return days.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * The paid time off accrual engine. Works through an employee's accruals,
+ * manual adjustments and approved time off in date order, capping each
+ * type at its maximum balance, and returns per type:
+ * - `accrued`: hours earned up to `asOf` (after capping);
+ * - `used`: approved hours, including days still to come;
+ * - `adjusted`: net manual adjustments by an admin;
+ * - `balance`: accrued + adjusted - used;
+ * - `pending`: hours in requests awaiting a decision;
+ * - `available`: balance - pending, what can still be requested.
+ * Per period accrual counts the pay periods completed since the employee's
+ * first shift.
+ *
+ * @param {object} userData user document, for `ptoAdjustments`
+ * @param {object[]} shifts the employee's shifts
+ * @param {object[]} requests the employee's ptoRequests documents
+ * @param {object} policy defaults to the configured policy
+ * @param {string} asOf ISO date; defaults to today
+ * @returns {Object<string, object>} keyed by PTO type
+ */
+function calculatePtoBalances(userData, shifts, requests, policy = ptoPolicy, asOf = getISODateString(new Date(), getUserTimeZone(userData))) {
+  const timeZone = getUserTimeZone(userData);
+  const events = [];
+  Object.keys(PTO_TYPES).forEach((type) => {
+    const rate = (policy.accrualRates || {})[type] || 0;
+    if (rate <= 0) return;
+    if (policy.accrualMethod === 'perPeriod') {
+      if (shifts.length === 0) return;
+      let period = getPayPeriodForDate(shifts[0].date);
+      while (period.end <= asOf) {
+        events.push({ date: period.end, type, kind: 'accrued', hours: rate });
+        period = getAdjacentPayPeriod(period, 1);
+      }
+    } else {
+      shifts.filter((shift) => shift.date <= asOf).forEach((shift) => {
+        const times = roundShiftTimes(resolveShiftTimes(shift, timeZone), shift.date, timeZone);
+        if (times.start && times.end) {
+          events.push({ date: shift.date, type, kind: 'accrued', hours: computeHours(times.start, times.end) * rate });
+        }
+      });
+    }
+  });
+  (userData.ptoAdjustments || []).forEach((adjustment) => {
+    events.push({ date: adjustment.date, type: adjustment.type, kind: 'adjusted', hours: adjustment.hours });
+  });
+  requests.filter((request) => request.status === 'approved').forEach((request) => {
+    getPtoRequestDates(request).forEach((date) => {
+      events.push({ date, type: request.type, kind: 'used', hours: request.hoursPerDay });
+    });
+  });
+  events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const balances = {};
+  Object.keys(PTO_TYPES).forEach((type) => {
+    balances[type] = { accrued: 0, used: 0, adjusted: 0, balance: 0, pending: 0, available: 0 };
+  });
+  events.forEach((event) => {
+    const entry = balances[event.type];
+    if (!entry) return;
+    let hours = event.hours;
+    const cap = (policy.maxBalances || {})[event.type] || 0;
+    if (event.kind === 'accrued' && cap > 0) {
+      hours = Math.max(0, Math.min(hours, cap - entry.balance));
+    }
+    entry[event.kind] += hours;
+    entry.balance += event.kind === 'used' ? -hours : hours;
+  });
+  requests.filter((request) => request.status === 'pending').forEach((request) => {
+    if (balances[request.type]) balances[request.type].pending += getPtoRequestHours(request);
+  });
+  Object.values(balances).forEach((entry) => {
+    entry.available = entry.balance - entry.pending;
+  });
+  return balances;
+}
+
+/**
+ * Add a number of days to an ISO date string (YYYY-MM-DD). Works in UTC so
+ * daylight saving changes cannot shift the result by a day.
+ *
+ * @param {string} dateISO
+ * @param {number} days may be negative
+ * @returns {string}
+ */
+function addDaysISO(dateISO, days) {
+  const date = new Date(`${dateISO}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Offer a generated file to the user as a download.
+ *
+ * @param {string} filename
+ * @param {string|Blob} content
+ * @param {string} type MIME type
+ */
+function downloadFile(filename, content, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+/**
+ * Join values into a CSV line, quoting any value that contains a comma,
+ * quote or line break.
+ *
+ * @param {Array<string|number>} values
+ * @returns {string}
+ */
+function toCsvRow(values) {
+  return values.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+/**
+ * Gather the pay figures of every employee for one pay period. Each entry
+ * has the employee's shifts in the period, the pay breakdown of each shift,
+ * their approved days off in the period (see getPtoDays), the period
+ * totals, the hourly rates that applied, the number of shifts that were
+ * never punched out and the timesheet approval (`timesheetStatus` is a key
+ * of TIMESHEET_STATUSES).
+ *
+ * @param {{start: string, end: string}} period
+ * @returns {Promise<{period: object, employees: object[]}>}
+ */
+async function buildPayrollReport(period) {
+  const employees = await getAllEmployees();
+  employees.sort((a, b) => (a.username < b.username ? -1 : 1));
+  const report = { period, employees: [] };
+  for (const userData of employees) {
+    const shifts = await getShiftsForUser(userData.username);
+    // Pay is calculated over all shifts so weekly overtime is correct
+    const payByShift = calculatePay(shifts, userData);
+    const periodShifts = shifts.filter((s) => s.date >= period.start && s.date <= period.end);
+    const totals = emptyPayBreakdown();
+    const rates = new Set();
+    let openShifts = 0;
+    const timeZone = getUserTimeZone(userData);
+    periodShifts.forEach((shift) => {
+      addPayBreakdown(totals, payByShift[shift.docId]);
+      rates.add(getRateForDate(userData, shift.date));
+      const times = resolveShiftTimes(shift, timeZone);
+      if (times.start && !times.end) openShifts++;
+    });
+    const ptoDays = getPtoDays(await getPtoRequestsForUser(userData.username), userData, period);
+    ptoDays.forEach((day) => {
+      addPayBreakdown(totals, day.pay);
+      rates.add(getRateForDate(userData, day.date));
+    });
+    if (rates.size === 0) {
+      rates.add(getRateForDate(userData, period.end));
+    }
+    const timesheet = await getTimesheetApproval(userData.username, period);
+    report.employees.push({
+      username: userData.username,
+      userData,
+      shifts: periodShifts,
+      payByShift,
+      ptoDays,
+      totals,
+      rates: Array.from(rates),
+      openShifts,
+      timesheet,
+      timesheetStatus: timesheet ? timesheet.status : 'open'
+    });
+  }
+  return report;
+}
+
+/**
+ * Convert a payroll report to CSV. The summary has one row per employee;
+ * when `includeDetails` is set a second sheet listing every shift follows
+ * after a blank line.
+ *
+ * @param {object} report as returned by buildPayrollReport
+ * @param {boolean} includeDetails
+ * @returns {string}
+ */
+function payrollReportToCsv(report, includeDetails) {
+  const lines = [];
+  lines.push(toCsvRow(['Payroll Report', report.period.start, report.period.end]));
+  lines.push(toCsvRow(['Employee', 'Rate', 'Hours Worked', 'Regular Hours', 'OT Hours', 'DT Hours', 'PTO Hours', 'Regular Pay', 'OT Pay', 'DT Pay', 'PTO Pay', 'Gross Pay', 'Open Shifts', 'Timesheet']));
+  const grandTotals = emptyPayBreakdown();
+  report.employees.forEach((emp) => {
+    addPayBreakdown(grandTotals, emp.totals);
+    lines.push(toCsvRow([
+      emp.username,
+      emp.rates.map((rate) => rate.toFixed(2)).join(' / '),
+      ...payBreakdownValues(emp.totals),
+      emp.openShifts > 0 ? `${emp.openShifts} OPEN` : '',
+      TIMESHEET_STATUSES[emp.timesheetStatus]
+    ]));
+  });
+  lines.push(toCsvRow(['Totals', '', ...payBreakdownValues(grandTotals), '', '']));
+  if (includeDetails) {
+    lines.push('');
+    lines.push('Shift Details');
+    lines.push(toCsvRow(['Employee', 'Date', 'Day of Week', 'Time In', 'Manager Adj. In', 'Time Out', 'Manager Adj. Out', 'Rate', 'Hours Worked', 'Regular Hours', 'OT Hours', 'DT Hours', 'PTO Hours', 'Regular Pay', 'OT Pay', 'DT Pay', 'PTO Pay', 'Total Pay', 'Open']));
+    report.employees.forEach((emp) => {
+      const timeZone = getUserTimeZone(emp.userData);
+      emp.shifts.forEach((shift) => {
+        const times = resolveShiftTimes(shift, timeZone);
+        const dayStr = new Date(shift.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' });
+        lines.push(toCsvRow([
+          emp.username,
+          shift.date,
+          dayStr,
+          formatShiftTime(times.timeIn, shift.date, timeZone),
+          formatShiftTime(times.adjTimeIn, shift.date, timeZone),
+          formatShiftTime(times.timeOut, shift.date, timeZone),
+          formatShiftTime(times.adjTimeOut, shift.date, timeZone),
+          getRateForDate(emp.userData, shift.date).toFixed(2),
+          ...payBreakdownValues(emp.payByShift[shift.docId]),
+          times.start && !times.end ? 'OPEN' : ''
+        ]));
+      });
+      emp.ptoDays.forEach((day) => {
+        lines.push(toCsvRow([
+          emp.username,
+          day.date,
+          new Date(day.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' }),
+          `${PTO_TYPES[day.type]} (PTO)`,
+          '',
+          '',
+          '',
+          getRateForDate(emp.userData, day.date).toFixed(2),
+          ...payBreakdownValues(day.pay),
+          ''
+        ]));
+      });
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Registry of payroll export formats, keyed by format ID. Add a format by
+ * calling registerPayrollExporter; the admin dashboard lists every
+ * registered format automatically.
+ */
+const PAYROLL_EXPORTERS = {};
+
+/**
+ * Register a payroll export format.
+ *
+ * The `build` function receives the report from buildPayrollReport, the
+ * format's entry in the `exportSettings` of `settings/config` (an empty
+ * object if there is none) and the export options chosen in the dashboard
+ * (`includeDetails`). It returns the file contents as a string.
+ *
+ * Settings shared by the built-in formats:
+ * - `employeeIds`: map of username to the identifier the payroll provider
+ *   knows the employee by. Employees without an entry use their username.
+ *
+ * @param {string} id format ID, used as the key in `exportSettings`
+ * @param {object} exporter
+ * @param {string} exporter.label name shown in the format list
+ * @param {string} exporter.extension file extension without the dot
+ * @param {string} exporter.mimeType
+ * @param {function(object, object, object): string} exporter.build
+ */
+function registerPayrollExporter(id, exporter) {
+  PAYROLL_EXPORTERS[id] = exporter;
+}
+
+/**
+ * Build a payroll report in the given format and download it.
+ *
+ * @param {string} id format ID
+ * @param {object} report as returned by buildPayrollReport
+ * @param {object} options export options, e.g. `{ includeDetails: true }`
+ */
+function exportPayrollReport(id, report, options = {}) {
+  const exporter = PAYROLL_EXPORTERS[id];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${id}`);
+  }
+  const content = exporter.build(report, exportSettings[id] || {}, options);
+  downloadFile(
+    `payroll_${report.period.start}_to_${report.period.end}_${id}.${exporter.extension}`,
+    content,
+    exporter.mimeType
+  );
+}
+
+/**
+ * Return the payroll provider's identifier for an employee.
+ *
+ * @param {object} config format settings
+ * @param {string} username
+ * @returns {string}
+ */
+function getExportEmployeeId(config, username) {
+  return (config.employeeIds && config.employeeIds[username]) || username;
+}
+
+/**
+ * Values available to column mappings, per employee summary row.
+ */
+const PAYROLL_EXPORT_FIELDS = {
+  employeeId: (emp, report, config) => getExportEmployeeId(config, emp.username),
+  username: (emp) => emp.username,
+  periodStart: (emp, report) => report.period.start,
+  periodEnd: (emp, report) => report.period.end,
+  rate: (emp) => emp.rates.map((rate) => rate.toFixed(2)).join(' / '),
+  hours: (emp) => emp.totals.hours.toFixed(2),
+  regularHours: (emp) => emp.totals.regularHours.toFixed(2),
+  overtimeHours: (emp) => emp.totals.overtimeHours.toFixed(2),
+  doubleTimeHours: (emp) => emp.totals.doubleTimeHours.toFixed(2),
+  ptoHours: (emp) => emp.totals.ptoHours.toFixed(2),
+  regularPay: (emp) => emp.totals.regularPay.toFixed(2),
+  overtimePay: (emp) => emp.totals.overtimePay.toFixed(2),
+  doubleTimePay: (emp) => emp.totals.doubleTimePay.toFixed(2),
+  ptoPay: (emp) => emp.totals.ptoPay.toFixed(2),
+  grossPay: (emp) => emp.totals.pay.toFixed(2),
+  openShifts: (emp) => emp.openShifts,
+  timesheetStatus: (emp) => TIMESHEET_STATUSES[emp.timesheetStatus]
+};
+
+registerPayrollExporter('summary-csv', {
+  label: 'Timekeeper payroll report (CSV)',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  build: (report, config, options) => payrollReportToCsv(report, options.includeDetails)
+});
+
+/**
+ * Gusto/ADP-style hours import: one CSV row per employee. The columns are
+ * taken from `columns` in the format settings, an array of
+ * `{ "header": "...", "field": "..." }` where `field` is one of the keys of
+ * PAYROLL_EXPORT_FIELDS. The default suits Gusto's hours import; for ADP
+ * map e.g. `{ "header": "File #", "field": "employeeId" }`,
+ * `{ "header": "Reg Hours", "field": "regularHours" }` and
+ * `{ "header": "O/T Hours", "field": "overtimeHours" }`.
+ */
+registerPayrollExporter('hours-csv', {
+  label: 'Gusto / ADP hours import (CSV)',
+  extension: 'csv',
+  mimeType: 'text/csv',
+  build: (report, config) => {
+    const columns = config.columns || [
+      { header: 'employee_id', field: 'employeeId' },
+      { header: 'regular_hours', field: 'regularHours' },
+      { header: 'overtime_hours', field: 'overtimeHours' },
+      { header: 'double_overtime_hours', field: 'doubleTimeHours' }
+    ];
+    columns.forEach((column) => {
+      if (!PAYROLL_EXPORT_FIELDS[column.field]) {
+        throw new Error(`Unknown export field "${column.field}". Use one of: ${Object.keys(PAYROLL_EXPORT_FIELDS).join(', ')}.`);
+      }
+    });
+    const lines = [toCsvRow(columns.map((column) => column.header))];
+    report.employees.forEach((emp) => {
+      lines.push(toCsvRow(columns.map((column) => PAYROLL_EXPORT_FIELDS[column.field](emp, report, config))));
+    });
+    return lines.join('\n') + '\n';
+  }
+});
+
+/**
+ * QuickBooks Desktop IIF time activity import. Writes one TIMEACT line per
+ * shift and pay category, and one per day of paid time off. Settings:
+ * - `employeeIds`: QuickBooks employee names, which must match exactly;
+ * - `payrollItems`: payroll item names for `regular`, `overtime` and
+ *   `doubleTime` hours, and for each kind of PTO (`vacation`, `sick`);
+ * - `companyName`: name of the QuickBooks company file.
+ */
+registerPayrollExporter('quickbooks-iif', {
+  label: 'QuickBooks time activity (IIF)',
+  extension: 'iif',
+  mimeType: 'text/plain',
+  build: (report, config) => {
+    const items = {
+      regular: 'Hourly Rate',
+      overtime: 'Overtime Rate',
+      doubleTime: 'Double-time Rate',
+      vacation: 'Vacation Hourly',
+      sick: 'Sick Hourly',
+      ...(config.payrollItems || {})
+    };
+    // IIF is tab separated, so tabs and line breaks cannot appear in fields
+    const field = (value) => String(value === undefined || value === null ? '' : value).replace(/[\t\r\n]+/g, ' ');
+    const duration = (hours) => {
+      const minutes = Math.round(hours * 60);
+      return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+    };
+    const lines = [
+      ['!TIMERHDR', 'VER', 'REL', 'COMPANYNAME', 'IMPORTEDBEFORE', 'FROMTIMER', 'COMPANYCREATETIME'].join('\t'),
+      ['TIMERHDR', '8', '0', field(config.companyName || ''), 'N', 'Y', '0'].join('\t'),
+      ['!TIMEACT', 'DATE', 'JOB', 'EMP', 'ITEM', 'PITEM', 'DURATION', 'PROJ', 'NOTE', 'XFERTOPAYROLL', 'BILLINGSTATUS'].join('\t')
+    ];
+    report.employees.forEach((emp) => {
+      const employeeId = field(getExportEmployeeId(config, emp.username));
+      emp.shifts.forEach((shift) => {
+        const pay = emp.payByShift[shift.docId];
+        const [year, month, day] = shift.date.split('-');
+        const categories = [
+          [items.regular, pay.regularHours],
+          [items.overtime, pay.overtimeHours],
+          [items.doubleTime, pay.doubleTimeHours]
+        ];
+        categories.forEach(([item, hours]) => {
+          if (hours <= 0) return;
+          lines.push(['TIMEACT', `${month}/${day}/${year}`, '', employeeId, '', field(item), duration(hours), '', '', 'Y', '0'].join('\t'));
+        });
+      });
+      emp.ptoDays.forEach((ptoDay) => {
+        const [year, month, day] = ptoDay.date.split('-');
+        lines.push(['TIMEACT', `${month}/${day}/${year}`, '', employeeId, '', field(items[ptoDay.type]), duration(ptoDay.pay.ptoHours), '', '', 'Y', '0'].join('\t'));
+      });
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+});
+
+/**
+ * Generic JSON export. The document has the following schema
+ * ("timekeeper.payroll/v1"):
+ *
+ *   {
+ *     "schema": "timekeeper.payroll/v1",
+ *     "generatedAt": "2025-08-16T17:00:00.000Z",  // ISO timestamp
+ *     "period": { "start": "2025-08-03", "end": "2025-08-16" },
+ *     "employees": [{
+ *       "employeeId": "E100",          // from employeeIds, else username
+ *       "username": "alice",
+ *       "rates": [20],                 // hourly rates that applied
+ *       "openShifts": 0,               // shifts never punched out
+ *       "timesheetStatus": "approved", // a key of TIMESHEET_STATUSES
+ *       "totals": {
+ *         "hours": 80, "regularHours": 80, "overtimeHours": 0,
+ *         "doubleTimeHours": 0, "ptoHours": 8, "regularPay": 1600,
+ *         "overtimePay": 0, "doubleTimePay": 0, "ptoPay": 160,
+ *         "grossPay": 1760
+ *       },
+ *       "shifts": [{                   // only with "include details"
+ *         "id": "alice_2025-08-04_1754290800000",
+ *         "date": "2025-08-04",
+ *         "start": "2025-08-04T13:00:00.000Z",   // null if missing
+ *         "end": "2025-08-04T21:00:00.000Z",     // null while open
+ *         "adjusted": false,           // manager adjustment applied
+ *         "rate": 20,
+ *         "hours": 8, "regularHours": 8, "overtimeHours": 0,
+ *         "doubleTimeHours": 0, "pay": 160
+ *       }],
+ *       "pto": [{                      // only with "include details"
+ *         "date": "2025-08-08",
+ *         "type": "vacation",          // a key of PTO_TYPES
+ *         "rate": 20,
+ *         "hours": 8, "pay": 160
+ *       }]
+ *     }]
+ *   }
+ *
+ * Hours and pay are numbers; pay is rounded to cents.
+ */
+registerPayrollExporter('json', {
+  label: 'JSON (timekeeper.payroll/v1)',
+  extension: 'json',
+  mimeType: 'application/json',
+  build: (report, config, options) => {
+    const round = (value) => Math.round(value * 100) / 100;
+    const totalsJson = (totals) => ({
+      hours: round(totals.hours),
+      regularHours: round(totals.regularHours),
+      overtimeHours: round(totals.overtimeHours),
+      doubleTimeHours: round(totals.doubleTimeHours),
+      ptoHours: round(totals.ptoHours),
+      regularPay: round(totals.regularPay),
+      overtimePay: round(totals.overtimePay),
+      doubleTimePay: round(totals.doubleTimePay),
+      ptoPay: round(totals.ptoPay),
+      grossPay: round(totals.pay)
+    });
+    const doc = {
+      schema: 'timekeeper.payroll/v1',
+      generatedAt: new Date().toISOString(),
+      period: { start: report.period.start, end: report.period.end },
+      employees: report.employees.map((emp) => {
+        const entry = {
+          employeeId: getExportEmployeeId(config, emp.username),
+          username: emp.username,
+          rates: emp.rates,
+          openShifts: emp.openShifts,
+          timesheetStatus: emp.timesheetStatus,
+          totals: totalsJson(emp.totals)
+        };
+        if (options.includeDetails) {
+          const timeZone = getUserTimeZone(emp.userData);
+          entry.timeZone = timeZone;
+          entry.shifts = emp.shifts.map((shift) => {
+            const times = resolveShiftTimes(shift, timeZone);
+            const pay = emp.payByShift[shift.docId];
+            return {
+              id: shift.docId,
+              date: shift.date,
+              start: times.start ? times.start.toISOString() : null,
+              end: times.end ? times.end.toISOString() : null,
+              adjusted: !!(times.adjTimeIn || times.adjTimeOut),
+              rate: getRateForDate(emp.userData, shift.date),
+              hours: round(pay.hours),
+              regularHours: round(pay.regularHours),
+              overtimeHours: round(pay.overtimeHours),
+              doubleTimeHours: round(pay.doubleTimeHours),
+              pay: round(pay.pay)
+            };
+          });
+          entry.pto = emp.ptoDays.map((day) => ({
+            date: day.date,
+            type: day.type,
+            rate: getRateForDate(emp.userData, day.date),
+            hours: round(day.pay.ptoHours),
+            pay: round(day.pay.ptoPay)
+          }));
+        }
+        return entry;
+      })
+    };
+    return JSON.stringify(doc, null, 2);
+  }
+});
+
+/**
+ * Render the summary of a payroll report as a table, replacing the
+ * container's contents. Employees with open shifts are highlighted and the
+ * timesheet approval of each employee is shown.
+ *
+ * @param {HTMLElement} container
+ * @param {object} report as returned by buildPayrollReport
+ */
+function renderPayrollSummary(container, report) {
+  container.innerHTML = '';
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>Employee</th><th>Rate</th><th>Hours Worked</th><th>Regular Hours</th><th>OT Hours</th><th>DT Hours</th><th>PTO Hours</th><th>Regular Pay</th><th>OT Pay</th><th>DT Pay</th><th>PTO Pay</th><th>Gross Pay</th><th>Open Shifts</th><th>Timesheet</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  const grandTotals = emptyPayBreakdown();
+  report.employees.forEach((emp) => {
+    addPayBreakdown(grandTotals, emp.totals);
+    const tr = document.createElement('tr');
+    const nameTd = document.createElement('td');
+    nameTd.textContent = emp.username;
+    tr.appendChild(nameTd);
+    tr.insertAdjacentHTML('beforeend', `<td>${emp.rates.map((rate) => rate.toFixed(2)).join(' / ')}</td>${formatPayCells(emp.totals)}<td>${emp.openShifts || ''}</td><td>${TIMESHEET_STATUSES[emp.timesheetStatus]}</td>`);
+    if (emp.openShifts > 0) {
+      tr.style.backgroundColor = '#fff3cd';
+    }
+    tbody.appendChild(tr);
+  });
+  const totalTr = document.createElement('tr');
+  totalTr.innerHTML = `<td colspan="2" style="text-align:right;font-weight:bold;">Total:</td>${formatPayCells(grandTotals)}<td></td><td></td>`;
+  tbody.appendChild(totalTr);
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+/**
+ * Work out how long an employee has been on the clock and how close they
+ * are to overtime, counting the open shift as if it ended now. Hours to
+ * overtime is the smaller of what is left before the daily and the weekly
+ * threshold (null when neither applies).
+ *
+ * @param {object} openShift the employee's open shift
+ * @param {object[]} shifts every shift of the employee, for weekly totals
+ * @param {object} userData user document
+ * @param {Date} now
+ * @param {object} settings see DEFAULT_LIVE_BOARD_SETTINGS
+ * @param {object} rules overtime rules
+ * @returns {{username: string, since: Date, runningHours: number,
+ *   weekHours: number, overtimeHours: number, hoursToOvertime: number|null,
+ *   nearOvertime: boolean, longShift: boolean}}
+ */
+function getOnTheClockStatus(openShift, shifts, userData, now = new Date(), settings = liveBoardSettings, rules = overtimeRules) {
+  const timeZone = getUserTimeZone(userData);
+  const since = resolveShiftTimes(openShift, timeZone).start;
+  const runningHours = computeHours(since, now);
+  const closed = shifts.map((shift) => (shift.docId === openShift.docId ? { ...shift, timeOut: now.toISOString() } : shift));
+  const payByShift = calculatePay(closed, userData, rules);
+  const weekStart = getWorkweekStart(openShift.date, rules.workweekStartDay);
+  const weekEnd = addDaysISO(weekStart, 6);
+  const week = emptyPayBreakdown();
+  const day = emptyPayBreakdown();
+  closed.forEach((shift) => {
+    if (shift.date >= weekStart && shift.date <= weekEnd) addPayBreakdown(week, payByShift[shift.docId]);
+    if (shift.date === openShift.date) addPayBreakdown(day, payByShift[shift.docId]);
+  });
+  const remaining = [];
+  if (rules.weeklyOvertimeThreshold > 0) remaining.push(rules.weeklyOvertimeThreshold - week.regularHours);
+  if (rules.dailyOvertimeThreshold > 0) remaining.push(rules.dailyOvertimeThreshold - day.hours);
+  const hoursToOvertime = remaining.length > 0 ? Math.max(0, Math.min(...remaining)) : null;
+  const overtimeHours = week.overtimeHours + week.doubleTimeHours;
+  return {
+    username: openShift.username,
+    since,
+    runningHours,
+    weekHours: week.hours,
+    overtimeHours,
+    hoursToOvertime,
+    nearOvertime: overtimeHours === 0 && hoursToOvertime !== null && settings.overtimeWarningHours > 0 &&
+      hoursToOvertime <= settings.overtimeWarningHours,
+    longShift: settings.longShiftHours > 0 && runningHours >= settings.longShiftHours
+  };
+}
+
+/**
+ * Show everyone who is currently punched in, with the time they punched in,
+ * the hours of the running shift and of the workweek so far. The board
+ * listens to open shifts (an empty `timeOut`) with onSnapshot, so punches
+ * from any device appear without reloading, and running hours are
+ * refreshed every minute. Employees in or near overtime, or on a long
+ * shift, are highlighted. The board stops itself once the container is
+ * removed from the page.
+ *
+ * @param {HTMLElement} container
+ * @param {string[]|null} usernames limit the board to these employees (a
+ *   supervisor's team), listening to each one's open shifts; null for
+ *   everyone
+ * @returns {Function} stops the board
+ */
+function renderOnTheClockBoard(container, usernames = null) {
+  let openShifts = [];
+  let shiftsByUser = {};
+  let usersByName = {};
+  let generation = 0;
+  const draw = () => {
+    container.innerHTML = '';
+    if (openShifts.length === 0) {
+      container.innerHTML = '<p>Nobody is on the clock.</p>';
+      return;
+    }
+    const now = new Date();
+    const statuses = openShifts
+      .map((shift) => getOnTheClockStatus(shift, shiftsByUser[shift.username], usersByName[shift.username], now))
+      .sort((a, b) => a.since - b.since);
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Employee</th><th>Since</th><th>Running Hours</th><th>Hours This Week</th><th>Alerts</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    statuses.forEach((status) => {
+      const timeZone = getUserTimeZone(usersByName[status.username]);
+      const alerts = [];
+      if (status.overtimeHours > 0) alerts.push(`In overtime (${status.overtimeHours.toFixed(2)} h)`);
+      if (status.nearOvertime) alerts.push(`${status.hoursToOvertime.toFixed(2)} h to overtime`);
+      if (status.longShift) alerts.push('Long shift');
+      const tr = document.createElement('tr');
+      [
+        status.username,
+        `${getISODateString(status.since, timeZone)} ${formatTime(status.since, timeZone)}`,
+        status.runningHours.toFixed(2),
+        status.weekHours.toFixed(2),
+        alerts.join('; ')
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      if (status.overtimeHours > 0 || status.longShift) {
+        tr.style.backgroundColor = '#f8d7da';
+      } else if (status.nearOvertime) {
+        tr.style.backgroundColor = '#fff3cd';
+      }
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+  };
+  container.innerHTML = '<p>Loading…</p>';
+  const load = async (docs) => {
+    // Snapshots can arrive while the previous one is still loading; only
+    // the latest is drawn
+    const current = ++generation;
+    const shifts = docs
+      .map((doc) => ({ ...doc.data(), docId: doc.id }))
+      .filter((shift) => shift.timeIn && !shift.adjTimeOut);
+    const latest = {};
+    shifts.forEach((shift) => {
+      if (!latest[shift.username] || shift.timeIn > latest[shift.username].timeIn) latest[shift.username] = shift;
+    });
+    const loadedShifts = {};
+    const loadedUsers = {};
+    for (const username of Object.keys(latest)) {
+      loadedShifts[username] = await getShiftsForUser(username);
+      const userDoc = await db.collection('users').doc(username).get();
+      loadedUsers[username] = userDoc.exists ? userDoc.data() : { username };
+    }
+    if (current !== generation) return;
+    openShifts = Object.values(latest);
+    shiftsByUser = loadedShifts;
+    usersByName = loadedUsers;
+    draw();
+  };
+  const onError = (err) => {
+    console.error(err);
+    container.innerHTML = '<p>The live board could not be loaded.</p>';
+  };
+  let unsubscribes;
+  if (usernames) {
+    const docsByUser = {};
+    unsubscribes = usernames.map((username) => db.collection('shifts')
+      .where('username', '==', username)
+      .where('timeOut', '==', '')
+      .onSnapshot((snapshot) => {
+        docsByUser[username] = snapshot.docs;
+        load(Object.values(docsByUser).flat());
+      }, onError));
+    if (usernames.length === 0) load([]);
+  } else {
+    unsubscribes = [db.collection('shifts').where('timeOut', '==', '').onSnapshot((snapshot) => load(snapshot.docs), onError)];
+  }
+  const stop = () => {
+    clearInterval(timer);
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  };
+  const timer = setInterval(() => {
+    if (!container.isConnected) {
+      stop();
+      return;
+    }
+    draw();
+  }, 60000);
+  return stop;
+}
+
+/**
+ * Labels of the kinds of schedule variance, in report order.
+ */
+const VARIANCE_TYPES = {
+  late: 'Late arrival',
+  early: 'Early departure',
+  missed: 'Missed shift',
+  unscheduled: 'Unscheduled work'
+};
+
+/**
+ * Parse the text of a schedule cell such as "09:00-17:00, 18:00-22:00"
+ * into the shifts scheduled on a date. Times are wall clock times in the
+ * employee's time zone; an end at or before the start is on the next day,
+ * so overnight shifts can be entered as "22:00-06:00". Throws an Error
+ * describing the first invalid or overlapping range.
+ *
+ * @param {string} text
+ * @param {string} date ISO date string (YYYY-MM-DD)
+ * @param {string} timeZone the employee's time zone
+ * @returns {{start: string, end: string}[]} UTC timestamps, sorted by start
+ */
+function parseScheduleText(text, date, timeZone) {
+  const shifts = text.split(',').map((part) => part.trim()).filter(Boolean).map((part) => {
+    const match = part.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    if (!match || +match[1] > 23 || +match[2] > 59 || +match[3] > 23 || +match[4] > 59) {
+      throw new Error(`"${part}" is not a time range such as 09:00-17:00.`);
+    }
+    const startTime = `${match[1].padStart(2, '0')}:${match[2]}`;
+    const endTime = `${match[3].padStart(2, '0')}:${match[4]}`;
+    const start = zonedTimeToUtc(date, startTime, timeZone);
+    let end = zonedTimeToUtc(date, endTime, timeZone);
+    if (end <= start) {
+      end = zonedTimeToUtc(addDaysISO(date, 1), endTime, timeZone);
+    }
+    return { start: start.toISOString(), end: end.toISOString() };
+  });
+  shifts.sort((a, b) => (a.start < b.start ? -1 : 1));
+  for (let i = 1; i < shifts.length; i++) {
+    if (shifts[i].start < shifts[i - 1].end) {
+      throw new Error('Scheduled shifts on the same day cannot overlap.');
+    }
+  }
+  return shifts;
+}
+
+/**
+ * Format scheduled shifts back into the text accepted by parseScheduleText,
+ * using 24 hour wall clock times in the employee's time zone.
+ *
+ * @param {{start: string, end: string}[]} shifts
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatScheduleText(shifts, timeZone) {
+  const clock = (value) => formatDateTimeInput(new Date(value), timeZone).split('T')[1];
+  return shifts.map((shift) => `${clock(shift.start)}-${clock(shift.end)}`).join(', ');
+}
+
+/**
+ * Format a scheduled or worked time range for display, e.g.
+ * "09:00 PM – 06:00 AM (+1)". A missing end (an open shift) is left blank.
+ *
+ * @param {Date|string} start
+ * @param {Date|string|null} end
+ * @param {string} date ISO date string the range belongs to
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatTimeRange(start, end, date, timeZone) {
+  return `${formatShiftTime(new Date(start), date, timeZone)} – ${end ? formatShiftTime(new Date(end), date, timeZone) : ''}`;
+}
+
+/**
+ * Compare one employee's scheduled shifts with the shifts they worked. A
+ * worked shift belongs to every scheduled shift it overlaps (open shifts
+ * run until now). The result lists:
+ * - `late`: the first matching punch in is more than the late grace period
+ *   after the scheduled start
+ * - `early`: the last matching punch out is more than the early grace
+ *   period before the scheduled end
+ * - `missed`: a scheduled shift that is over and was not worked at all
+ * - `unscheduled`: a worked shift that overlaps no scheduled shift
+ * Each entry has the date, the scheduled and actual start and end (Dates,
+ * or null) and the number of minutes late, early, missed or worked.
+ *
+ * @param {object[]} schedules the employee's schedule documents
+ * @param {object[]} shifts the employee's shift documents
+ * @param {string} timeZone the employee's time zone
+ * @param {object} settings grace periods; defaults to the configured ones
+ * @param {Date} now
+ * @returns {object[]} sorted by time
+ */
+function compareScheduleToShifts(schedules, shifts, timeZone, settings = scheduleSettings, now = new Date()) {
+  const worked = shifts
+    .map((shift) => ({ shift, ...resolveShiftTimes(shift, timeZone) }))
+    .filter((entry) => entry.start)
+    .sort((a, b) => a.start - b.start);
+  const matched = new Set();
+  const variances = [];
+  schedules.forEach((schedule) => {
+    schedule.shifts.forEach((planned) => {
+      const scheduledStart = new Date(planned.start);
+      const scheduledEnd = new Date(planned.end);
+      const base = { date: schedule.date, scheduledStart, scheduledEnd };
+      const overlapping = worked.filter((entry) => entry.start < scheduledEnd && (entry.end || now) > scheduledStart);
+      if (overlapping.length === 0) {
+        if (scheduledEnd <= now) {
+          variances.push({ ...base, type: 'missed', actualStart: null, actualEnd: null, minutes: Math.round((scheduledEnd - scheduledStart) / 60000) });
+        }
+        return;
+      }
+      overlapping.forEach((entry) => matched.add(entry.shift.docId));
+      const first = overlapping[0];
+      const last = overlapping[overlapping.length - 1];
+      const lateMinutes = Math.round((first.start - scheduledStart) / 60000);
+      if (lateMinutes > settings.lateGraceMinutes) {
+        variances.push({ ...base, type: 'late', actualStart: first.start, actualEnd: first.end, minutes: lateMinutes });
+      }
+      const earlyMinutes = last.end ? Math.round((scheduledEnd - last.end) / 60000) : 0;
+      if (earlyMinutes > settings.earlyGraceMinutes) {
+        variances.push({ ...base, type: 'early', actualStart: last.start, actualEnd: last.end, minutes: earlyMinutes });
+      }
+    });
+  });
+  worked.filter((entry) => !matched.has(entry.shift.docId)).forEach((entry) => {
+    variances.push({
+      type: 'unscheduled',
+      date: entry.shift.date,
+      scheduledStart: null,
+      scheduledEnd: null,
+      actualStart: entry.start,
+      actualEnd: entry.end,
+      minutes: entry.end ? Math.round((entry.end - entry.start) / 60000) : null
+    });
+  });
+  return variances.sort((a, b) => (a.scheduledStart || a.actualStart) - (b.scheduledStart || b.actualStart));
+}
+
+/**
+ * Compare an employee's schedule with their punches over a pay period.
+ * Schedules from the day before the period are included so that an
+ * overnight shift running into the period is not reported as unscheduled.
+ *
+ * @param {object} userData the employee's user document
+ * @param {{start: string, end: string}} period
+ * @returns {Promise<object[]>} see compareScheduleToShifts
+ */
+async function getScheduleVariances(userData, period) {
+  const timeZone = getUserTimeZone(userData);
+  const schedules = (await getSchedulesForUser(userData.username))
+    .filter((schedule) => schedule.date >= addDaysISO(period.start, -1) && schedule.date <= period.end);
+  const shifts = (await getShiftsForUser(userData.username))
+    .filter((shift) => shift.date >= period.start && shift.date <= period.end);
+  return compareScheduleToShifts(schedules, shifts, timeZone)
+    .filter((variance) => variance.date >= period.start);
+}
+
+/**
+ * Gather the schedule variances of every employee for one pay period.
+ * Each entry is a variance as returned by compareScheduleToShifts, plus the
+ * employee's username and time zone.
+ *
+ * @param {{start: string, end: string}} period
+ * @returns {Promise<{period: object, variances: object[]}>}
+ */
+async function buildVarianceReport(period) {
+  const employees = await getAllEmployees();
+  employees.sort((a, b) => (a.username < b.username ? -1 : 1));
+  const report = { period, variances: [] };
+  for (const userData of employees) {
+    const timeZone = getUserTimeZone(userData);
+    (await getScheduleVariances(userData, period)).forEach((variance) => {
+      report.variances.push({ username: userData.username, timeZone, ...variance });
+    });
+  }
+  return report;
+}
+
+/**
+ * Convert a schedule variance report to CSV, one row per variance.
+ *
+ * @param {object} report as returned by buildVarianceReport
+ * @returns {string}
+ */
+function varianceReportToCsv(report) {
+  const lines = [];
+  lines.push(toCsvRow(['Schedule Variance Report', report.period.start, report.period.end]));
+  lines.push(toCsvRow(['Employee', 'Date', 'Issue', 'Scheduled', 'Actual', 'Minutes', 'Time Zone']));
+  report.variances.forEach((variance) => {
+    lines.push(toCsvRow([
+      variance.username,
+      variance.date,
+      VARIANCE_TYPES[variance.type],
+      variance.scheduledStart ? formatTimeRange(variance.scheduledStart, variance.scheduledEnd, variance.date, variance.timeZone) : '',
+      variance.actualStart ? formatTimeRange(variance.actualStart, variance.actualEnd, variance.date, variance.timeZone) : '',
+      variance.minutes === null ? '' : variance.minutes,
+      variance.timeZone
+    ]));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render schedule variances as a table, replacing the container's
+ * contents. Pass the employees' time zones on each variance (as
+ * buildVarianceReport does) or a single `timeZone` for all of them.
+ *
+ * @param {HTMLElement} container
+ * @param {object[]} variances
+ * @param {object} options
+ * @param {boolean} [options.showEmployee] add an Employee column
+ * @param {string} [options.timeZone]
+ */
+function renderVarianceTable(container, variances, options = {}) {
+  container.innerHTML = '';
+  if (variances.length === 0) {
+    container.innerHTML = '<p>No variances from the schedule.</p>';
+    return;
+  }
+  const table = document.createElement('table');
+  table.innerHTML = `<thead><tr>${options.showEmployee ? '<th>Employee</th>' : ''}<th>Date</th><th>Issue</th><th>Scheduled</th><th>Actual</th><th>Minutes</th></tr></thead>`;
+  const tbody = document.createElement('tbody');
+  variances.forEach((variance) => {
+    const timeZone = variance.timeZone || options.timeZone;
+    const tr = document.createElement('tr');
+    [
+      ...(options.showEmployee ? [variance.username] : []),
+      variance.date,
+      VARIANCE_TYPES[variance.type],
+      variance.scheduledStart ? formatTimeRange(variance.scheduledStart, variance.scheduledEnd, variance.date, timeZone) : '',
+      variance.actualStart ? formatTimeRange(variance.actualStart, variance.actualEnd, variance.date, timeZone) : '',
+      variance.minutes === null ? '' : variance.minutes
+    ].forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    if (variance.type === 'missed') {
+      tr.style.backgroundColor = '#f8d7da';
+    } else if (variance.type !== 'unscheduled') {
+      tr.style.backgroundColor = '#fff3cd';
+    }
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+/**
+ * Generate a print-ready PDF timesheet and pay stub for one employee and
+ * pay period, and download it. The PDF lists every shift with manager
+ * adjustments marked, any paid time off, the hour and pay totals, the hourly rate(s), the
+ * period range and lines for the employee's and supervisor's signatures.
+ * It is built in the browser with jsPDF, which dashboard.html loads.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ */
+async function downloadTimesheetPdf(username, period) {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    alert('The PDF library could not be loaded. Check your connection and reload the page.');
+    return;
+  }
+  const userDoc = await db.collection('users').doc(username).get();
+  if (!userDoc.exists) {
+    alert('Employee not found.');
+    return;
+  }
+  const userData = userDoc.data();
+  const timeZone = getUserTimeZone(userData);
+  const shifts = await getShiftsForUser(username);
+  const payByShift = calculatePay(shifts, userData);
+  const periodShifts = shifts.filter((s) => s.date >= period.start && s.date <= period.end);
+  const ptoDays = getPtoDays(await getPtoRequestsForUser(username), userData, period);
+  const totals = emptyPayBreakdown();
+  const rates = new Set();
+  periodShifts.forEach((shift) => {
+    addPayBreakdown(totals, payByShift[shift.docId]);
+    rates.add(getRateForDate(userData, shift.date).toFixed(2));
+  });
+  ptoDays.forEach((day) => {
+    addPayBreakdown(totals, day.pay);
+    rates.add(getRateForDate(userData, day.date).toFixed(2));
+  });
+  if (rates.size === 0) {
+    rates.add(getRateForDate(userData, period.end).toFixed(2));
+  }
+  const approval = await getTimesheetApproval(username, period);
+
+  const doc = new window.jspdf.jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 40;
+  let y = margin;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('Timesheet and Pay Stub', margin, y);
+  y += 22;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(`Employee: ${username}`, margin, y);
+  doc.text(`Pay period: ${period.start} to ${period.end}`, margin + 220, y);
+  doc.text(`Hourly rate: ${Array.from(rates).join(' / ')}`, margin + 460, y);
+  y += 14;
+  doc.text(`Generated: ${new Date().toLocaleString()}`, margin, y);
+  doc.text(`Times shown in: ${timeZone}`, margin + 220, y);
+  y += 14;
+  doc.text(`Timesheet: ${describeTimesheetStatus(approval)}`, margin, y);
+  y += 20;
+
+  // Shift table. Adjusted times are shown with an asterisk and the original
+  // punch is listed in the notes column.
+  const columns = [
+    { header: 'Date', width: 70 },
+    { header: 'Day', width: 35 },
+    { header: 'In', width: 75 },
+    { header: 'Out', width: 75 },
+    { header: 'Rate', width: 45 },
+    { header: 'Hours', width: 45 },
+    { header: 'Reg.', width: 40 },
+    { header: 'OT', width: 40 },
+    { header: 'DT', width: 40 },
+    { header: 'PTO', width: 40 },
+    { header: 'Pay', width: 55 },
+    { header: 'Notes', width: 0 }
+  ];
+  columns[columns.length - 1].width = pageWidth - 2 * margin -
+    columns.reduce((sum, column) => sum + column.width, 0);
+  const rowHeight = 16;
+  const drawRow = (cells, bold) => {
+    if (y + rowHeight > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    let x = margin;
+    cells.forEach((cell, i) => {
+      const text = doc.splitTextToSize(String(cell), columns[i].width - 4)[0] || '';
+      doc.text(text, x + 2, y + 11);
+      x += columns[i].width;
+    });
+    doc.line(margin, y + rowHeight, pageWidth - margin, y + rowHeight);
+    y += rowHeight;
+  };
+  drawRow(columns.map((column) => column.header), true);
+  let adjustedCount = 0;
+  // Shifts and days off, by date
+  const rows = [];
+  periodShifts.forEach((shift) => {
+    const times = resolveShiftTimes(shift, timeZone);
+    const pay = payByShift[shift.docId];
+    const notes = [];
+    if (times.adjTimeIn) notes.push(`punched in ${formatShiftTime(times.timeIn, shift.date, timeZone) || '(none)'}`);
+    if (times.adjTimeOut) notes.push(`punched out ${formatShiftTime(times.timeOut, shift.date, timeZone) || '(none)'}`);
+    if (times.start && !times.end) notes.push('not punched out');
+    if (times.adjTimeIn || times.adjTimeOut) adjustedCount++;
+    rows.push([
+      shift.date,
+      new Date(shift.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' }),
+      `${formatShiftTime(times.start, shift.date, timeZone)}${times.adjTimeIn ? '*' : ''}`,
+      `${formatShiftTime(times.end, shift.date, timeZone)}${times.adjTimeOut ? '*' : ''}`,
+      getRateForDate(userData, shift.date).toFixed(2),
+      pay.hours.toFixed(2),
+      pay.regularHours.toFixed(2),
+      pay.overtimeHours.toFixed(2),
+      pay.doubleTimeHours.toFixed(2),
+      pay.ptoHours.toFixed(2),
+      pay.pay.toFixed(2),
+      notes.join('; ')
+    ]);
+  });
+  ptoDays.forEach((day) => {
+    rows.push([
+      day.date,
+      new Date(day.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' }),
+      '',
+      '',
+      getRateForDate(userData, day.date).toFixed(2),
+      '0.00',
+      '0.00',
+      '0.00',
+      '0.00',
+      day.pay.ptoHours.toFixed(2),
+      day.pay.pay.toFixed(2),
+      `${PTO_TYPES[day.type]} (paid time off)`
+    ]);
+  });
+  rows.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)).forEach((row) => drawRow(row, false));
+  drawRow(['Total', '', '', '', '', totals.hours.toFixed(2), totals.regularHours.toFixed(2),
+    totals.overtimeHours.toFixed(2), totals.doubleTimeHours.toFixed(2), totals.ptoHours.toFixed(2), totals.pay.toFixed(2), ''], true);
+  y += 8;
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  if (adjustedCount > 0) {
+    doc.text('* Adjusted by a manager. The original punch is listed under Notes.', margin, y + 8);
+    y += 14;
+  }
+
+  // Pay summary and signatures, kept together on one page
+  if (y + 150 > pageHeight - margin) {
+    doc.addPage();
+    y = margin;
+  }
+  doc.setFontSize(10);
+  y += 16;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Pay Summary', margin, y);
+  doc.setFont('helvetica', 'normal');
+  const summary = [
+    ['Regular', totals.regularHours, totals.regularPay],
+    ['Overtime', totals.overtimeHours, totals.overtimePay],
+    ['Double time', totals.doubleTimeHours, totals.doubleTimePay],
+    ['Paid time off', totals.ptoHours, totals.ptoPay]
+  ];
+  summary.forEach(([label, hours, pay]) => {
+    y += 14;
+    doc.text(label, margin, y);
+    doc.text(`${hours.toFixed(2)} h`, margin + 120, y);
+    doc.text(pay.toFixed(2), margin + 200, y);
+  });
+  y += 14;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Gross pay', margin, y);
+  doc.text(`${(totals.hours + totals.ptoHours).toFixed(2)} h`, margin + 120, y);
+  doc.text(totals.pay.toFixed(2), margin + 200, y);
+  doc.setFont('helvetica', 'normal');
+  y += 50;
+  const signatureLine = (label, x) => {
+    doc.line(x, y, x + 220, y);
+    doc.text(label, x, y + 12);
+    doc.line(x + 240, y, x + 320, y);
+    doc.text('Date', x + 240, y + 12);
+  };
+  signatureLine('Employee signature', margin);
+  signatureLine('Supervisor signature', margin + 360);
+
+  doc.save(`${username}_timesheet_${period.start}_to_${period.end}.pdf`);
+}
+
+/**
+ * Parse CSV text into an array of rows, each an array of strings. Handles
+ * quoted fields containing commas, doubled quotes and line breaks. Blank
+ * lines are dropped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Parse a date/time from an imported file. Accepts ISO style values
+ * ('2025-08-02T09:00', '2025-08-02 09:00', with optional seconds and zone)
+ * and US style values ('8/2/2025 9:00 AM', '08/02/2025 17:30'). Values
+ * without a zone are read as wall clock time in the given time zone.
+ * Returns null if the value cannot be parsed.
+ *
+ * @param {string} value
+ * @param {string} timeZone defaults to the organisation's time zone
+ * @returns {Date|null}
+ */
+function parseImportDateTime(value, timeZone = getOrganisationTimeZone()) {
+  const text = (value || '').trim();
+  if (!text) return null;
+  let year;
+  let month;
+  let day;
+  let hours;
+  let minutes;
+  let seconds;
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:?\d{2})?$/);
+  if (match) {
+    const [, y, mo, d, h, mi, sec, zone] = match;
+    if (zone) {
+      const date = new Date(`${y}-${mo}-${d}T${h.padStart(2, '0')}:${mi}:${sec || '00'}${zone}`);
+      return isNaN(date.getTime()) ? null : date;
+    }
+    [year, month, day, hours, minutes, seconds] = [y, mo, d, h, mi, sec || '0'].map((n) => parseInt(n, 10));
+  } else {
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+    if (!match) return null;
+    const [, mo, d, y, h, mi, sec, ampm] = match;
+    [year, month, day, hours, minutes, seconds] = [y, mo, d, h, mi, sec || '0'].map((n) => parseInt(n, 10));
+    if (ampm) {
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (ampm.toLowerCase() === 'pm' ? 12 : 0);
+    }
+  }
+  // Reject values such as 2/30/2025 that Date silently rolls over
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hours > 23 || minutes > 59 || seconds > 59) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return zonedTimeToUtc(`${year}-${pad(month)}-${pad(day)}`, `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`, timeZone);
+}
+
+/**
+ * Record types the CSV import wizard can create. Each type lists the fields
+ * a column can be mapped to, a `validate` function that checks the mapped
+ * rows against the database and each other, and a `create` function that
+ * writes one validated row.
+ *
+ * `validate` receives the rows as objects keyed by field and returns, for
+ * each row, the record to create or the reasons it will be skipped.
+ */
+const IMPORT_TYPES = {
+  users: {
+    label: 'Employees',
+    fields: [
+      { key: 'username', label: 'Username', required: true },
+      { key: 'password', label: 'Password', required: true },
+      { key: 'hourlyRate', label: 'Hourly Rate', required: true },
+      { key: 'department', label: 'Department', required: false }
+    ],
+    async validate(rows) {
+      const seen = new Set();
+      const results = [];
+      for (const row of rows) {
+        const errors = [];
+        const username = (row.username || '').trim();
+        const hourlyRate = parseFloat(row.hourlyRate);
+        if (!username) {
+          errors.push('Missing username');
+        } else if (seen.has(username)) {
+          errors.push('Duplicate username in file');
+        } else if ((await db.collection('users').doc(username).get()).exists) {
+          errors.push('Username already exists');
+        }
+        if (username) seen.add(username);
+        if (!row.password) errors.push('Missing password');
+        if (isNaN(hourlyRate) || hourlyRate < 0) errors.push('Invalid hourly rate');
+        results.push({
+          errors,
+          record: { username, password: row.password, hourlyRate, department: (row.department || '').trim() },
+          summary: username
+        });
+      }
+      return results;
+    },
+    async create(record) {
+      await addEmployee(record.username, record.password, record.hourlyRate, { department: record.department });
+    }
+  },
+  shifts: {
+    label: 'Historical shifts',
+    fields: [
+      { key: 'username', label: 'Username', required: true },
+      { key: 'timeIn', label: 'Time In', required: true },
+      { key: 'timeOut', label: 'Time Out', required: false }
+    ],
+    async validate(rows) {
+      const existingStarts = {};
+      const timeZones = {};
+      const seen = new Set();
+      const results = [];
+      for (const row of rows) {
+        const errors = [];
+        const username = (row.username || '').trim();
+        if (!username) {
+          errors.push('Missing username');
+        } else if (!(username in existingStarts)) {
+          const userDoc = await db.collection('users').doc(username).get();
+          timeZones[username] = getUserTimeZone(userDoc.exists ? userDoc.data() : null);
+          existingStarts[username] = userDoc.exists
+            ? new Set((await getShiftsForUser(username))
+              .map((shift) => resolveShiftTimes(shift, timeZones[username]).timeIn)
+              .filter(Boolean)
+              .map((time) => time.getTime()))
+            : null;
+        }
+        // Times without a zone are in the employee's time zone
+        const timeZone = timeZones[username] || getOrganisationTimeZone();
+        const start = parseImportDateTime(row.timeIn, timeZone);
+        const end = parseImportDateTime(row.timeOut, timeZone);
+        if (username && existingStarts[username] === null) errors.push('Unknown username');
+        if (!start) errors.push(row.timeIn ? `Unparsable time in "${row.timeIn}"` : 'Missing time in');
+        if (row.timeOut && !end) errors.push(`Unparsable time out "${row.timeOut}"`);
+        if (start && end && end <= start) errors.push('Time out is before time in');
+        if (start && username) {
+          const key = `${username}|${start.getTime()}`;
+          if (seen.has(key)) {
+            errors.push('Duplicate shift in file');
+          } else if (existingStarts[username] && existingStarts[username].has(start.getTime())) {
+            errors.push('Shift already exists');
+          }
+          seen.add(key);
+          if (existingStarts[username]) {
+            try {
+              await assertPeriodUnlocked(username, getISODateString(start, timeZone));
+            } catch (err) {
+              if (!(err instanceof PeriodLockedError)) throw err;
+              errors.push('Pay period is approved and locked');
+            }
+          }
+        }
+        results.push({
+          errors,
+          record: { username, start, end, timeZone },
+          summary: start
+            ? `${username} ${getISODateString(start, timeZone)} ${formatTime(start, timeZone)}${end ? ` – ${formatShiftTime(end, getISODateString(start, timeZone), timeZone)}` : ''}`
+            : username
+        });
+      }
+      return results;
+    },
+    async create(record) {
+      const date = getISODateString(record.start, record.timeZone);
+      await assertPeriodUnlocked(record.username, date);
+      const docId = newShiftId(record.username, date, record.start.getTime());
+      const shiftData = {
+        username: record.username,
+        date,
+        timeIn: record.start.toISOString(),
+        timeOut: record.end ? record.end.toISOString() : '',
+        adjTimeIn: '',
+        adjTimeOut: '',
+        source: 'import'
+      };
+      const batch = db.batch();
+      batch.set(db.collection('shifts').doc(docId), shiftData);
+      addAuditEntry(batch, {
+        action: 'shift.import',
+        collection: 'shifts',
+        docId,
+        subject: record.username,
+        before: null,
+        after: shiftData
+      });
+      await batch.commit();
+    }
+  }
+};
+
+/**
+ * Map parsed CSV rows to objects keyed by import field. `mapping` maps each
+ * field key to a column index, or -1 when the field is not mapped.
+ *
+ * @param {string[][]} dataRows CSV rows without the header row
+ * @param {Object<string, number>} mapping
+ * @returns {object[]}
+ */
+function mapImportRows(dataRows, mapping) {
+  return dataRows.map((row) => {
+    const mapped = {};
+    Object.keys(mapping).forEach((key) => {
+      mapped[key] = mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '';
+    });
+    return mapped;
+  });
+}
+
+/**
+ * Create the records of every valid row of a validated import. Rows with
+ * errors are skipped. With `dryRun` set nothing is written and the summary
+ * reports what would have been created.
+ *
+ * @param {string} type key of IMPORT_TYPES
+ * @param {object[]} results as returned by the type's `validate`
+ * @param {boolean} dryRun
+ * @returns {Promise<{created: number, skipped: number, failed: object[]}>}
+ */
+async function runImport(type, results, dryRun) {
+  const summary = { created: 0, skipped: 0, failed: [] };
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    if (result.errors.length > 0) {
+      summary.skipped++;
+      continue;
+    }
+    if (dryRun) {
+      summary.created++;
+      continue;
+    }
+    try {
+      await IMPORT_TYPES[type].create(result.record);
+      summary.created++;
+    } catch (err) {
+      console.error(err);
+      summary.failed.push({ row: i + 2, message: err.message });
+    }
+  }
+  return summary;
+}
+
+/**
+ * Render the CSV import wizard into a container. The admin picks what to
+ * import and a file, maps the file's columns to fields, previews the
+ * validation result of every row, and then imports (or dry-runs) the valid
+ * rows. `onComplete` is called after a real import so the dashboard can
+ * refresh.
+ *
+ * @param {HTMLElement} container
+ * @param {function(): Promise<void>} onComplete
+ */
+function renderImportWizard(container, onComplete) {
+  container.innerHTML = '';
+  const heading = document.createElement('h3');
+  heading.textContent = 'Import from CSV';
+  container.appendChild(heading);
+  const form = document.createElement('div');
+  form.classList.add('form');
+  const typeSelect = document.createElement('select');
+  Object.keys(IMPORT_TYPES).forEach((key) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = IMPORT_TYPES[key].label;
+    typeSelect.appendChild(opt);
+  });
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.csv,text/csv';
+  form.appendChild(typeSelect);
+  form.appendChild(fileInput);
+  container.appendChild(form);
+  const mappingDiv = document.createElement('div');
+  mappingDiv.classList.add('form');
+  container.appendChild(mappingDiv);
+  const previewDiv = document.createElement('div');
+  container.appendChild(previewDiv);
+  const message = document.createElement('p');
+  message.classList.add('message');
+  container.appendChild(message);
+  // The outcome of the last import, kept apart from validation messages so
+  // that it stays visible when the preview is validated again afterwards
+  const resultMessage = document.createElement('p');
+  resultMessage.classList.add('message');
+  container.appendChild(resultMessage);
+
+  let csvRows = [];
+  let validated = null;
+
+  // Build the column mapping controls, guessing each field's column from
+  // the header names.
+  const renderMapping = () => {
+    mappingDiv.innerHTML = '';
+    previewDiv.innerHTML = '';
+    resultMessage.textContent = '';
+    validated = null;
+    if (csvRows.length === 0) return;
+    const headers = csvRows[0];
+    const normalise = (text) => text.toLowerCase().replace(/[^a-z]/g, '');
+    IMPORT_TYPES[typeSelect.value].fields.forEach((field) => {
+      const label = document.createElement('label');
+      label.textContent = `${field.label}${field.required ? ' *' : ''}`;
+      const select = document.createElement('select');
+      select.dataset.field = field.key;
+      select.innerHTML = '<option value="-1">(not in file)</option>';
+      headers.forEach((header, i) => {
+        const opt = document.createElement('option');
+        opt.value = String(i);
+        opt.textContent = header;
+        select.appendChild(opt);
+      });
+      const guess = headers.findIndex((header) => normalise(header) === normalise(field.key) || normalise(header) === normalise(field.label));
+      select.value = String(guess);
+      mappingDiv.appendChild(label);
+      mappingDiv.appendChild(select);
+    });
+    const validateBtn = document.createElement('button');
+    validateBtn.textContent = 'Validate';
+    validateBtn.addEventListener('click', validate);
+    mappingDiv.appendChild(validateBtn);
+  };
+
+  const validate = async () => {
+    message.textContent = '';
+    message.style.color = '';
+    const type = IMPORT_TYPES[typeSelect.value];
+    const mapping = {};
+    mappingDiv.querySelectorAll('select').forEach((select) => {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+    const missing = type.fields.filter((field) => field.required && mapping[field.key] < 0);
+    if (missing.length > 0) {
+      message.textContent = `Please map: ${missing.map((field) => field.label).join(', ')}.`;
+      return;
+    }
+    const results = await type.validate(mapImportRows(csvRows.slice(1), mapping));
+    validated = { type: typeSelect.value, results };
+    renderPreview();
+  };
+
+  const renderPreview = () => {
+    previewDiv.innerHTML = '';
+    const valid = validated.results.filter((r) => r.errors.length === 0).length;
+    const info = document.createElement('p');
+    info.textContent = `${valid} row(s) ready to import, ${validated.results.length - valid} will be skipped.`;
+    previewDiv.appendChild(info);
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Row</th><th>Record</th><th>Status</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    validated.results.forEach((result, i) => {
+      const tr = document.createElement('tr');
+      [String(i + 2), result.summary, result.errors.length ? `Skip: ${result.errors.join('; ')}` : 'OK'].forEach((text) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      if (result.errors.length) tr.style.color = '#a00';
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    previewDiv.appendChild(table);
+    const dryRunLabel = document.createElement('label');
+    dryRunLabel.style.display = 'block';
+    dryRunLabel.style.marginTop = '10px';
+    const dryRun = document.createElement('input');
+    dryRun.type = 'checkbox';
+    dryRun.checked = true;
+    dryRunLabel.appendChild(dryRun);
+    dryRunLabel.appendChild(document.createTextNode(' Dry run (validate only, write nothing)'));
+    previewDiv.appendChild(dryRunLabel);
+    const importBtn = document.createElement('button');
+    importBtn.textContent = 'Import';
+    importBtn.style.marginTop = '10px';
+    importBtn.addEventListener('click', async () => {
+      importBtn.disabled = true;
+      const summary = await runImport(validated.type, validated.results, dryRun.checked);
+      const verb = dryRun.checked ? 'would be created' : 'created';
+      resultMessage.style.color = summary.failed.length ? '' : 'green';
+      resultMessage.textContent = `${summary.created} record(s) ${verb}, ${summary.skipped} skipped` +
+        (summary.failed.length ? `, ${summary.failed.length} failed (${summary.failed.map((f) => `row ${f.row}: ${f.message}`).join('; ')})` : '') + '.';
+      if (dryRun.checked) {
+        importBtn.disabled = false;
+        return;
+      }
+      await onComplete();
+      // Validate again so the preview reflects what is now in the database
+      await validate();
+    });
+    previewDiv.appendChild(importBtn);
+  };
+
+  typeSelect.addEventListener('change', renderMapping);
+  fileInput.addEventListener('change', async () => {
+    message.textContent = '';
+    const file = fileInput.files[0];
+    csvRows = file ? parseCsv(await file.text()) : [];
+    if (file && csvRows.length < 2) {
+      message.textContent = 'The file needs a header row and at least one data row.';
+    }
+    renderMapping();
+  });
+}
+
+/**
+ * Load the user documents of the employees (including supervisors) the
+ * signed in user can see: everyone for admins, the other members of their
+ * department for supervisors. Used by the admin dashboard to populate
+ * employee selection and by every report.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function getAllEmployees() {
+  const query = db.collection('users').where('role', 'in', Object.keys(STAFF_ROLES));
+  const department = getScopedDepartment();
+  if (department === null) {
+    return (await query.get()).docs.map((doc) => doc.data());
+  }
+  if (!department) return [];
+  let result;
+  try {
+    result = await query.where('department', '==', department).get();
+  } catch (err) {
+    // Refused until the old password hashes are gone (see
+    // markStoredCredentialsRemoved); the team is shown as empty meanwhile
+    if (err.code === 'permission-denied') return [];
+    throw err;
+  }
+  return result.docs.map((doc) => doc.data()).filter((userData) => can('employees.view', userData));
+}
+
+/**
+ * Create a new employee account. New employees are stored under the
+ * 'users' collection with the username as the document ID and their role
+ * set to 'employee' (or 'supervisor'); the password goes to their Firebase
+ * Auth account.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @param {number} hourlyRate
+ * @param {{role: string, department: string}} access a key of STAFF_ROLES
+ *   and the department; supervisors need a department
+ */
+async function addEmployee(username, password, hourlyRate, { role = 'employee', department = '' } = {}) {
+  validateUserAccess(role, department);
+  const userData = {
+    username,
+    role,
+    department,
+    hourlyRate,
+    rateHistory: [{ rate: hourlyRate, effectiveFrom: getISODateString() }]
+  };
+  // Create the Auth account first so a taken username fails before the
+  // user document is written
+  try {
+    await createAuthAccount(username, password);
+  } catch (err) {
+    if (err.code === 'auth/email-already-in-use' && !(await db.collection('users').doc(username).get()).exists) {
+      throw new Error(`The sign-in account of a deleted user named ${username} still exists. Remove it with "node scripts/migrate-auth.js prune" or in the Firebase console, then add the employee again.`);
+    }
+    throw err;
+  }
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(username), userData, { merge: true });
+  addAuditEntry(batch, {
+    action: 'user.create',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: null,
+    after: userData
+  });
+  await batch.commit();
+}
+
+/**
+ * Throw an Error if a role and department cannot be given to a user.
+ *
+ * @param {string} role
+ * @param {string} department
+ */
+function validateUserAccess(role, department) {
+  if (!(role in STAFF_ROLES)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (role === 'supervisor' && !department) {
+    throw new Error('A supervisor needs a department to supervise.');
+  }
+}
+
+/**
+ * Change an employee's role and department. Supervisors see and manage
+ * the other members of their department.
+ *
+ * @param {string} username
+ * @param {{role: string, department: string}} access
+ */
+async function updateUserAccess(username, { role, department }) {
+  await assertCan('users.manage', username);
+  validateUserAccess(role, department);
+  const userDoc = await db.collection('users').doc(username).get();
+  const userData = userDoc.data();
+  const changes = { role, department };
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), changes);
+  addAuditEntry(batch, {
+    action: 'user.access',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { role: userData.role, department: userData.department || '' },
+    after: changes
+  });
+  await batch.commit();
+}
+
+/**
+ * Change the signed in user's own password. The current password is
+ * checked by signing in with it again, which also satisfies Firebase's
+ * requirement of a recent sign in before a password change. Clears any
+ * "change password at next login" flag set by an admin.
+ *
+ * The flag is cleared by the browser, so it is advisory: the security
+ * rules cannot tell whether the password really changed, and a user could
+ * clear their own flag without changing it. The audit log shows whether a
+ * password change was recorded.
+ *
+ * @param {string} username
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ */
+async function changePassword(username, currentPassword, newPassword) {
+  checkPasswordStrength(newPassword);
+  await auth.signInWithEmailAndPassword(usernameToEmail(username), currentPassword);
+  await auth.currentUser.updatePassword(newPassword);
+  const userDoc = await db.collection('users').doc(username).get();
+  const batch = db.batch();
+  if (userDoc.data().mustChangePassword) {
+    batch.update(db.collection('users').doc(username), { mustChangePassword: false });
+  }
+  addAuditEntry(batch, {
+    action: 'user.passwordChange',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: null,
+    after: null
+  });
+  await batch.commit();
+}
+
+/**
+ * Give a user a temporary password chosen by an admin. A browser cannot
+ * set another user's Firebase Auth password (that needs the Admin SDK), so
+ * on real Firebase this is only available against the mock; use
+ * setPasswordChangeRequired there instead.
+ *
+ * @param {string} username
+ * @param {string} temporaryPassword
+ * @param {boolean} mustChange require a new password at next login
+ * @param {string} reason optional explanation for the audit log
+ */
+async function resetPassword(username, temporaryPassword, mustChange, reason = '') {
+  if (!window.useMock) {
+    throw new Error('Setting another user\'s password needs the Firebase Admin SDK.');
+  }
+  await new MockAuth(db, null).setPassword(username, temporaryPassword);
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { mustChangePassword: mustChange });
+  addAuditEntry(batch, {
+    action: 'user.passwordReset',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: null,
+    after: { mustChangePassword: mustChange },
+    reason
+  });
+  await batch.commit();
+}
+
+/**
+ * Set or clear the flag that makes a user choose a new password before
+ * they can use the dashboard. The flag only guides the dashboard; see
+ * changePassword.
+ *
+ * @param {string} username
+ * @param {boolean} required
+ * @param {string} reason optional explanation for the audit log
+ */
+async function setPasswordChangeRequired(username, required, reason = '') {
+  const userDoc = await db.collection('users').doc(username).get();
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { mustChangePassword: required });
+  addAuditEntry(batch, {
+    action: 'user.passwordChangeRequired',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { mustChangePassword: !!userDoc.data().mustChangePassword },
+    after: { mustChangePassword: required },
+    reason
+  });
+  await batch.commit();
+}
+
+/**
+ * Render a form for the signed in user to change their password into a
+ * container. `onChanged` runs after a successful change.
+ *
+ * @param {HTMLElement} container
+ * @param {string} username
+ * @param {Function} onChanged
+ */
+function renderPasswordChangeForm(container, username, onChanged) {
+  const form = document.createElement('form');
+  form.classList.add('form');
+  form.innerHTML = `
+    <label for="currentPassword">Current Password</label>
+    <input type="password" id="currentPassword" autocomplete="current-password" required>
+    <label for="newPassword">New Password</label>
+    <input type="password" id="newPassword" autocomplete="new-password" minlength="${PASSWORD_MIN_LENGTH}" required>
+    <label for="confirmPassword">Confirm New Password</label>
+    <input type="password" id="confirmPassword" autocomplete="new-password" required>
+    <button type="submit">Change Password</button>
+  `;
+  const message = document.createElement('p');
+  message.classList.add('message');
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    message.style.color = '';
+    message.textContent = '';
+    const currentPassword = form.querySelector('#currentPassword').value;
+    const newPassword = form.querySelector('#newPassword').value;
+    if (newPassword !== form.querySelector('#confirmPassword').value) {
+      message.textContent = 'The new passwords do not match.';
+      return;
+    }
+    if (newPassword === currentPassword) {
+      message.textContent = 'Choose a password different from the current one.';
+      return;
+    }
+    try {
+      await changePassword(username, currentPassword, newPassword);
+    } catch (err) {
+      if (['auth/invalid-credential', 'auth/invalid-login-credentials', 'auth/wrong-password'].includes(err.code)) {
+        message.textContent = 'The current password is incorrect.';
+      } else if (err.code === 'auth/weak-password') {
+        message.textContent = err.message;
+      } else {
+        console.error(err);
+        message.textContent = 'Error changing password. See console for details.';
+      }
+      return;
+    }
+    form.reset();
+    message.style.color = 'green';
+    message.textContent = 'Password changed.';
+    if (onChanged) await onChanged();
+  });
+  container.appendChild(form);
+  container.appendChild(message);
+}
+
+// Kiosk PINs only say who is punching at a kiosk (a kiosk account can
+// punch anyone), and being short they gain little from slow hashing; a
+// lower iteration count keeps wall tablets responsive
+const KIOSK_PIN_ITERATIONS = 100000;
+const KIOSK_PIN_PATTERN = /^\d{4,8}$/;
+// Wrong PINs allowed before the employee is locked out of the kiosk
+const KIOSK_MAX_PIN_FAILURES = 5;
+const KIOSK_PIN_LOCKOUT_MINUTES = 15;
+
+/**
+ * Create a kiosk account. Kiosk accounts sign in once on a shared device
+ * (see initKioskPage) and can only punch employees in and out with their
+ * PINs; they never get a dashboard. The account starts enabled.
+ *
+ * @param {string} username
+ * @param {string} password
+ */
+async function addKioskAccount(username, password) {
+  const userData = { username, role: 'kiosk', kioskEnabled: true };
+  await createAuthAccount(username, password);
+  const batch = db.batch();
+  batch.set(db.collection('users').doc(username), userData, { merge: true });
+  addAuditEntry(batch, {
+    action: 'user.create',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: null,
+    after: userData
+  });
+  await batch.commit();
+}
+
+/**
+ * Load all kiosk accounts.
+ * @returns {Promise<object[]>}
+ */
+async function getKioskAccounts() {
+  const result = await db.collection('users').where('role', '==', 'kiosk').get();
+  return result.docs.map((doc) => doc.data());
+}
+
+/**
+ * Enable or disable a kiosk account. A disabled kiosk stays signed in but
+ * cannot punch anyone in or out.
+ *
+ * @param {string} username
+ * @param {boolean} enabled
+ */
+async function setKioskEnabled(username, enabled) {
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { kioskEnabled: enabled });
+  addAuditEntry(batch, {
+    action: 'user.kioskEnabled',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { kioskEnabled: !enabled },
+    after: { kioskEnabled: enabled }
+  });
+  await batch.commit();
+}
+
+/**
+ * Set or clear (with '') an employee's kiosk PIN. The `kioskPins` document
+ * forms the kiosk roster: it holds the salt and the employee's time zone,
+ * because kiosks cannot read user documents, but not the PIN hash. The hash
+ * is only the ID of a document in `kioskPinHashes`, which kiosks may fetch
+ * by ID but not list; see verifyKioskPin.
+ *
+ * @param {string} username
+ * @param {string} pin 4 to 8 digits, or '' to remove the employee from kiosks
+ */
+async function setKioskPin(username, pin) {
+  const ref = db.collection('kioskPins').doc(username);
+  if (pin && !KIOSK_PIN_PATTERN.test(pin)) {
+    throw new Error('PINs must be 4 to 8 digits.');
+  }
+  const batch = db.batch();
+  await deleteKioskPinHashes(username, batch);
+  if (!pin) {
+    batch.delete(ref);
+  } else {
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(16))).map((b) => b.toString(16).padStart(2, '0')).join('');
+    const pinHash = await hashPassword(pin, salt, KIOSK_PIN_ITERATIONS);
+    const userDoc = await db.collection('users').doc(username).get();
+    batch.set(db.collection('kioskPinHashes').doc(`${username}_${pinHash}`), { username });
+    batch.set(ref, {
+      username,
+      timeZone: userDoc.exists ? userDoc.data().timeZone || '' : '',
+      pinSalt: salt,
+      pinIterations: KIOSK_PIN_ITERATIONS,
+      failures: 0,
+      lockedUntil: ''
+    });
+  }
+  addAuditEntry(batch, {
+    action: 'user.kioskPin',
+    collection: 'kioskPins',
+    docId: username,
+    subject: username,
+    before: null,
+    after: { pinSet: !!pin }
+  });
+  await batch.commit();
+}
+
+/**
+ * Add the deletion of an employee's PIN hash documents to a batch.
+ * @param {string} username
+ * @param {object} batch
+ */
+async function deleteKioskPinHashes(username, batch) {
+  const result = await db.collection('kioskPinHashes').where('username', '==', username).get();
+  result.docs.forEach((doc) => batch.delete(db.collection('kioskPinHashes').doc(doc.id)));
+}
+
+/**
+ * Check an employee's kiosk PIN by looking up the document named after its
+ * hash, so the kiosk never sees the stored hash. After
+ * KIOSK_MAX_PIN_FAILURES wrong PINs in a row the employee is locked out of
+ * kiosks for a while. This keeps coworkers from punching for each other by
+ * mistake; it is not a security control, as the kiosk account itself may
+ * punch anyone in or out and keeps the failure count.
+ *
+ * @param {string} username
+ * @param {string} pin
+ * @returns {Promise<{valid: boolean, lockedUntil: Date|null}>}
+ */
+async function verifyKioskPin(username, pin) {
+  const ref = db.collection('kioskPins').doc(username);
+  const doc = await ref.get();
+  if (!doc.exists) return { valid: false, lockedUntil: null };
+  const data = doc.data();
+  if (data.lockedUntil && new Date(data.lockedUntil) > new Date()) {
+    return { valid: false, lockedUntil: new Date(data.lockedUntil) };
+  }
+  const pinHash = await hashPassword(pin, data.pinSalt, data.pinIterations);
+  if ((await db.collection('kioskPinHashes').doc(`${username}_${pinHash}`).get()).exists) {
+    if (data.failures) await ref.update({ failures: 0, lockedUntil: '' });
+    return { valid: true, lockedUntil: null };
+  }
+  const failures = (data.failures || 0) + 1;
+  const lockedUntil = failures >= KIOSK_MAX_PIN_FAILURES
+    ? new Date(Date.now() + KIOSK_PIN_LOCKOUT_MINUTES * 60000)
+    : null;
+  await ref.update({
+    failures: lockedUntil ? 0 : failures,
+    lockedUntil: lockedUntil ? lockedUntil.toISOString() : ''
+  });
+  return { valid: false, lockedUntil };
+}
+
+/**
+ * Delete an employee and all associated shifts. Does not delete pay period
+ * data because pay periods are computed on the fly. The audit log keeps the
+ * deleted user document and the number of shifts removed. Used by the admin.
+ * On real Firebase the Auth account itself can only be removed with the
+ * Admin SDK (scripts/migrate-auth.js prune) or the Firebase console, but
+ * the security rules refuse everything to an account without a user
+ * document, and the dashboards treat it as signed out. Refused with a
+ * PeriodLockedError while any of their pay periods is approved, as that
+ * would delete locked shifts; reopen those periods first.
+ * @param {string} username
+ * @param {string} reason optional explanation for the audit log
+ */
+async function deleteEmployee(username, reason = '') {
+  await assertCan('users.manage', username);
+  const locked = (await getTimesheetApprovalsForUser(username)).filter((approval) => approval.status === 'approved');
+  if (locked.length > 0) {
+    const periods = locked.map((approval) => `${approval.periodStart} to ${approval.periodEnd}`).join(', ');
+    throw new PeriodLockedError(`${username} has approved pay periods (${periods}). Reopen them before deleting the employee.`);
+  }
+  const userDoc = await db.collection('users').doc(username).get();
+  const shifts = await db.collection('shifts').where('username', '==', username).get();
+  // Delete the user document, their lock document and their kiosk PIN
+  // together with the audit entry. The records below can outnumber what
+  // a batch holds and are deleted one by one afterwards.
+  const batch = db.batch();
+  batch.delete(db.collection('users').doc(username));
+  const lockRef = db.collection('timesheetLocks').doc(username);
+  if ((await lockRef.get()).exists) {
+    batch.delete(lockRef);
+  }
+  const pinRef = db.collection('kioskPins').doc(username);
+  if ((await pinRef.get()).exists) {
+    batch.delete(pinRef);
+  }
+  await deleteKioskPinHashes(username, batch);
+  addAuditEntry(batch, {
+    action: 'user.delete',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: userDoc.exists ? { ...userDoc.data(), shiftCount: shifts.docs.length } : null,
+    after: null,
+    reason
+  });
+  await batch.commit();
+  // Delete all shifts for this user
+  for (const doc of shifts.docs) {
+    await db.collection('shifts').doc(doc.id).delete();
+  }
+  // Delete their time off requests
+  const ptoRequests = await db.collection('ptoRequests').where('username', '==', username).get();
+  for (const doc of ptoRequests.docs) {
+    await db.collection('ptoRequests').doc(doc.id).delete();
+  }
+  // Delete their correction requests
+  const corrections = await db.collection('correctionRequests').where('username', '==', username).get();
+  for (const doc of corrections.docs) {
+    await db.collection('correctionRequests').doc(doc.id).delete();
+  }
+  // Delete their timesheet approvals
+  const approvals = await db.collection('timesheetApprovals').where('username', '==', username).get();
+  for (const doc of approvals.docs) {
+    await db.collection('timesheetApprovals').doc(doc.id).delete();
+  }
+  // Delete their schedule
+  const schedules = await db.collection('schedules').where('username', '==', username).get();
+  for (const doc of schedules.docs) {
+    await db.collection('schedules').doc(doc.id).delete();
+  }
+}
+
+/**
+ * Add an hourly rate to an employee's rate history, effective from the
+ * given date. A rate already recorded for that date is replaced. The
+ * `hourlyRate` field is kept in step with the rate in force today for
+ * anything that still reads it directly. The change is recorded in the
+ * audit log.
+ *
+ * @param {string} username
+ * @param {number} hourlyRate
+ * @param {string} effectiveFrom ISO date the rate applies from
+ * @param {string} reason optional explanation for the audit log
+ */
+async function updateHourlyRate(username, hourlyRate, effectiveFrom, reason = '') {
+  await assertCan('users.manage', username);
+  await assertRatesUnlocked(username, effectiveFrom);
+  const userDoc = await db.collection('users').doc(username).get();
+  const userData = userDoc.data();
+  const before = getRateHistory(userData);
+  const rateHistory = before
+    .filter((entry) => entry.effectiveFrom !== effectiveFrom)
+    .concat([{ rate: hourlyRate, effectiveFrom }])
+    .sort((a, b) => (a.effectiveFrom < b.effectiveFrom ? -1 : 1));
+  await saveRateHistory(username, userData, before, rateHistory, reason);
+}
+
+/**
+ * Cancel a rate change that has not taken effect yet.
+ *
+ * @param {string} username
+ * @param {string} effectiveFrom ISO date of the scheduled rate
+ * @param {string} reason optional explanation for the audit log
+ */
+async function removeScheduledRate(username, effectiveFrom, reason = '') {
+  if (effectiveFrom <= getISODateString()) {
+    throw new Error('Only future rate changes can be cancelled.');
+  }
+  await assertCan('users.manage', username);
+  await assertRatesUnlocked(username, effectiveFrom);
+  const userDoc = await db.collection('users').doc(username).get();
+  const userData = userDoc.data();
+  const before = getRateHistory(userData);
+  const rateHistory = before.filter((entry) => entry.effectiveFrom !== effectiveFrom);
+  await saveRateHistory(username, userData, before, rateHistory, reason);
+}
+
+/**
+ * Throw a PeriodLockedError if changing the rate from a date would change
+ * the pay of an approved timesheet.
+ *
+ * @param {string} username
+ * @param {string} effectiveFrom ISO date
+ */
+async function assertRatesUnlocked(username, effectiveFrom) {
+  const locked = (await getTimesheetApprovalsForUser(username))
+    .find((approval) => approval.status === 'approved' && approval.periodEnd >= effectiveFrom);
+  if (locked) {
+    throw new PeriodLockedError(`A rate change from ${effectiveFrom} would change the approved pay period ${locked.periodStart} to ${locked.periodEnd}. Reopen it first or choose a later date.`);
+  }
+}
+
+/**
+ * Write a new rate history to a user document and audit the change.
+ * Shared by updateHourlyRate and removeScheduledRate.
+ *
+ * @param {string} username
+ * @param {object} userData current user document
+ * @param {object[]} before rate history before the change
+ * @param {object[]} rateHistory rate history after the change
+ * @param {string} reason optional explanation for the audit log
+ */
+async function saveRateHistory(username, userData, before, rateHistory, reason) {
+  const hourlyRate = getRateForDate({ ...userData, rateHistory }, getISODateString());
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { rateHistory, hourlyRate });
+  addAuditEntry(batch, {
+    action: 'user.rate',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { rateHistory: before },
+    after: { rateHistory },
+    reason
+  });
+  await batch.commit();
+}
+
+/**
+ * Apply manager adjustments to a shift and record them in the audit log.
+ * A reason is required for every adjustment.
+ *
+ * @param {object} shift the shift as returned by getShiftsForUser
+ * @param {{adjTimeIn: string, adjTimeOut: string}} changes
+ * @param {string} reason
+ */
+async function saveShiftAdjustment(shift, changes, reason) {
+  if (!reason) {
+    throw new Error('A reason is required to adjust a shift.');
+  }
+  await assertCan('shifts.adjust', shift.username);
+  await assertPeriodUnlocked(shift.username, shift.date);
+  const batch = db.batch();
+  addShiftAdjustment(batch, shift, changes, reason);
+  await batch.commit();
+}
+
+/**
+ * Add manager adjustments of a shift and their audit entry to a batch or
+ * transaction. Callers check the permission and period lock first.
+ *
+ * @param {object} writer a WriteBatch or Transaction
+ * @param {object} shift the shift as returned by getShiftsForUser
+ * @param {{adjTimeIn: string, adjTimeOut: string}} changes
+ * @param {string} reason
+ */
+function addShiftAdjustment(writer, shift, changes, reason) {
+  writer.update(db.collection('shifts').doc(shift.docId), changes);
+  const before = {};
+  Object.keys(changes).forEach((key) => {
+    before[key] = shift[key] || '';
+  });
+  addAuditEntry(writer, {
+    action: 'shift.adjust',
+    collection: 'shifts',
+    docId: shift.docId,
+    subject: shift.username,
+    before,
+    after: changes,
+    reason
+  });
+}
+
+/**
+ * Replace an employee's scheduled shifts on one date. Schedules are stored
+ * one document per employee and date (`${username}_${date}`) holding a list
+ * of shifts with UTC start and end timestamps; an empty list removes the
+ * document. Unchanged schedules are not rewritten or audited.
+ *
+ * @param {string} username
+ * @param {string} date ISO date string (YYYY-MM-DD) in the employee's time zone
+ * @param {{start: string, end: string}[]} shifts as returned by parseScheduleText
+ */
+async function setSchedule(username, date, shifts) {
+  const ref = db.collection('schedules').doc(`${username}_${date}`);
+  const existing = await ref.get();
+  const before = existing.exists ? existing.data() : null;
+  if (JSON.stringify(before ? before.shifts : []) === JSON.stringify(shifts)) return;
+  const after = shifts.length > 0 ? { username, date, shifts } : null;
+  const batch = db.batch();
+  if (after) {
+    batch.set(ref, after);
   } else {
-    employeesData.forEach((emp) => {
-      const opt = document.createElement('option');
-      opt.value = emp.username;
-      opt.textContent = emp.username;
-      employeeSelect.appendChild(opt);
+    batch.delete(ref);
+  }
+  addAuditEntry(batch, {
+    action: 'schedule.update',
+    collection: 'schedules',
+    docId: ref.id,
+    subject: username,
+    before,
+    after
+  });
+  await batch.commit();
+}
+
+/**
+ * Load all paid time off requests of one employee, newest first.
+ *
+ * @param {string} username
+ * @returns {Promise<object[]>}
+ */
+async function getPtoRequestsForUser(username) {
+  const result = await db.collection('ptoRequests').where('username', '==', username).get();
+  return result.docs
+    .map((doc) => ({ ...doc.data(), docId: doc.id }))
+    .sort((a, b) => (a.startDate < b.startDate ? 1 : -1));
+}
+
+/**
+ * Load the paid time off requests awaiting a decision, oldest first, of
+ * the employees the signed in user can see.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function getPendingPtoRequests() {
+  const requests = getScopedDepartment() === null
+    ? (await db.collection('ptoRequests').where('status', '==', 'pending').get()).docs.map((doc) => ({ ...doc.data(), docId: doc.id }))
+    : (await loadForTeam(getPtoRequestsForUser)).filter((request) => request.status === 'pending');
+  return requests.sort((a, b) => (a.requestedAt < b.requestedAt ? -1 : 1));
+}
+
+/**
+ * Load an employee's shifts and paid time off requests and work out their
+ * balances; see calculatePtoBalances.
+ *
+ * @param {object} userData user document
+ * @returns {Promise<Object<string, object>>}
+ */
+async function getPtoBalances(userData) {
+  const shifts = await getShiftsForUser(userData.username);
+  const requests = await getPtoRequestsForUser(userData.username);
+  return calculatePtoBalances(userData, shifts, requests);
+}
+
+/**
+ * Ask for paid time off. The request covers the weekdays from `startDate`
+ * to `endDate`, and the weekend days too with `includeWeekends`, at
+ * `hoursPerDay` hours and waits for an admin to approve it.
+ * Throws an Error if the request is invalid, overlaps another pending or
+ * approved request, or needs more hours than are available.
+ *
+ * @param {string} username
+ * @param {object} details
+ * @param {string} details.type a key of PTO_TYPES
+ * @param {string} details.startDate ISO date
+ * @param {string} details.endDate ISO date
+ * @param {number} details.hoursPerDay
+ * @param {boolean} [details.includeWeekends] for employees who work weekends
+ * @param {string} [details.note]
+ * @returns {Promise<string>} ID of the new request
+ */
+async function submitPtoRequest(username, { type, startDate, endDate, hoursPerDay, includeWeekends = false, note = '' }) {
+  if (!PTO_TYPES[type]) {
+    throw new Error('Please choose the kind of time off.');
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+    throw new Error('Please choose the first and last day off.');
+  }
+  if (endDate < startDate) {
+    throw new Error('The last day off cannot be before the first.');
+  }
+  if (endDate > addDaysISO(startDate, 365)) {
+    throw new Error('A request cannot cover more than a year.');
+  }
+  if (!(hoursPerDay > 0 && hoursPerDay <= 24)) {
+    throw new Error('Hours per day must be between 0 and 24.');
+  }
+  if (getPtoRequestDates({ startDate, endDate, includeWeekends }).length === 0) {
+    throw new Error('These dates only cover a weekend. Tick "Include weekends" if you work then.');
+  }
+  const userDoc = await db.collection('users').doc(username).get();
+  const shifts = await getShiftsForUser(username);
+  const requests = await getPtoRequestsForUser(username);
+  const clash = requests.find((request) => (request.status === 'pending' || request.status === 'approved') &&
+    request.startDate <= endDate && request.endDate >= startDate);
+  if (clash) {
+    throw new Error(`This overlaps your ${clash.status} request for ${clash.startDate} to ${clash.endDate}.`);
+  }
+  const request = {
+    username,
+    type,
+    startDate,
+    endDate,
+    hoursPerDay,
+    includeWeekends,
+    hours: getPtoRequestHours({ startDate, endDate, hoursPerDay, includeWeekends }),
+    note,
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    decidedBy: '',
+    decidedAt: '',
+    decisionNote: ''
+  };
+  const balance = calculatePtoBalances(userDoc.data(), shifts, requests)[type];
+  if (request.hours > balance.available) {
+    throw new Error(`You have ${balance.available.toFixed(2)} hours of ${PTO_TYPES[type].toLowerCase()} time available.`);
+  }
+  const ref = db.collection('ptoRequests').doc();
+  const batch = db.batch();
+  batch.set(ref, request);
+  addAuditEntry(batch, {
+    action: 'pto.request',
+    collection: 'ptoRequests',
+    docId: ref.id,
+    subject: username,
+    before: null,
+    after: request
+  });
+  await batch.commit();
+  return ref.id;
+}
+
+/**
+ * Approve or deny a pending paid time off request. Used by the admin. The
+ * request is read again in a transaction, and an Error is thrown if it has
+ * been cancelled or decided in the meantime.
+ *
+ * @param {object} request ptoRequests document with its docId
+ * @param {boolean} approve
+ * @param {string} note optional explanation shown to the employee
+ */
+async function decidePtoRequest(request, approve, note = '') {
+  await assertCan('requests.decide', request.username);
+  if (approve) {
+    for (const date of getPtoRequestDates(request)) {
+      await assertPeriodUnlocked(request.username, date);
+    }
+  }
+  const changes = {
+    status: approve ? 'approved' : 'denied',
+    decidedBy: currentUser || '',
+    decidedAt: new Date().toISOString(),
+    decisionNote: note
+  };
+  const ref = db.collection('ptoRequests').doc(request.docId);
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== 'pending') {
+      throw new Error(`This request is no longer pending${doc.exists ? ` (${doc.data().status})` : ''}.`);
+    }
+    transaction.update(ref, changes);
+    addAuditEntry(transaction, {
+      action: approve ? 'pto.approve' : 'pto.deny',
+      collection: 'ptoRequests',
+      docId: request.docId,
+      subject: request.username,
+      before: { status: doc.data().status },
+      after: changes,
+      reason: note
+    });
+  });
+}
+
+/**
+ * Withdraw one of the employee's own paid time off requests that has not
+ * been decided yet.
+ *
+ * @param {object} request ptoRequests document with its docId
+ */
+async function cancelPtoRequest(request) {
+  const batch = db.batch();
+  batch.update(db.collection('ptoRequests').doc(request.docId), { status: 'cancelled' });
+  addAuditEntry(batch, {
+    action: 'pto.cancel',
+    collection: 'ptoRequests',
+    docId: request.docId,
+    subject: request.username,
+    before: { status: request.status },
+    after: { status: 'cancelled' }
+  });
+  await batch.commit();
+}
+
+/**
+ * Add (or, with negative hours, remove) paid time off hours by hand, e.g.
+ * to carry over a balance from before Timekeeper. Adjustments are kept in
+ * `ptoAdjustments` on the user document and counted from today.
+ *
+ * @param {string} username
+ * @param {string} type a key of PTO_TYPES
+ * @param {number} hours
+ * @param {string} reason
+ */
+async function adjustPtoBalance(username, type, hours, reason) {
+  await assertCan('users.manage', username);
+  const userDoc = await db.collection('users').doc(username).get();
+  const before = userDoc.data().ptoAdjustments || [];
+  const adjustment = { type, hours, date: getISODateString(new Date(), getUserTimeZone(userDoc.data())), reason };
+  const ptoAdjustments = [...before, adjustment];
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { ptoAdjustments });
+  addAuditEntry(batch, {
+    action: 'user.ptoAdjust',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { ptoAdjustments: before },
+    after: { ptoAdjustments },
+    reason
+  });
+  await batch.commit();
+}
+
+/**
+ * Load all correction requests of one employee, newest first.
+ *
+ * @param {string} username
+ * @returns {Promise<object[]>}
+ */
+async function getCorrectionRequestsForUser(username) {
+  const result = await db.collection('correctionRequests').where('username', '==', username).get();
+  return result.docs
+    .map((doc) => ({ ...doc.data(), docId: doc.id }))
+    .sort((a, b) => (a.requestedAt < b.requestedAt ? 1 : -1));
+}
+
+/**
+ * Load the correction requests awaiting a decision, oldest first, of the
+ * employees the signed in user can see.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function getPendingCorrectionRequests() {
+  const requests = getScopedDepartment() === null
+    ? (await db.collection('correctionRequests').where('status', '==', 'pending').get()).docs.map((doc) => ({ ...doc.data(), docId: doc.id }))
+    : (await loadForTeam(getCorrectionRequestsForUser)).filter((request) => request.status === 'pending');
+  return requests.sort((a, b) => (a.requestedAt < b.requestedAt ? -1 : 1));
+}
+
+/**
+ * Ask a manager to correct a shift, e.g. after forgetting to punch out,
+ * or to add a shift that was never punched at all. For an existing shift
+ * either proposed time may be left out to keep the current one; a missing
+ * shift needs both. Throws an Error if the request is invalid or the shift
+ * already has a pending request.
+ *
+ * @param {string} username
+ * @param {object} details
+ * @param {string} details.shiftId the shift to correct, or '' for a missing shift
+ * @param {Date|null} details.timeIn proposed start
+ * @param {Date|null} details.timeOut proposed end
+ * @param {string} details.reason
+ * @returns {Promise<string>} ID of the new request
+ */
+async function submitCorrectionRequest(username, { shiftId, timeIn, timeOut, reason }) {
+  if (!reason) {
+    throw new Error('Please explain what needs correcting.');
+  }
+  const timeZone = await getTimeZoneForUser(username);
+  let date;
+  if (shiftId) {
+    const shiftDoc = await db.collection('shifts').doc(shiftId).get();
+    if (!shiftDoc.exists || shiftDoc.data().username !== username) {
+      throw new Error('That shift could not be found.');
+    }
+    if (!timeIn && !timeOut) {
+      throw new Error('Please enter the correct time in or time out.');
+    }
+    const shift = shiftDoc.data();
+    const current = resolveShiftTimes(shift, timeZone);
+    const start = timeIn || current.start;
+    const end = timeOut || current.end;
+    if (start && end && end <= start) {
+      throw new Error('The time out must be after the time in.');
+    }
+    date = shift.date;
+    const pending = await getCorrectionRequestsForUser(username);
+    if (pending.some((request) => request.status === 'pending' && request.shiftId === shiftId)) {
+      throw new Error('This shift already has a correction request waiting for approval.');
+    }
+  } else {
+    if (!timeIn || !timeOut) {
+      throw new Error('Please enter the time in and time out of the missing shift.');
+    }
+    if (timeOut <= timeIn) {
+      throw new Error('The time out must be after the time in.');
+    }
+    date = getISODateString(timeIn, timeZone);
+  }
+  const request = {
+    username,
+    shiftId: shiftId || '',
+    date,
+    timeIn: timeIn ? timeIn.toISOString() : '',
+    timeOut: timeOut ? timeOut.toISOString() : '',
+    reason,
+    status: 'pending',
+    requestedAt: new Date().toISOString(),
+    decidedBy: '',
+    decidedAt: '',
+    decisionNote: ''
+  };
+  const ref = db.collection('correctionRequests').doc();
+  const batch = db.batch();
+  batch.set(ref, request);
+  addAuditEntry(batch, {
+    action: 'correction.request',
+    collection: 'correctionRequests',
+    docId: ref.id,
+    subject: username,
+    before: null,
+    after: request
+  });
+  await batch.commit();
+  return ref.id;
+}
+
+/**
+ * Approve or reject a pending correction request. Approving applies the
+ * proposed times as manager adjustments, or creates the missing shift from
+ * them, with the employee's reason in the audit log. Used by the admin. As
+ * with paid time off, the request is read again in a transaction, and an
+ * Error is thrown if it has been cancelled or decided in the meantime.
+ *
+ * @param {object} request correctionRequests document with its docId
+ * @param {boolean} approve
+ * @param {string} note optional comment shown to the employee
+ */
+async function decideCorrectionRequest(request, approve, note = '') {
+  await assertCan('requests.decide', request.username);
+  const changes = {
+    status: approve ? 'approved' : 'rejected',
+    decidedBy: currentUser || '',
+    decidedAt: new Date().toISOString(),
+    decisionNote: note
+  };
+  if (approve && !request.shiftId) {
+    await assertPeriodUnlocked(request.username, request.date);
+  }
+  const ref = db.collection('correctionRequests').doc(request.docId);
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== 'pending') {
+      throw new Error(`This request is no longer pending${doc.exists ? ` (${doc.data().status})` : ''}.`);
+    }
+    if (approve) {
+      const reason = `Correction requested by ${request.username}: ${request.reason}`;
+      if (request.shiftId) {
+        const shiftDoc = await transaction.get(db.collection('shifts').doc(request.shiftId));
+        if (!shiftDoc.exists) {
+          throw new Error('The shift no longer exists.');
+        }
+        // Requests are written by the employee, so make sure they name one
+        // of their own shifts
+        if (shiftDoc.data().username !== request.username) {
+          throw new Error(`The shift to correct does not belong to ${request.username}.`);
+        }
+        await assertPeriodUnlocked(request.username, shiftDoc.data().date);
+        const adjustment = {};
+        if (request.timeIn) adjustment.adjTimeIn = request.timeIn;
+        if (request.timeOut) adjustment.adjTimeOut = request.timeOut;
+        addShiftAdjustment(transaction, { ...shiftDoc.data(), docId: shiftDoc.id }, adjustment, reason);
+      } else {
+        // The employee never punched, so the times are manager adjustments
+        const docId = newShiftId(request.username, request.date, new Date(request.timeIn).getTime());
+        const shiftData = {
+          username: request.username,
+          date: request.date,
+          timeIn: '',
+          timeOut: '',
+          adjTimeIn: request.timeIn,
+          adjTimeOut: request.timeOut,
+          source: 'correction'
+        };
+        transaction.set(db.collection('shifts').doc(docId), shiftData);
+        addAuditEntry(transaction, {
+          action: 'shift.create',
+          collection: 'shifts',
+          docId,
+          subject: request.username,
+          before: null,
+          after: shiftData,
+          reason
+        });
+        changes.shiftId = docId;
+      }
+    }
+    transaction.update(ref, changes);
+    addAuditEntry(transaction, {
+      action: approve ? 'correction.approve' : 'correction.reject',
+      collection: 'correctionRequests',
+      docId: request.docId,
+      subject: request.username,
+      before: { status: doc.data().status },
+      after: changes,
+      reason: note
+    });
+  });
+}
+
+/**
+ * Withdraw one of the employee's own correction requests that has not been
+ * decided yet.
+ *
+ * @param {object} request correctionRequests document with its docId
+ */
+async function cancelCorrectionRequest(request) {
+  const batch = db.batch();
+  batch.update(db.collection('correctionRequests').doc(request.docId), { status: 'cancelled' });
+  addAuditEntry(batch, {
+    action: 'correction.cancel',
+    collection: 'correctionRequests',
+    docId: request.docId,
+    subject: request.username,
+    before: { status: request.status },
+    after: { status: 'cancelled' }
+  });
+  await batch.commit();
+}
+
+/**
+ * Stages of the per-employee, per-period timesheet workflow. A timesheet
+ * is open until the employee signs it off; an admin then approves it,
+ * which locks the period. Reopening unlocks it and needs a new sign-off.
+ */
+const TIMESHEET_STATUSES = {
+  open: 'Not signed off',
+  signed: 'Signed off',
+  approved: 'Approved and locked',
+  reopened: 'Reopened'
+};
+
+/**
+ * Raised when a change would alter a pay period whose timesheet has been
+ * approved and locked.
+ */
+class PeriodLockedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PeriodLockedError';
+  }
+}
+
+/**
+ * Load the approval record of one employee's timesheet for a pay period.
+ * Records live in `timesheetApprovals` under `${username}_${period.start}`.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ * @returns {Promise<object|null>} null while the timesheet is open
+ */
+async function getTimesheetApproval(username, period) {
+  const doc = await db.collection('timesheetApprovals').doc(`${username}_${period.start}`).get();
+  return doc.exists ? doc.data() : null;
+}
+
+/**
+ * Load every timesheet approval record of one employee.
+ *
+ * @param {string} username
+ * @returns {Promise<object[]>}
+ */
+async function getTimesheetApprovalsForUser(username) {
+  const result = await db.collection('timesheetApprovals').where('username', '==', username).get();
+  return result.docs.map((doc) => doc.data());
+}
+
+/**
+ * Describe the state of a timesheet for tables and exports, e.g.
+ * "Approved and locked by admin on 8/18/2025".
+ *
+ * @param {object|null} approval as returned by getTimesheetApproval
+ * @returns {string}
+ */
+function describeTimesheetStatus(approval) {
+  const status = approval ? approval.status : 'open';
+  const on = (value) => new Date(value).toLocaleDateString();
+  if (status === 'signed') {
+    return `${TIMESHEET_STATUSES.signed} by ${approval.username} on ${on(approval.signedAt)}`;
+  }
+  if (status === 'approved') {
+    return `${TIMESHEET_STATUSES.approved} by ${approval.approvedBy} on ${on(approval.approvedAt)}`;
+  }
+  if (status === 'reopened') {
+    return `${TIMESHEET_STATUSES.reopened} by ${approval.reopenedBy} on ${on(approval.reopenedAt)}: ${approval.reopenReason}`;
+  }
+  return TIMESHEET_STATUSES.open;
+}
+
+/**
+ * Throw a PeriodLockedError if the pay period containing a date has been
+ * approved for the employee. Called before anything that changes the
+ * hours or pay of a shift.
+ *
+ * @param {string} username
+ * @param {string} dateISO
+ */
+async function assertPeriodUnlocked(username, dateISO) {
+  const period = getPayPeriodForDate(dateISO);
+  const approval = await getTimesheetApproval(username, period);
+  if (approval && approval.status === 'approved') {
+    throw new PeriodLockedError(`The pay period ${period.start} to ${period.end} of ${username} is approved and locked. It must be reopened first.`);
+  }
+}
+
+/**
+ * Check that no shift in a period is still open before it is signed off or
+ * approved.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ */
+async function assertNoOpenShifts(username, period) {
+  const timeZone = await getTimeZoneForUser(username);
+  const open = (await getShiftsForUser(username)).find((shift) => {
+    const times = resolveShiftTimes(shift, timeZone);
+    return shift.date >= period.start && shift.date <= period.end && times.start && !times.end;
+  });
+  if (open) {
+    throw new Error(`The shift on ${open.date} has not been punched out.`);
+  }
+}
+
+/**
+ * Record the employee's confirmation that their timesheet for a period is
+ * correct.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ */
+async function signOffTimesheet(username, period) {
+  const before = await getTimesheetApproval(username, period);
+  if (before && (before.status === 'signed' || before.status === 'approved')) {
+    throw new Error('This timesheet has already been signed off.');
+  }
+  await assertNoOpenShifts(username, period);
+  const changes = {
+    username,
+    periodStart: period.start,
+    periodEnd: period.end,
+    status: 'signed',
+    signedAt: new Date().toISOString()
+  };
+  const docId = `${username}_${period.start}`;
+  const batch = db.batch();
+  batch.set(db.collection('timesheetApprovals').doc(docId), changes, { merge: true });
+  addAuditEntry(batch, {
+    action: 'timesheet.signOff',
+    collection: 'timesheetApprovals',
+    docId,
+    subject: username,
+    before,
+    after: changes
+  });
+  await batch.commit();
+}
+
+/**
+ * Add or remove the dates of a period in the employee's `timesheetLocks`
+ * document, which maps every locked date to the start of its period. The
+ * security rules cannot work out pay periods, so they look dates up there
+ * to refuse changes to locked periods. Written in the same transaction as
+ * the approval it mirrors; `periodStart` names that approval, which the
+ * rules check for supervisors.
+ *
+ * @param {object} transaction
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ * @param {boolean} locked
+ */
+async function updateTimesheetLock(transaction, username, period, locked) {
+  const ref = db.collection('timesheetLocks').doc(username);
+  const doc = await transaction.get(ref);
+  const dates = { ...(doc.exists ? doc.data().dates : {}) };
+  for (let date = period.start; date <= period.end; date = addDaysISO(date, 1)) {
+    if (locked) {
+      dates[date] = period.start;
+    } else {
+      delete dates[date];
+    }
+  }
+  transaction.set(ref, { username, dates, periodStart: period.start });
+}
+
+/**
+ * Approve an employee's timesheet for a period, locking it against
+ * punches, adjustments, rate changes, time off and imports. Used by the
+ * admin.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ */
+async function approveTimesheet(username, period) {
+  await assertCan('timesheets.approve', username);
+  const before = await getTimesheetApproval(username, period);
+  await assertNoOpenShifts(username, period);
+  const changes = {
+    username,
+    periodStart: period.start,
+    periodEnd: period.end,
+    status: 'approved',
+    approvedBy: currentUser || '',
+    approvedAt: new Date().toISOString()
+  };
+  const docId = `${username}_${period.start}`;
+  await db.runTransaction(async (transaction) => {
+    await updateTimesheetLock(transaction, username, period, true);
+    transaction.set(db.collection('timesheetApprovals').doc(docId), changes, { merge: true });
+    addAuditEntry(transaction, {
+      action: 'timesheet.approve',
+      collection: 'timesheetApprovals',
+      docId,
+      subject: username,
+      before,
+      after: changes
     });
+  });
+}
+
+/**
+ * Unlock an approved timesheet so it can be changed. The employee has to
+ * sign it off again before it is approved. A reason is required.
+ *
+ * @param {string} username
+ * @param {{start: string, end: string}} period
+ * @param {string} reason
+ */
+async function reopenTimesheet(username, period, reason) {
+  if (!reason) {
+    throw new Error('A reason is required to reopen a timesheet.');
   }
-  // Section: Pay period start date control
-  const periodSection = document.createElement('div');
-  periodSection.style.marginTop = '20px';
-  const periodLabel = document.createElement('label');
-  periodLabel.textContent = 'Pay period start date:';
-  periodLabel.style.marginRight = '10px';
-  const periodInput = document.createElement('input');
-  periodInput.type = 'date';
-  periodInput.value = payPeriodStartDate || getISODateString();
-  periodInput.addEventListener('change', async () => {
-    await updatePayPeriodStart(periodInput.value);
-  });
-  periodSection.appendChild(periodLabel);
-  periodSection.appendChild(periodInput);
-  container.appendChild(periodSection);
-  // Section: Add employee form
-  const addSection = document.createElement('div');
-  addSection.style.marginTop = '20px';
-  const addHeading = document.createElement('h3');
-  addHeading.textContent = 'Add New Employee';
-  addSection.appendChild(addHeading);
-  const addForm = document.createElement('form');
-  addForm.classList.add('form');
-  addForm.innerHTML = `
-    <label for="newUsername">Username</label>
-    <input type="text" id="newUsername" name="newUsername" required>
-    <label for="newPassword">Password</label>
-    <input type="password" id="newPassword" name="newPassword" required>
-    <label for="newRate">Hourly Rate</label>
-    <input type="number" id="newRate" name="newRate" min="0" step="0.01" required>
-    <button type="submit">Add Employee</button>
-  `;
-  const addMessage = document.createElement('p');
-  addMessage.classList.add('message');
-  addForm.addEventListener('submit', async (event) => {
-    event.preventDefault();
-    addMessage.textContent = '';
-    const uname = addForm.querySelector('#newUsername').value.trim();
-    const pwd = addForm.querySelector('#newPassword').value;
-    const rate = parseFloat(addForm.querySelector('#newRate').value);
-    if (!uname || !pwd) {
-      addMessage.textContent = 'Please enter a username and password.';
-      return;
-    }
-    const exists = await db.collection('users').doc(uname).get();
-    if (exists.exists) {
-      addMessage.textContent = 'Username already exists.';
-      return;
-    }
-    await addEmployee(uname, pwd, rate);
-    addMessage.style.color = 'green';
-    addMessage.textContent = `Employee ${uname} added.`;
-    // Refresh employee list
-    const empOpts = employeeSelect.querySelectorAll('option');
-    empOpts.forEach(opt => opt.remove());
-    const updatedEmployees = await getAllEmployees();
-    updatedEmployees.forEach(emp => {
-      const opt = document.createElement('option');
-      opt.value = emp.username;
-      opt.textContent = emp.username;
-      employeeSelect.appendChild(opt);
+  await assertCan('timesheets.approve', username);
+  const before = await getTimesheetApproval(username, period);
+  const changes = {
+    status: 'reopened',
+    reopenedBy: currentUser || '',
+    reopenedAt: new Date().toISOString(),
+    reopenReason: reason
+  };
+  const docId = `${username}_${period.start}`;
+  await db.runTransaction(async (transaction) => {
+    await updateTimesheetLock(transaction, username, period, false);
+    transaction.update(db.collection('timesheetApprovals').doc(docId), changes);
+    addAuditEntry(transaction, {
+      action: 'timesheet.reopen',
+      collection: 'timesheetApprovals',
+      docId,
+      subject: username,
+      before,
+      after: changes,
+      reason
     });
   });
-  addSection.appendChild(addForm);
-  addSection.appendChild(addMessage);
-  container.appendChild(addSection);
-  // Section: Select employee to view details
-  const selectSection = document.createElement('div');
-  selectSection.style.marginTop = '20px';
-  const selectLabel = document.createElement('label');
-  selectLabel.textContent = 'Select employee:';
-  selectLabel.style.marginRight = '10px';
-  selectSection.appendChild(selectLabel);
-  selectSection.appendChild(employeeSelect);
-  container.appendChild(selectSection);
-  // Placeholder for employee details
-  const detailsDiv = document.createElement('div');
-  detailsDiv.id = 'employeeDetails';
-  detailsDiv.style.marginTop = '20px';
-  container.appendChild(detailsDiv);
-  // When employee selection changes, render details
-  employeeSelect.addEventListener('change', async () => {
-    if (employeeSelect.value) {
-      await renderEmployeeDetails(employeeSelect.value);
-    } else {
-      detailsDiv.innerHTML = '';
+}
+
+/**
+ * Describe an auto clock-out policy, e.g. "after 12 hours".
+ *
+ * @param {object} policy see DEFAULT_AUTO_CLOCK_OUT_POLICY
+ * @returns {string}
+ */
+function describeAutoClockOutPolicy(policy) {
+  if (policy.mode === 'afterHours') return `after ${policy.maxShiftHours} hours`;
+  if (policy.mode === 'cutoff') return `at ${policy.cutoffTime}`;
+  return 'off';
+}
+
+/**
+ * Work out when an open shift is closed under an auto clock-out policy.
+ *
+ * @param {object} shift an open shift
+ * @param {object} policy see DEFAULT_AUTO_CLOCK_OUT_POLICY
+ * @param {string} timeZone the employee's time zone
+ * @returns {Date|null} null when the policy is off
+ */
+function getAutoClockOutTime(shift, policy, timeZone) {
+  const start = resolveShiftTimes(shift, timeZone).start;
+  if (!start) return null;
+  if (policy.mode === 'afterHours' && policy.maxShiftHours > 0) {
+    return new Date(start.getTime() + policy.maxShiftHours * 3600000);
+  }
+  if (policy.mode === 'cutoff') {
+    const cutoff = zonedTimeToUtc(shift.date, policy.cutoffTime, timeZone);
+    return cutoff > start ? cutoff : zonedTimeToUtc(addDaysISO(shift.date, 1), policy.cutoffTime, timeZone);
+  }
+  return null;
+}
+
+/**
+ * True if a shift was closed by the auto clock-out policy and nobody has
+ * dealt with it yet: it has no manager adjusted time out and has not been
+ * marked as reviewed.
+ *
+ * @param {object} shift
+ * @returns {boolean}
+ */
+function isUnreviewedAutoClockOut(shift) {
+  return shift.source === 'auto' && !shift.adjTimeOut && !shift.reviewedBy;
+}
+
+/**
+ * Close open shifts that have run past the auto clock-out policy. The time
+ * out is set to when the policy closes the shift, not to now, and the shift
+ * is marked with `source: 'auto'` so it shows up for review. Shifts in an
+ * approved pay period are left alone. There is no server process, so this
+ * runs when a dashboard is opened and before punching in.
+ *
+ * @param {string|null} username only close this user's shifts; null closes
+ *   those of every employee the signed in user can see
+ * @param {Date} now
+ * @returns {Promise<object[]>} the shifts that were closed
+ */
+async function autoClockOutOpenShifts(username = null, now = new Date()) {
+  if (autoClockOutPolicy.mode === 'off') return [];
+  let open;
+  if (username) {
+    open = (await getShiftsForUser(username)).filter((shift) => !shift.timeOut);
+  } else if (getScopedDepartment() === null) {
+    open = (await db.collection('shifts').where('timeOut', '==', '').get()).docs.map((doc) => ({ ...doc.data(), docId: doc.id }));
+  } else {
+    open = (await loadForTeam(getShiftsForUser)).filter((shift) => !shift.timeOut);
+  }
+  const closed = [];
+  for (const shift of open) {
+    if (!shift.timeIn || shift.adjTimeOut) continue;
+    const time = getAutoClockOutTime(shift, autoClockOutPolicy, await getTimeZoneForUser(shift.username));
+    if (!time || time > now) continue;
+    try {
+      await assertPeriodUnlocked(shift.username, shift.date);
+    } catch (err) {
+      if (!(err instanceof PeriodLockedError)) throw err;
+      continue;
     }
+    const changes = { timeOut: formatPunchTime(time), source: 'auto' };
+    const batch = db.batch();
+    batch.update(db.collection('shifts').doc(shift.docId), changes);
+    addAuditEntry(batch, {
+      action: 'shift.autoClockOut',
+      collection: 'shifts',
+      docId: shift.docId,
+      subject: shift.username,
+      before: { timeOut: '', source: shift.source || '' },
+      after: changes,
+      reason: `Not punched out; closed automatically ${describeAutoClockOutPolicy(autoClockOutPolicy)}`
+    });
+    await batch.commit();
+    if (getKnownOpenShiftId(shift.username) === shift.docId) {
+      rememberOpenShift(shift.username, null);
+    }
+    closed.push({ ...shift, ...changes });
+  }
+  return closed;
+}
+
+/**
+ * Load every automatically closed shift that still needs review, oldest
+ * first, of the employees the signed in user can see.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function getShiftsNeedingReview() {
+  const shifts = getScopedDepartment() === null
+    ? (await db.collection('shifts').where('source', '==', 'auto').get()).docs.map((doc) => ({ ...doc.data(), docId: doc.id }))
+    : await loadForTeam(getShiftsForUser);
+  return shifts
+    .filter(isUnreviewedAutoClockOut)
+    .sort((a, b) => (a.timeIn < b.timeIn ? -1 : 1));
+}
+
+/**
+ * Accept the automatic time out of a shift as it is, taking it off the
+ * review list. Adjusting the time out (directly or by approving the
+ * employee's correction) also does that.
+ *
+ * @param {object} shift including its docId
+ */
+async function markShiftReviewed(shift) {
+  await assertCan('shifts.adjust', shift.username);
+  const changes = { reviewedBy: currentUser || '', reviewedAt: new Date().toISOString() };
+  const batch = db.batch();
+  batch.update(db.collection('shifts').doc(shift.docId), changes);
+  addAuditEntry(batch, {
+    action: 'shift.review',
+    collection: 'shifts',
+    docId: shift.docId,
+    subject: shift.username,
+    before: { reviewedBy: '' },
+    after: changes
   });
-  // Automatically select first employee if available
-  if (employeesData.length > 0) {
-    employeeSelect.value = employeesData[0].username;
-    await renderEmployeeDetails(employeesData[0].username);
+  await batch.commit();
+}
+
+/**
+ * Change the pay period frequency from a given date onwards. Schedules
+ * that were due to start on or after that date are replaced; periods
+ * before it keep the schedule they were paid under. Updates both the
+ * settings document in the database and the global `payPeriodSchedules`.
+ * Callers should check the change with validatePayPeriodSchedule first.
+ *
+ * @param {string} frequency one of the PAY_PERIOD_FREQUENCIES keys
+ * @param {string} effectiveFrom ISO date the first new period starts on
+ */
+async function updatePayPeriodSchedule(frequency, effectiveFrom) {
+  const before = payPeriodSchedules;
+  payPeriodSchedules = payPeriodSchedules
+    .filter((schedule) => schedule.effectiveFrom < effectiveFrom)
+    .concat([{ frequency, effectiveFrom }]);
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { payPeriodSchedules }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.payPeriodSchedule',
+    collection: 'settings',
+    docId: 'config',
+    before: { payPeriodSchedules: before },
+    after: { payPeriodSchedules }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the organisation's time zone to the settings document. An empty
+ * value goes back to the browser's time zone. The change is recorded in
+ * the audit log.
+ *
+ * @param {string} timeZone IANA time zone name, or ''
+ */
+async function updateOrganisationTimeZone(timeZone) {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+  const before = organisationTimeZone;
+  organisationTimeZone = timeZone;
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { timeZone }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.timeZone',
+    collection: 'settings',
+    docId: 'config',
+    before: { timeZone: before },
+    after: { timeZone }
+  });
+  await batch.commit();
+}
+
+/**
+ * Set or clear (with '') an employee's own time zone. The change is
+ * recorded in the audit log.
+ *
+ * @param {string} username
+ * @param {string} timeZone IANA time zone name, or ''
+ */
+async function updateUserTimeZone(username, timeZone) {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    throw new Error(`Unknown time zone: ${timeZone}`);
+  }
+  const userDoc = await db.collection('users').doc(username).get();
+  const batch = db.batch();
+  batch.update(db.collection('users').doc(username), { timeZone });
+  // The kiosk reads time zones from the roster
+  const pinRef = db.collection('kioskPins').doc(username);
+  if ((await pinRef.get()).exists) {
+    batch.update(pinRef, { timeZone });
+  }
+  addAuditEntry(batch, {
+    action: 'user.timeZone',
+    collection: 'users',
+    docId: username,
+    subject: username,
+    before: { timeZone: userDoc.data().timeZone || '' },
+    after: { timeZone }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the session and sign in limits to `settings/security` and update the
+ * global `securitySettings`. The change is recorded in the audit log.
+ *
+ * @param {object} settings
+ */
+async function updateSecuritySettings(settings) {
+  const before = securitySettings;
+  securitySettings = { ...DEFAULT_SECURITY_SETTINGS, ...settings };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('security'), securitySettings, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.security',
+    collection: 'settings',
+    docId: 'security',
+    before,
+    after: securitySettings
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the payroll export settings to the settings document and update the
+ * global `exportSettings` read by the exporters. The saved settings replace
+ * the old ones as a whole, so formats and keys removed from them are gone.
+ *
+ * @param {object} settings per-format settings keyed by exporter ID
+ */
+async function updateExportSettings(settings) {
+  const before = exportSettings;
+  exportSettings = settings;
+  const configRef = db.collection('settings').doc('config');
+  const config = await configRef.get();
+  const batch = db.batch();
+  // A merging set would keep the keys missing from the new settings
+  if (config.exists) {
+    batch.update(configRef, { exportSettings });
+  } else {
+    batch.set(configRef, { exportSettings });
+  }
+  addAuditEntry(batch, {
+    action: 'settings.exportSettings',
+    collection: 'settings',
+    docId: 'config',
+    before: { exportSettings: before },
+    after: { exportSettings }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the overtime rules to the settings document and update the global
+ * `overtimeRules` used by the pay calculation.
+ *
+ * @param {object} rules see DEFAULT_OVERTIME_RULES for the expected fields
+ */
+async function updateOvertimeRules(rules) {
+  const before = overtimeRules;
+  overtimeRules = { ...DEFAULT_OVERTIME_RULES, ...rules };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { overtimeRules }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.overtimeRules',
+    collection: 'settings',
+    docId: 'config',
+    before: { overtimeRules: before },
+    after: { overtimeRules }
+  });
+  await batch.commit();
+}
+
+/**
+ * Change the time rounding rules for shifts from a given date onwards.
+ * Rules that were due to start on or after that date are replaced; earlier
+ * shifts keep the rules they were paid under. Refused with a
+ * PeriodLockedError if the date falls in or before an approved period of
+ * any employee. Updates both the settings document and the global
+ * `roundingRuleSchedules`.
+ *
+ * @param {object} rules see DEFAULT_ROUNDING_RULES for the fields
+ * @param {string} effectiveFrom ISO date of the first shifts rounded this way
+ */
+async function updateRoundingRules(rules, effectiveFrom) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) {
+    throw new Error('Please choose the date the rounding applies from.');
+  }
+  const approvals = await db.collection('timesheetApprovals').where('status', '==', 'approved').get();
+  const locked = approvals.docs.map((doc) => doc.data()).find((approval) => approval.periodEnd >= effectiveFrom);
+  if (locked) {
+    throw new PeriodLockedError(`Rounding from ${effectiveFrom} would change the approved pay period ${locked.periodStart} to ${locked.periodEnd} of ${locked.username}. Reopen it first or choose a later date.`);
+  }
+  const before = roundingRuleSchedules;
+  roundingRuleSchedules = roundingRuleSchedules
+    .filter((entry) => entry.effectiveFrom < effectiveFrom)
+    .concat([{ ...DEFAULT_ROUNDING_RULES, ...rules, effectiveFrom }]);
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { roundingRuleSchedules }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.rounding',
+    collection: 'settings',
+    docId: 'config',
+    before: { roundingRuleSchedules: before },
+    after: { roundingRuleSchedules }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the grace periods of the schedule variance report to the settings
+ * document and update the global `scheduleSettings`.
+ *
+ * @param {object} settings see DEFAULT_SCHEDULE_SETTINGS for the fields
+ */
+async function updateScheduleSettings(settings) {
+  const before = scheduleSettings;
+  scheduleSettings = { ...DEFAULT_SCHEDULE_SETTINGS, ...settings };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { scheduleSettings }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.schedule',
+    collection: 'settings',
+    docId: 'config',
+    before: { scheduleSettings: before },
+    after: { scheduleSettings }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the paid time off accrual policy to the settings document and
+ * update the global `ptoPolicy`.
+ *
+ * @param {object} policy see DEFAULT_PTO_POLICY for the fields
+ */
+async function updatePtoPolicy(policy) {
+  const before = ptoPolicy;
+  ptoPolicy = { ...DEFAULT_PTO_POLICY, ...policy };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { ptoPolicy }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.ptoPolicy',
+    collection: 'settings',
+    docId: 'config',
+    before: { ptoPolicy: before },
+    after: { ptoPolicy }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the highlighting thresholds of the live board to the settings
+ * document and update the global `liveBoardSettings`.
+ *
+ * @param {object} settings see DEFAULT_LIVE_BOARD_SETTINGS for the fields
+ */
+async function updateLiveBoardSettings(settings) {
+  const before = liveBoardSettings;
+  liveBoardSettings = { ...DEFAULT_LIVE_BOARD_SETTINGS, ...settings };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { liveBoardSettings }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.liveBoard',
+    collection: 'settings',
+    docId: 'config',
+    before: { liveBoardSettings: before },
+    after: { liveBoardSettings }
+  });
+  await batch.commit();
+}
+
+/**
+ * Save the auto clock-out policy to the settings document and update the
+ * global `autoClockOutPolicy`.
+ *
+ * @param {object} policy see DEFAULT_AUTO_CLOCK_OUT_POLICY for the fields
+ */
+async function updateAutoClockOutPolicy(policy) {
+  const before = autoClockOutPolicy;
+  autoClockOutPolicy = { ...DEFAULT_AUTO_CLOCK_OUT_POLICY, ...policy };
+  const batch = db.batch();
+  batch.set(db.collection('settings').doc('config'), { autoClockOutPolicy }, { merge: true });
+  addAuditEntry(batch, {
+    action: 'settings.autoClockOut',
+    collection: 'settings',
+    docId: 'config',
+    before: { autoClockOutPolicy: before },
+    after: { autoClockOutPolicy }
+  });
+  await batch.commit();
+}
+
+/**
+ * Fields that must never be copied into the audit log.
+ */
+const AUDIT_REDACTED_FIELDS = CREDENTIAL_FIELDS;
+
+/**
+ * Build an audit log document. The actor and timestamp are filled in
+ * automatically, and secret fields are removed from the before/after
+ * snapshots.
+ *
+ * @param {object} entry
+ * @param {string} entry.action e.g. 'shift.adjust' or 'user.rate'
+ * @param {string} entry.collection collection of the changed document
+ * @param {string} entry.docId ID of the changed document
+ * @param {string} [entry.subject] username the change concerns, if any
+ * @param {object|null} entry.before values before the change
+ * @param {object|null} entry.after values after the change
+ * @param {string} [entry.reason] explanation given by the actor
+ * @returns {object}
+ */
+function buildAuditEntry(entry) {
+  const redact = (values) => {
+    if (!values) return null;
+    const copy = { ...values };
+    AUDIT_REDACTED_FIELDS.forEach((field) => delete copy[field]);
+    return copy;
+  };
+  return {
+    actor: currentUser || '',
+    timestamp: new Date().toISOString(),
+    action: entry.action,
+    collection: entry.collection,
+    docId: entry.docId,
+    subject: entry.subject || '',
+    before: redact(entry.before),
+    after: redact(entry.after),
+    reason: entry.reason || ''
+  };
+}
+
+/**
+ * Add an entry to the audit log as part of a batch or transaction, so it
+ * is saved together with the change it records or not at all. This is
+ * how every change to the database is audited. The `auditLog` collection
+ * is append only: entries are never updated or deleted by the app.
+ *
+ * @param {object} writer a WriteBatch or Transaction
+ * @param {object} entry see buildAuditEntry
+ */
+function addAuditEntry(writer, entry) {
+  writer.set(db.collection('auditLog').doc(), buildAuditEntry(entry));
+}
+
+/**
+ * Append an entry to the audit log on its own. Only for events without a
+ * database change of their own, such as a password change in Firebase Auth
+ * or a punch that could not be synced; changes use addAuditEntry.
+ *
+ * @param {object} entry see buildAuditEntry
+ */
+async function recordAudit(entry) {
+  await db.collection('auditLog').add(buildAuditEntry(entry));
+}
+
+/**
+ * Load audit log entries whose `field` equals `value`, newest first. Use
+ * 'subject' to list everything that concerns an employee and 'docId' for
+ * the history of a single shift.
+ *
+ * @param {string} field
+ * @param {string} value
+ * @returns {Promise<object[]>}
+ */
+async function getAuditLog(field, value) {
+  const result = await db.collection('auditLog').where(field, '==', value).get();
+  const entries = result.docs.map((doc) => ({ ...doc.data(), id: doc.id }));
+  entries.sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+  return entries;
+}
+
+/**
+ * Render audit log entries as a table inside a container, replacing its
+ * previous contents. Each row lists the fields that changed with their old
+ * and new values.
+ *
+ * @param {HTMLElement} container
+ * @param {string} title
+ * @param {object[]} entries as returned by getAuditLog
+ */
+function renderAuditLog(container, title, entries) {
+  container.innerHTML = '';
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  container.appendChild(heading);
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'No changes recorded.';
+    container.appendChild(empty);
+    return;
   }
+  const table = document.createElement('table');
+  table.innerHTML = '<thead><tr><th>When</th><th>Who</th><th>Action</th><th>Changes</th><th>Reason</th></tr></thead>';
+  const tbody = document.createElement('tbody');
+  entries.forEach((entry) => {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+    const show = (value) => (value === undefined || value === '' ? '(empty)' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+    const tr = document.createElement('tr');
+    const cells = [
+      new Date(entry.timestamp).toLocaleString(),
+      entry.actor,
+      entry.action,
+      fields.map((field) => `${field}: ${show(before[field])} → ${show(after[field])}`).join('\n'),
+      entry.reason
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      td.style.whiteSpace = 'pre-wrap';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+}
+
+/**
+ * Fetch all shift documents for a given user. Returns an array of objects
+ * sorted by date ascending, with segments on the same date ordered by their
+ * punch in time. Each object contains the shift data and the document ID.
+ *
+ * @param {string} username
+ */
+async function getShiftsForUser(username) {
+  const result = await db.collection('shifts').where('username', '==', username).get();
+  const shifts = result.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      ...data,
+      docId: doc.id
+    };
+  });
+  shifts.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    const aIn = a.timeIn || '';
+    const bIn = b.timeIn || '';
+    return aIn < bIn ? -1 : aIn > bIn ? 1 : 0;
+  });
+  return shifts;
 }
 
 /**
- * Render the detail view for a single employee within the admin dashboard.
- * This includes the ability to modify adjusted times, change the hourly
- * rate, delete the employee, navigate pay periods, and export CSV reports.
+ * Load the schedule documents dated from `startISO` to `endISO` inclusive,
+ * for every employee. Each document holds one employee's scheduled shifts
+ * on one date; see setSchedule. Admin only.
+ *
+ * @param {string} startISO
+ * @param {string} endISO
+ * @returns {Promise<object[]>}
+ */
+async function getSchedules(startISO, endISO) {
+  const result = await db.collection('schedules')
+    .where('date', '>=', startISO)
+    .where('date', '<=', endISO)
+    .get();
+  return result.docs.map((doc) => ({ ...doc.data(), docId: doc.id }));
+}
+
+/**
+ * Load all schedule documents of one employee, sorted by date. Employees
+ * may only query their own schedule, so this filters on the username.
  *
  * @param {string} username
+ * @returns {Promise<object[]>}
  */
-async function renderEmployeeDetails(username) {
-  const detailsDiv = document.getElementById('employeeDetails');
-  detailsDiv.innerHTML = '';
-  // Get user data
-  const userDoc = await db.collection('users').doc(username).get();
-  if (!userDoc.exists) {
-    detailsDiv.textContent = 'Employee not found.';
-    return;
+async function getSchedulesForUser(username) {
+  const result = await db.collection('schedules').where('username', '==', username).get();
+  return result.docs
+    .map((doc) => ({ ...doc.data(), docId: doc.id }))
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+/**
+ * Find the user's currently open shift segment, i.e. one that has been
+ * punched in but not yet punched out. A segment whose time out was set by
+ * a manager (for example by approving a correction request) is closed.
+ * Returns null when the user is not on the clock. If several segments are
+ * open (which should not normally happen) the most recent one is returned.
+ *
+ * @param {string} username
+ * @returns {Promise<object|null>}
+ */
+async function getOpenShift(username) {
+  const shifts = await getShiftsForUser(username);
+  const open = shifts.filter((s) => s.timeIn && !s.timeOut && !s.adjTimeOut);
+  return open.length > 0 ? open[open.length - 1] : null;
+}
+
+/**
+ * Build a document ID for a new shift segment. A user may work several
+ * segments on the same date (split shifts), so the ID combines the username
+ * and date with a timestamp suffix. Older data used `${username}_${date}` as
+ * the ID of a single shift per day; those documents are still read as
+ * ordinary segments because all lookups query by the `username` field.
+ *
+ * @param {string} username
+ * @param {string} date ISO date string (YYYY-MM-DD)
+ * @param {number} time timestamp for the suffix; defaults to now. Pass the
+ *   shift's start time when creating several shifts at once.
+ * @returns {string}
+ */
+function newShiftId(username, date, time = Date.now()) {
+  return `${username}_${date}_${time}`;
+}
+
+/**
+ * Render the employee dashboard for a given user. Provides punch in/out
+ * buttons, displays the user's shift history, and shows pay period totals.
+ *
+ * @param {string} username
+ */
+async function renderEmployeeDashboard(username) {
+  // Renders can overlap, e.g. when several punch queue changes arrive close
+  // together. The page is built off-screen and only the latest render
+  // replaces the dashboard.
+  const generation = ++dashboardGeneration;
+  const dashboard = document.getElementById('dashboard');
+  const container = document.createElement('div');
+  const header = document.createElement('h2');
+  header.textContent = 'Employee Dashboard';
+  container.appendChild(header);
+  const greeting = document.createElement('p');
+  greeting.textContent = `Hello, ${username}.`;
+  container.appendChild(greeting);
+  // Logout button
+  const logoutBtn = document.createElement('button');
+  logoutBtn.textContent = 'Logout';
+  logoutBtn.addEventListener('click', () => logout());
+  container.appendChild(logoutBtn);
+  if (can('employees.view')) {
+    const teamBtn = document.createElement('button');
+    teamBtn.textContent = 'Team Dashboard';
+    teamBtn.style.marginLeft = '10px';
+    teamBtn.addEventListener('click', () => renderAdminDashboard(username));
+    container.appendChild(teamBtn);
   }
+  // Load user data for hourly rate and time zone
+  const userDoc = await db.collection('users').doc(username).get();
   const userData = userDoc.data();
-  // Keep track of current period index for navigation
-  let currentPeriodIndex = 0;
-  // Container for navigation and summary
-  const header = document.createElement('h3');
-  header.textContent = `Details for ${username}`;
-  detailsDiv.appendChild(header);
-  // Hourly rate change
-  const rateDiv = document.createElement('div');
-  rateDiv.style.marginBottom = '10px';
-  const rateLabel = document.createElement('label');
-  rateLabel.textContent = 'Hourly Rate:';
-  rateLabel.style.marginRight = '10px';
-  const rateInput = document.createElement('input');
-  rateInput.type = 'number';
-  rateInput.min = '0';
-  rateInput.step = '0.01';
-  rateInput.value = userData.hourlyRate;
-  const rateButton = document.createElement('button');
-  rateButton.textContent = 'Update Rate';
-  rateButton.addEventListener('click', async () => {
-    const newRate = parseFloat(rateInput.value);
-    if (isNaN(newRate) || newRate < 0) {
-      alert('Please enter a valid hourly rate.');
-      return;
+  const timeZone = getUserTimeZone(userData);
+  // Determine punch state. Employees can work several segments a day, so
+  // the only thing that matters is whether a segment is currently open.
+  // While punches are waiting to sync, or the server cannot be reached,
+  // this device's own record of the open shift is used.
+  const today = getISODateString(new Date(), timeZone);
+  const pending = getPendingPunches(username);
+  let isPunchedIn = !!getKnownOpenShiftId(username);
+  if (pending.length === 0 && navigator.onLine) {
+    try {
+      await withTimeout(autoClockOutOpenShifts(username), PUNCH_TIMEOUT_MS);
+      const openShift = await withTimeout(getOpenShift(username), PUNCH_TIMEOUT_MS);
+      isPunchedIn = !!openShift;
+      rememberOpenShift(username, openShift ? openShift.docId : null);
+    } catch (err) {
+      if (!isConnectivityError(err)) throw err;
     }
-    await db.collection('users').doc(username).update({ hourlyRate: newRate });
-    alert('Hourly rate updated.');
-    // Refresh table to recalc totals
-    await updateTable();
+  }
+  // Pending sync indicator
+  if (pending.length > 0) {
+    const syncBanner = document.createElement('div');
+    syncBanner.classList.add('banner', 'banner-pending');
+    syncBanner.textContent = `Pending sync: ${pending.map((entry) => `punch ${entry.type} at ${formatTime(entry.time, timeZone)}`).join(', ')}. ` +
+      'These will be saved automatically when the connection returns.';
+    container.appendChild(syncBanner);
+  }
+  // Punches that could not be synced because the server data changed
+  getPunchConflicts(username).forEach((conflict) => {
+    const conflictBanner = document.createElement('div');
+    conflictBanner.classList.add('banner', 'banner-error');
+    conflictBanner.textContent = `${conflict.message} Please tell your manager. `;
+    const dismissBtn = document.createElement('button');
+    dismissBtn.textContent = 'Dismiss';
+    dismissBtn.addEventListener('click', async () => {
+      dismissPunchConflict(conflict.id);
+      await renderEmployeeDashboard(username);
+    });
+    conflictBanner.appendChild(dismissBtn);
+    container.appendChild(conflictBanner);
   });
-  rateDiv.appendChild(rateLabel);
-  rateDiv.appendChild(rateInput);
-  rateDiv.appendChild(rateButton);
-  detailsDiv.appendChild(rateDiv);
-  // Delete employee button
-  const deleteBtn = document.createElement('button');
-  deleteBtn.textContent = 'Delete Employee';
-  deleteBtn.style.marginBottom = '10px';
-  deleteBtn.style.backgroundColor = '#dc3545';
-  deleteBtn.style.color = '#fff';
-  deleteBtn.addEventListener('click', async () => {
-    if (confirm(`Are you sure you want to delete ${username}? This will remove all shift records for this employee.`)) {
-      await deleteEmployee(username);
-      alert(`${username} deleted.`);
-      // Remove from list
-      const select = document.querySelector('select');
-      select.querySelector(`option[value="${username}"]`).remove();
-      detailsDiv.innerHTML = '';
+  // Shifts closed by the auto clock-out policy; the employee is asked for
+  // the time they really left until they have requested a correction
+  const requestedShiftIds = new Set((await getCorrectionRequestsForUser(username))
+    .filter((request) => request.status === 'pending')
+    .map((request) => request.shiftId));
+  (await getShiftsForUser(username))
+    .filter((shift) => isUnreviewedAutoClockOut(shift) && !requestedShiftIds.has(shift.docId))
+    .forEach((shift) => {
+      const times = resolveShiftTimes(shift, timeZone);
+      const autoBanner = document.createElement('div');
+      autoBanner.classList.add('banner', 'banner-error');
+      autoBanner.textContent = `You did not punch out of your shift on ${shift.date} (in at ${formatTime(times.start, timeZone)}), ` +
+        `so it was closed automatically at ${formatShiftTime(times.end, shift.date, timeZone)}. Please enter the time you actually left: `;
+      const outInput = document.createElement('input');
+      outInput.type = 'datetime-local';
+      outInput.value = formatDateTimeInput(times.end, timeZone);
+      const submitBtn = document.createElement('button');
+      submitBtn.textContent = 'Submit Time Out';
+      submitBtn.addEventListener('click', async () => {
+        const timeOut = parseDateTimeInput(outInput.value, timeZone);
+        if (!timeOut) {
+          alert('Please enter the time you left.');
+          return;
+        }
+        try {
+          await submitCorrectionRequest(username, {
+            shiftId: shift.docId,
+            timeIn: null,
+            timeOut,
+            reason: 'Forgot to punch out'
+          });
+        } catch (err) {
+          alert(err.message);
+          return;
+        }
+        await renderEmployeeDashboard(username);
+      });
+      autoBanner.appendChild(outInput);
+      autoBanner.appendChild(submitBtn);
+      container.appendChild(autoBanner);
+    });
+  // Buttons container
+  const btnDiv = document.createElement('div');
+  btnDiv.classList.add('button-group');
+  const punchInBtn = document.createElement('button');
+  punchInBtn.textContent = 'Punch In';
+  const punchOutBtn = document.createElement('button');
+  punchOutBtn.textContent = 'Punch Out';
+  // Determine which buttons to enable
+  punchInBtn.disabled = isPunchedIn;
+  punchOutBtn.disabled = !isPunchedIn;
+  punchInBtn.addEventListener('click', async () => {
+    await punchIn(username);
+    await renderEmployeeDashboard(username);
+  });
+  punchOutBtn.addEventListener('click', async () => {
+    await punchOut(username);
+    await renderEmployeeDashboard(username);
+  });
+  btnDiv.appendChild(punchInBtn);
+  btnDiv.appendChild(punchOutBtn);
+  container.appendChild(btnDiv);
+  // Load shifts and render table
+  const shifts = await getShiftsForUser(username);
+  const table = document.createElement('table');
+  const thead = document.createElement('thead');
+  thead.innerHTML = `<tr><th>Date</th><th>Day</th><th>Time In</th><th>Adj. In</th><th>Time Out</th><th>Adj. Out</th><th>Rate</th><th>Hours</th><th>Reg.</th><th>OT</th><th>DT</th><th>PTO</th><th>Reg. Pay</th><th>OT Pay</th><th>DT Pay</th><th>PTO Pay</th><th>Pay</th></tr>`;
+  table.appendChild(thead);
+  const tbody = document.createElement('tbody');
+  const payByShift = calculatePay(shifts, userData);
+  const totals = emptyPayBreakdown();
+  // Determine current pay period for employee view
+  const currentPeriod = getPayPeriodForDate(today);
+  const periodStartISO = currentPeriod.start;
+  const periodEndISO = currentPeriod.end;
+  const ptoRequests = await getPtoRequestsForUser(username);
+  const rows = [];
+  for (const shift of shifts) {
+    // Only include rows that fall into the current pay period
+    if (shift.date < periodStartISO || shift.date > periodEndISO) continue;
+    const tr = document.createElement('tr');
+    const dateObj = new Date(shift.date + 'T00:00');
+    const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
+    const times = resolveShiftTimes(shift, timeZone);
+    const pay = payByShift[shift.docId];
+    addPayBreakdown(totals, pay);
+    tr.innerHTML = `
+      <td>${shift.date}</td>
+      <td>${dayStr}</td>
+      <td>${formatShiftTime(times.timeIn, shift.date, timeZone)}</td>
+      <td>${formatShiftTime(times.adjTimeIn, shift.date, timeZone)}</td>
+      <td>${formatShiftTime(times.timeOut, shift.date, timeZone)}${shift.source === 'auto' ? ' (auto)' : ''}</td>
+      <td>${formatShiftTime(times.adjTimeOut, shift.date, timeZone)}</td>
+      <td>${getRateForDate(userData, shift.date).toFixed(2)}</td>
+      ${formatPayCells(pay)}
+    `;
+    rows.push({ date: shift.date, tr });
+  }
+  getPtoDays(ptoRequests, userData, currentPeriod).forEach((day) => {
+    const tr = document.createElement('tr');
+    addPayBreakdown(totals, day.pay);
+    tr.innerHTML = `
+      <td>${day.date}</td>
+      <td>${new Date(day.date + 'T00:00').toLocaleDateString(undefined, { weekday: 'short' })}</td>
+      <td colspan="4">${PTO_TYPES[day.type]} (PTO)</td>
+      <td>${getRateForDate(userData, day.date).toFixed(2)}</td>
+      ${formatPayCells(day.pay)}
+    `;
+    rows.push({ date: day.date, tr });
+  });
+  rows.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0)).forEach((row) => tbody.appendChild(row.tr));
+  const totalTr = document.createElement('tr');
+  totalTr.innerHTML = `<td colspan="7" style="text-align:right;font-weight:bold;">Total:</td>${formatPayCells(totals)}`;
+  tbody.appendChild(totalTr);
+  table.appendChild(tbody);
+  const caption = document.createElement('caption');
+  caption.textContent = `Pay period ${periodStartISO} to ${periodEndISO}: ${describeTimesheetStatus(await getTimesheetApproval(username, currentPeriod))}`;
+  table.prepend(caption);
+  container.appendChild(table);
+  // Display period range
+  const periodInfo = document.createElement('p');
+  periodInfo.textContent = `Current pay period: ${periodStartISO} to ${periodEndISO}. Times are shown in ${timeZone}. ${describeRoundingRules()}`;
+  container.appendChild(periodInfo);
+  // Printable timesheet for the current period
+  const pdfBtn = document.createElement('button');
+  pdfBtn.textContent = 'Download Timesheet PDF';
+  pdfBtn.addEventListener('click', async () => {
+    await downloadTimesheetPdf(username, currentPeriod);
+  });
+  container.appendChild(pdfBtn);
+  // Sign-off of this and the previous period's timesheet, which the admin
+  // then approves
+  const signOffSection = document.createElement('div');
+  signOffSection.style.marginTop = '20px';
+  const signOffHeading = document.createElement('h3');
+  signOffHeading.textContent = 'Timesheet Sign-Off';
+  signOffSection.appendChild(signOffHeading);
+  const signOffList = document.createElement('ul');
+  for (const period of [getAdjacentPayPeriod(currentPeriod, -1), currentPeriod]) {
+    const approval = await getTimesheetApproval(username, period);
+    const li = document.createElement('li');
+    li.textContent = `${period.start} to ${period.end}: ${describeTimesheetStatus(approval)}`;
+    if (!approval || approval.status === 'reopened') {
+      const signOffBtn = document.createElement('button');
+      signOffBtn.textContent = 'Sign Off Timesheet';
+      signOffBtn.style.marginLeft = '10px';
+      signOffBtn.addEventListener('click', async () => {
+        if (!confirm(`I confirm that my timesheet for ${period.start} to ${period.end} is correct.`)) return;
+        try {
+          await signOffTimesheet(username, period);
+        } catch (err) {
+          alert(err.message);
+          return;
+        }
+        await renderEmployeeDashboard(username);
+      });
+      li.appendChild(signOffBtn);
     }
+    signOffList.appendChild(li);
+  }
+  signOffSection.appendChild(signOffList);
+  container.appendChild(signOffSection);
+  // Missed punch corrections for a manager to approve
+  const correctionSection = document.createElement('div');
+  correctionSection.style.marginTop = '20px';
+  const correctionHeading = document.createElement('h3');
+  correctionHeading.textContent = 'Request a Correction';
+  correctionSection.appendChild(correctionHeading);
+  // Shifts of this and the previous pay period, newest first
+  const correctableFrom = getAdjacentPayPeriod(currentPeriod, -1).start;
+  const correctableShifts = shifts.filter((shift) => shift.date >= correctableFrom).reverse();
+  const correctionForm = document.createElement('form');
+  correctionForm.classList.add('form');
+  correctionForm.innerHTML = `
+    <label for="correctionShift">Shift</label>
+    <select id="correctionShift">
+      <option value="">Missing shift (not punched at all)</option>
+    </select>
+    <label for="correctionIn">Correct time in</label>
+    <input type="datetime-local" id="correctionIn">
+    <label for="correctionOut">Correct time out</label>
+    <input type="datetime-local" id="correctionOut">
+    <label for="correctionReason">Reason</label>
+    <input type="text" id="correctionReason" required>
+    <button type="submit">Submit Correction</button>
+  `;
+  const correctionShift = correctionForm.querySelector('#correctionShift');
+  const correctionIn = correctionForm.querySelector('#correctionIn');
+  const correctionOut = correctionForm.querySelector('#correctionOut');
+  correctableShifts.forEach((shift) => {
+    const times = resolveShiftTimes(shift, timeZone);
+    const opt = document.createElement('option');
+    opt.value = shift.docId;
+    opt.textContent = `${shift.date} ${formatTime(times.start, timeZone)} – ${times.end ? formatShiftTime(times.end, shift.date, timeZone) : 'not punched out'}`;
+    correctionShift.appendChild(opt);
   });
-  detailsDiv.appendChild(deleteBtn);
-  // Navigation controls for pay periods
-  const navDiv = document.createElement('div');
-  navDiv.style.margin = '10px 0';
-  const prevBtn = document.createElement('button');
-  prevBtn.textContent = 'Previous Period';
-  prevBtn.addEventListener('click', () => {
-    currentPeriodIndex--;
-    updateTable();
+  // Start from the shift's current times so only the wrong one is changed
+  correctionShift.addEventListener('change', () => {
+    const shift = correctableShifts.find((entry) => entry.docId === correctionShift.value);
+    const times = shift ? resolveShiftTimes(shift, timeZone) : {};
+    correctionIn.value = formatDateTimeInput(times.start || null, timeZone);
+    correctionOut.value = formatDateTimeInput(times.end || null, timeZone);
   });
-  const nextBtn = document.createElement('button');
-  nextBtn.textContent = 'Next Period';
-  nextBtn.style.marginLeft = '10px';
-  nextBtn.addEventListener('click', () => {
-    currentPeriodIndex++;
-    updateTable();
+  const correctionMessage = document.createElement('p');
+  correctionMessage.classList.add('message');
+  correctionForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    correctionMessage.style.color = '';
+    correctionMessage.textContent = '';
+    const shift = correctableShifts.find((entry) => entry.docId === correctionShift.value);
+    const current = shift ? resolveShiftTimes(shift, timeZone) : {};
+    // Only propose the times that differ from the shift's current ones
+    const proposed = (input, currentTime) => {
+      const value = parseDateTimeInput(input.value, timeZone);
+      return value && (!currentTime || value.getTime() !== currentTime.getTime()) ? value : null;
+    };
+    try {
+      await submitCorrectionRequest(username, {
+        shiftId: correctionShift.value,
+        timeIn: proposed(correctionIn, current.start),
+        timeOut: proposed(correctionOut, current.end),
+        reason: correctionForm.querySelector('#correctionReason').value.trim()
+      });
+    } catch (err) {
+      correctionMessage.textContent = err.message;
+      return;
+    }
+    await renderEmployeeDashboard(username);
   });
-  navDiv.appendChild(prevBtn);
-  navDiv.appendChild(nextBtn);
-  detailsDiv.appendChild(navDiv);
-  // Table placeholder
-  const tableContainer = document.createElement('div');
-  detailsDiv.appendChild(tableContainer);
-  // Export CSV
-  const exportBtn = document.createElement('button');
-  exportBtn.textContent = 'Export CSV';
-  exportBtn.style.marginTop = '10px';
-  exportBtn.addEventListener('click', async () => {
-    await exportCsv(username, currentPeriodIndex);
+  correctionSection.appendChild(correctionForm);
+  correctionSection.appendChild(correctionMessage);
+  const corrections = await getCorrectionRequestsForUser(username);
+  if (corrections.length > 0) {
+    const correctionTable = document.createElement('table');
+    correctionTable.innerHTML = '<thead><tr><th>Date</th><th>Time In</th><th>Time Out</th><th>Reason</th><th>Status</th><th>Comment</th><th></th></tr></thead>';
+    const correctionBody = document.createElement('tbody');
+    corrections.forEach((request) => {
+      const tr = document.createElement('tr');
+      [
+        request.date,
+        formatShiftTime(request.timeIn ? new Date(request.timeIn) : null, request.date, timeZone),
+        formatShiftTime(request.timeOut ? new Date(request.timeOut) : null, request.date, timeZone),
+        request.reason,
+        request.status,
+        request.decisionNote
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      const actionTd = document.createElement('td');
+      if (request.status === 'pending') {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', async () => {
+          await cancelCorrectionRequest(request);
+          await renderEmployeeDashboard(username);
+        });
+        actionTd.appendChild(cancelBtn);
+      }
+      tr.appendChild(actionTd);
+      correctionBody.appendChild(tr);
+    });
+    correctionTable.appendChild(correctionBody);
+    correctionSection.appendChild(correctionTable);
+  }
+  container.appendChild(correctionSection);
+  // Scheduled shifts over the next two weeks
+  const upcomingSection = document.createElement('div');
+  upcomingSection.style.marginTop = '20px';
+  const upcomingHeading = document.createElement('h3');
+  upcomingHeading.textContent = 'Upcoming Shifts';
+  upcomingSection.appendChild(upcomingHeading);
+  const now = new Date();
+  const upcoming = [];
+  (await getSchedulesForUser(username))
+    .filter((schedule) => schedule.date >= addDaysISO(today, -1) && schedule.date <= addDaysISO(today, 13))
+    .forEach((schedule) => {
+      schedule.shifts
+        .filter((shift) => new Date(shift.end) > now)
+        .forEach((shift) => upcoming.push({ date: schedule.date, ...shift }));
+    });
+  const upcomingList = document.createElement('ul');
+  if (upcoming.length === 0) {
+    upcomingList.innerHTML = '<li>No upcoming shifts scheduled.</li>';
+  }
+  upcoming.forEach((shift) => {
+    const li = document.createElement('li');
+    const dayStr = new Date(`${shift.date}T00:00`).toLocaleDateString(undefined, { weekday: 'short' });
+    li.textContent = `${dayStr} ${shift.date}: ${formatTimeRange(shift.start, shift.end, shift.date, timeZone)}`;
+    upcomingList.appendChild(li);
   });
-  detailsDiv.appendChild(exportBtn);
-  // Save adjustments
-  const saveBtn = document.createElement('button');
-  saveBtn.textContent = 'Save Adjustments';
-  saveBtn.style.marginLeft = '10px';
-  saveBtn.addEventListener('click', async () => {
-    const rows = tableContainer.querySelectorAll('tbody tr');
-    for (const row of rows) {
-      const docId = row.dataset.docId;
-      const adjInVal = row.querySelector('.adj-in').value;
-      const adjOutVal = row.querySelector('.adj-out').value;
-      // Only update if changed; empty string allowed
-      await db.collection('shifts').doc(docId).update({ adjTimeIn: adjInVal || '', adjTimeOut: adjOutVal || '' });
+  upcomingSection.appendChild(upcomingList);
+  container.appendChild(upcomingSection);
+  // Paid time off: balances, new requests and the status of earlier ones
+  const ptoSection = document.createElement('div');
+  ptoSection.style.marginTop = '20px';
+  const ptoHeading = document.createElement('h3');
+  ptoHeading.textContent = 'Time Off';
+  ptoSection.appendChild(ptoHeading);
+  const balances = calculatePtoBalances(userData, shifts, ptoRequests);
+  const balanceList = document.createElement('ul');
+  Object.keys(PTO_TYPES).forEach((type) => {
+    const li = document.createElement('li');
+    const balance = balances[type];
+    li.textContent = `${PTO_TYPES[type]}: ${balance.balance.toFixed(2)} hours${balance.pending ? ` (${balance.pending.toFixed(2)} requested, ${balance.available.toFixed(2)} available)` : ''}`;
+    balanceList.appendChild(li);
+  });
+  ptoSection.appendChild(balanceList);
+  const ptoForm = document.createElement('form');
+  ptoForm.classList.add('form');
+  ptoForm.innerHTML = `
+    <label for="ptoType">Type</label>
+    <select id="ptoType">
+      ${Object.keys(PTO_TYPES).map((type) => `<option value="${type}">${PTO_TYPES[type]}</option>`).join('')}
+    </select>
+    <label for="ptoStart">First day off</label>
+    <input type="date" id="ptoStart" min="${today}" required>
+    <label for="ptoEnd">Last day off</label>
+    <input type="date" id="ptoEnd" min="${today}" required>
+    <label for="ptoHoursPerDay">Hours per day</label>
+    <input type="number" id="ptoHoursPerDay" min="0.25" max="24" step="0.25" value="8" required>
+    <label><input type="checkbox" id="ptoIncludeWeekends"> Include weekends (only if you work on Saturdays or Sundays)</label>
+    <label for="ptoNote">Note (optional)</label>
+    <input type="text" id="ptoNote">
+    <button type="submit">Request Time Off</button>
+  `;
+  const ptoMessage = document.createElement('p');
+  ptoMessage.classList.add('message');
+  ptoForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    ptoMessage.style.color = '';
+    ptoMessage.textContent = '';
+    try {
+      await submitPtoRequest(username, {
+        type: ptoForm.querySelector('#ptoType').value,
+        startDate: ptoForm.querySelector('#ptoStart').value,
+        endDate: ptoForm.querySelector('#ptoEnd').value,
+        hoursPerDay: parseFloat(ptoForm.querySelector('#ptoHoursPerDay').value),
+        includeWeekends: ptoForm.querySelector('#ptoIncludeWeekends').checked,
+        note: ptoForm.querySelector('#ptoNote').value.trim()
+      });
+    } catch (err) {
+      ptoMessage.textContent = err.message;
+      return;
     }
-    alert('Adjustments saved.');
-    await updateTable();
+    await renderEmployeeDashboard(username);
   });
-  detailsDiv.appendChild(saveBtn);
-  // Function to update the table for the current period
-  async function updateTable() {
-    // Clear old table
-    tableContainer.innerHTML = '';
-    // Load shifts for user
-    const shifts = await getShiftsForUser(username);
-    // Determine pay period start date for current index
-    const baseStart = new Date(payPeriodStartDate);
-    const periodStart = new Date(baseStart.getTime());
-    periodStart.setDate(periodStart.getDate() + currentPeriodIndex * 14);
-    const periodEnd = new Date(periodStart.getTime());
-    periodEnd.setDate(periodEnd.getDate() + 13);
-    const periodStartISO = getISODateString(periodStart);
-    const periodEndISO = getISODateString(periodEnd);
-    // Filter shifts in this period
-    const periodShifts = shifts.filter(s => s.date >= periodStartISO && s.date <= periodEndISO);
-    // Build table
-    const table = document.createElement('table');
-    const thead = document.createElement('thead');
-    thead.innerHTML = `<tr><th>Date</th><th>Day of Week</th><th>Time In</th><th>Manager Adj. In</th><th>Time Out</th><th>Manager Adj. Out</th><th>Hours Worked</th><th>Total Pay</th></tr>`;
-    table.appendChild(thead);
-    const tbody = document.createElement('tbody');
-    let totalHours = 0;
-    let totalPay = 0;
-    for (const shift of periodShifts) {
+  ptoSection.appendChild(ptoForm);
+  ptoSection.appendChild(ptoMessage);
+  if (ptoRequests.length > 0) {
+    const requestTable = document.createElement('table');
+    requestTable.innerHTML = '<thead><tr><th>Type</th><th>From</th><th>To</th><th>Hours</th><th>Status</th><th>Note</th><th></th></tr></thead>';
+    const requestBody = document.createElement('tbody');
+    ptoRequests.forEach((request) => {
       const tr = document.createElement('tr');
-      tr.dataset.docId = `${shift.username}_${shift.date}`;
-      // Date and day of week
-      const dateObj = new Date(shift.date + 'T00:00');
-      const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
-      // Determine actual start and end times
-      const startTimeStr = shift.timeIn || '';
-      const endTimeStr = shift.timeOut || '';
-      const adjInStr = shift.adjTimeIn || '';
-      const adjOutStr = shift.adjTimeOut || '';
-      const actualStartStr = adjInStr || startTimeStr;
-      const actualEndStr = adjOutStr || endTimeStr;
-      // Compute hours and pay
-      let hours = 0;
-      let pay = 0;
-      if (actualStartStr && actualEndStr) {
-        hours = computeHours(actualStartStr, actualEndStr);
-        pay = Math.round(hours * userData.hourlyRate * 100) / 100;
-        totalHours += hours;
-        totalPay += pay;
+      [
+        PTO_TYPES[request.type],
+        request.startDate,
+        request.endDate,
+        getPtoRequestHours(request).toFixed(2),
+        request.status,
+        request.decisionNote || request.note
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      const actionTd = document.createElement('td');
+      if (request.status === 'pending') {
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', async () => {
+          await cancelPtoRequest(request);
+          await renderEmployeeDashboard(username);
+        });
+        actionTd.appendChild(cancelBtn);
+      }
+      tr.appendChild(actionTd);
+      requestBody.appendChild(tr);
+    });
+    requestTable.appendChild(requestBody);
+    ptoSection.appendChild(requestTable);
+  }
+  container.appendChild(ptoSection);
+  // Change password
+  const passwordSection = document.createElement('div');
+  passwordSection.style.marginTop = '20px';
+  const passwordHeading = document.createElement('h3');
+  passwordHeading.textContent = 'Change Password';
+  passwordSection.appendChild(passwordHeading);
+  renderPasswordChangeForm(passwordSection, username);
+  container.appendChild(passwordSection);
+  // Kiosk PIN for punching in on shared devices
+  const pinSection = document.createElement('div');
+  pinSection.style.marginTop = '20px';
+  const pinHeading = document.createElement('h3');
+  pinHeading.textContent = 'Kiosk PIN';
+  pinSection.appendChild(pinHeading);
+  const pinForm = document.createElement('form');
+  pinForm.classList.add('form');
+  pinForm.innerHTML = `
+    <label for="newPin">New PIN (4 to 8 digits)</label>
+    <input type="password" id="newPin" inputmode="numeric" pattern="\\d{4,8}" autocomplete="off" required>
+    <button type="submit">Set PIN</button>
+  `;
+  const pinMessage = document.createElement('p');
+  pinMessage.classList.add('message');
+  pinForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    pinMessage.style.color = '';
+    try {
+      await setKioskPin(username, pinForm.querySelector('#newPin').value.trim());
+    } catch (err) {
+      pinMessage.textContent = err.message;
+      return;
+    }
+    pinForm.reset();
+    pinMessage.style.color = 'green';
+    pinMessage.textContent = 'Kiosk PIN set.';
+  });
+  pinSection.appendChild(pinForm);
+  pinSection.appendChild(pinMessage);
+  container.appendChild(pinSection);
+  if (generation !== dashboardGeneration) return;
+  dashboard.dataset.view = 'employee';
+  dashboard.replaceChildren(...container.childNodes);
+}
+
+/**
+ * Format a punch time for storage in a shift document: a full UTC
+ * timestamp, so it means the same instant wherever it is read.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatPunchTime(date) {
+  return date.toISOString();
+}
+
+/**
+ * Start a new shift segment for the user using the device's current time.
+ * Employees may punch in several times a day (split shifts); each punch in
+ * creates its own segment document. If the user already has an open
+ * segment then this call is ignored. When the device is offline the punch
+ * is queued with the device time and synced later (see syncPunchQueue).
+ *
+ * @param {string} username
+ * @returns {Promise<boolean>} whether the punch was recorded or queued
+ */
+async function punchIn(username) {
+  const now = new Date();
+  const docId = newShiftId(username, getISODateString(now), now.getTime());
+  // Punches must reach the server in order, so anything behind a queued
+  // punch is queued too.
+  if (navigator.onLine && getPendingPunches(username).length === 0) {
+    try {
+      // A forgotten shift from an earlier day should not block punching in
+      await withTimeout(autoClockOutOpenShifts(username), PUNCH_TIMEOUT_MS);
+      const openShift = await withTimeout(getOpenShift(username), PUNCH_TIMEOUT_MS);
+      if (openShift) {
+        alert('You are already punched in.');
+        return false;
+      }
+      await withTimeout(recordPunchIn(username, now, docId), PUNCH_TIMEOUT_MS);
+      return true;
+    } catch (err) {
+      if (err instanceof PeriodLockedError) {
+        alert(err.message);
+        return false;
+      }
+      if (!isConnectivityError(err)) throw err;
+    }
+  }
+  if (getKnownOpenShiftId(username)) {
+    alert('You are already punched in.');
+    return false;
+  }
+  queuePunch({ type: 'in', username, time: now.toISOString(), shiftId: docId });
+  return true;
+}
+
+/**
+ * Record the punch out time on the user's open shift segment. If the user
+ * has no open segment a message is shown instead. When the device is
+ * offline the punch is queued with the device time and synced later.
+ *
+ * @param {string} username
+ * @returns {Promise<boolean>} whether the punch was recorded or queued
+ */
+async function punchOut(username) {
+  const now = new Date();
+  if (navigator.onLine && getPendingPunches(username).length === 0) {
+    try {
+      const openShift = await withTimeout(getOpenShift(username), PUNCH_TIMEOUT_MS);
+      if (!openShift) {
+        alert('You are not punched in.');
+        return false;
       }
-      tr.innerHTML = `
-        <td>${shift.date}</td>
-        <td>${dayStr}</td>
-        <td>${formatTime(startTimeStr)}</td>
-        <td><input class="adj-in" type="time" value="${adjInStr ? formatTimeInput(adjInStr) : ''}"></td>
-        <td>${formatTime(endTimeStr)}</td>
-        <td><input class="adj-out" type="time" value="${adjOutStr ? formatTimeInput(adjOutStr) : ''}"></td>
-        <td>${hours.toFixed(2)}</td>
-        <td>${pay.toFixed(2)}</td>
-      `;
-      tbody.appendChild(tr);
+      await withTimeout(recordPunchOut(openShift, now), PUNCH_TIMEOUT_MS);
+      return true;
+    } catch (err) {
+      if (err instanceof PeriodLockedError) {
+        alert(err.message);
+        return false;
+      }
+      if (!isConnectivityError(err)) throw err;
     }
-    // Append totals row
-    const totalTr = document.createElement('tr');
-    totalTr.innerHTML = `<td colspan="6" style="text-align:right;font-weight:bold;">Total:</td><td>${totalHours.toFixed(2)}</td><td>${totalPay.toFixed(2)}</td>`;
-    tbody.appendChild(totalTr);
-    table.appendChild(tbody);
-    tableContainer.appendChild(table);
-    // Update navigation button enable/disable based on data availability
-    // Disable next button if there are no shifts after this period
-    const hasNext = shifts.some(s => s.date > periodEndISO);
-    const hasPrev = shifts.some(s => s.date < periodStartISO);
-    nextBtn.disabled = !hasNext;
-    prevBtn.disabled = !hasPrev;
   }
-  // Export CSV for the current period
-  async function exportCsv(username, periodIndex) {
-    // Use the same filter as updateTable to get the period range
-    const shifts = await getShiftsForUser(username);
-    const baseStart = new Date(payPeriodStartDate);
-    const periodStart = new Date(baseStart.getTime());
-    periodStart.setDate(periodStart.getDate() + periodIndex * 14);
-    const periodEnd = new Date(periodStart.getTime());
-    periodEnd.setDate(periodEnd.getDate() + 13);
-    const periodStartISO = getISODateString(periodStart);
-    const periodEndISO = getISODateString(periodEnd);
-    const periodShifts = shifts.filter(s => s.date >= periodStartISO && s.date <= periodEndISO);
-    let csv = 'Date,Day of Week,Time In,Manager Adj. In,Time Out,Manager Adj. Out,Hours Worked,Total Pay\n';
-    let totalHours = 0;
-    let totalPay = 0;
-    for (const shift of periodShifts) {
-      const dateObj = new Date(shift.date + 'T00:00');
-      const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
-      const startTimeStr = shift.timeIn || '';
-      const endTimeStr = shift.timeOut || '';
-      const adjInStr = shift.adjTimeIn || '';
-      const adjOutStr = shift.adjTimeOut || '';
-      const actualStartStr = adjInStr || startTimeStr;
-      const actualEndStr = adjOutStr || endTimeStr;
-      let hours = 0;
-      let pay = 0;
-      if (actualStartStr && actualEndStr) {
-        hours = computeHours(actualStartStr, actualEndStr);
-        pay = Math.round(hours * userData.hourlyRate * 100) / 100;
-        totalHours += hours;
-        totalPay += pay;
-      }
-      csv += `${shift.date},${dayStr},${formatTime(startTimeStr)},${adjInStr ? formatTime(adjInStr) : ''},${formatTime(endTimeStr)},${adjOutStr ? formatTime(adjOutStr) : ''},${hours.toFixed(2)},${pay.toFixed(2)}\n`;
-    }
-    csv += `Totals,,,,,,${totalHours.toFixed(2)},${totalPay.toFixed(2)}\n`;
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${username}_period_${periodStartISO}_to_${periodEndISO}.csv`;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-    setTimeout(() => {
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-    }, 0);
+  const shiftId = getKnownOpenShiftId(username);
+  if (!shiftId) {
+    alert('You are not punched in.');
+    return false;
   }
-  // Kick off first render
-  await updateTable();
+  queuePunch({ type: 'out', username, time: now.toISOString(), shiftId });
+  return true;
 }
 
 /**
- * Compute the number of hours between two ISO time strings. The result is
- * rounded to two decimal places (nearest minute) as per specification.
+ * Write a punch in: create the shift segment document and audit it.
  *
- * @param {string} startStr e.g. '2025-08-02T09:00'
- * @param {string} endStr e.g. '2025-08-02T17:15'
- * @returns {number} hours
+ * @param {string} username
+ * @param {Date} time punch time
+ * @param {string} docId ID for the new shift document
+ * @param {object} extra additional fields for the shift document
  */
-function computeHours(startStr, endStr) {
-  const start = new Date(startStr);
-  const end = new Date(endStr);
-  const diffMs = end - start;
-  if (isNaN(diffMs) || diffMs < 0) return 0;
-  const minutes = Math.round(diffMs / 60000); // round to nearest minute
-  const hours = minutes / 60;
-  return hours;
+async function recordPunchIn(username, time, docId, extra = {}) {
+  // The shift belongs to the day it started on in the employee's time zone
+  const date = getISODateString(time, await getTimeZoneForUser(username));
+  await assertPeriodUnlocked(username, date);
+  const shiftData = {
+    username,
+    date,
+    timeIn: formatPunchTime(time),
+    timeOut: '',
+    adjTimeIn: '',
+    adjTimeOut: '',
+    ...extra
+  };
+  const batch = db.batch();
+  batch.set(db.collection('shifts').doc(docId), shiftData);
+  addAuditEntry(batch, {
+    action: 'shift.punchIn',
+    collection: 'shifts',
+    docId,
+    subject: username,
+    before: null,
+    after: shiftData
+  });
+  await batch.commit();
+  rememberOpenShift(username, docId);
 }
 
 /**
- * Format an ISO date/time string into a human‑friendly HH:MM display. If the
- * input string is falsy or empty, returns an empty string.
+ * Write a punch out on an open shift segment and audit it.
  *
- * @param {string} isoStr
- * @returns {string}
+ * @param {object} shift the open shift, including its docId
+ * @param {Date} time punch time
+ * @param {object} extra additional fields for the shift document
  */
-function formatTime(isoStr) {
-  if (!isoStr) return '';
-  const date = new Date(isoStr);
-  if (isNaN(date.getTime())) return '';
-  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+async function recordPunchOut(shift, time, extra = {}) {
+  await assertPeriodUnlocked(shift.username, shift.date);
+  const changes = { timeOut: formatPunchTime(time), ...extra };
+  const batch = db.batch();
+  batch.update(db.collection('shifts').doc(shift.docId), changes);
+  addAuditEntry(batch, {
+    action: 'shift.punchOut',
+    collection: 'shifts',
+    docId: shift.docId,
+    subject: shift.username,
+    before: { timeOut: shift.timeOut || '' },
+    after: changes
+  });
+  await batch.commit();
+  rememberOpenShift(shift.username, null);
 }
 
+// localStorage keys and limits for the offline punch queue
+const PUNCH_QUEUE_KEY = 'punchQueue';
+const PUNCH_CONFLICTS_KEY = 'punchConflicts';
+const OPEN_SHIFT_CACHE_KEY = 'openShiftCache';
+// How long to wait for the server before treating a punch as offline
+const PUNCH_TIMEOUT_MS = 10000;
+let punchSyncInProgress = false;
+
 /**
- * Format an ISO date/time string into a value suitable for a <input type="time">.
- * For example '2025-08-02T09:30' becomes '09:30'.
- * @param {string} isoStr
- * @returns {string}
+ * Raised when a queued punch cannot be applied because the server data
+ * changed in the meantime.
  */
-function formatTimeInput(isoStr) {
-  if (!isoStr) return '';
-  const date = new Date(isoStr);
-  if (isNaN(date.getTime())) return '';
-  const hours = date.getHours().toString().padStart(2, '0');
-  const minutes = date.getMinutes().toString().padStart(2, '0');
-  return `${hours}:${minutes}`;
+class PunchConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PunchConflictError';
+  }
 }
 
 /**
- * Load all user documents with the role of 'employee'. Returns an array
- * containing each user's data. Used by the admin dashboard to populate
- * employee selection.
+ * Reject with a TimeoutError if the promise does not settle in time. The
+ * Firestore SDK keeps waiting for the server while offline instead of
+ * failing, so punches use this to fall back to the queue.
+ *
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
  */
-async function getAllEmployees() {
-  const result = await db.collection('users').where('role', '==', 'employee').get();
-  return result.docs.map((doc) => doc.data());
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const err = new Error('The server did not respond in time.');
+      err.name = 'TimeoutError';
+      reject(err);
+    }, ms);
+    promise.then(
+      (value) => { clearTimeout(timer); resolve(value); },
+      (err) => { clearTimeout(timer); reject(err); }
+    );
+  });
+}
+
+/**
+ * True if an error means the server could not be reached, as opposed to a
+ * problem with the request itself.
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isConnectivityError(err) {
+  return !navigator.onLine ||
+    (err && (err.name === 'TimeoutError' || err.code === 'unavailable' || err.code === 'deadline-exceeded'));
 }
 
 /**
- * Create a new employee account. The password will be hashed before
- * storage. New employees are stored under the 'users' collection with the
- * username as the document ID. Their role is set to 'employee'.
+ * Read a JSON list from localStorage, treating missing or corrupt data as
+ * an empty list.
  *
+ * @param {string} key
+ * @returns {object[]}
+ */
+function readLocalList(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Return every punch waiting to be synced, oldest first.
+ * @returns {object[]}
+ */
+function getPunchQueue() {
+  return readLocalList(PUNCH_QUEUE_KEY);
+}
+
+/**
+ * Return the queued punches of one user, oldest first.
  * @param {string} username
- * @param {string} password
- * @param {number} hourlyRate
+ * @returns {object[]}
  */
-async function addEmployee(username, password, hourlyRate) {
-  const hash = await hashPassword(password);
-  await db.collection('users').doc(username).set({
-    username,
-    role: 'employee',
-    hourlyRate,
-    passwordHash: hash
-  });
+function getPendingPunches(username) {
+  return getPunchQueue().filter((entry) => entry.username === username);
 }
 
 /**
- * Delete an employee and all associated shifts. Does not delete pay period
- * data because pay periods are computed on the fly. Used by the admin.
+ * Return the sync conflicts of one user that have not been dismissed.
  * @param {string} username
+ * @returns {object[]}
  */
-async function deleteEmployee(username) {
-  // Delete the user document
-  await db.collection('users').doc(username).delete();
-  // Delete all shifts for this user
-  const shifts = await db.collection('shifts').where('username', '==', username).get();
-  for (const doc of shifts.docs) {
-    await db.collection('shifts').doc(doc.id).delete();
-  }
+function getPunchConflicts(username) {
+  return readLocalList(PUNCH_CONFLICTS_KEY).filter((conflict) => conflict.username === username);
+}
+
+/**
+ * Remove a sync conflict from the list shown to the employee.
+ * @param {string} id conflict ID
+ */
+function dismissPunchConflict(id) {
+  const conflicts = readLocalList(PUNCH_CONFLICTS_KEY).filter((conflict) => conflict.id !== id);
+  localStorage.setItem(PUNCH_CONFLICTS_KEY, JSON.stringify(conflicts));
 }
 
 /**
- * Update the global pay period start date. Accepts a string in
- * YYYY‑MM‑DD format. Updates both the settings document in the database
- * and the global `payPeriodStartDate` variable.
+ * Add a punch to the offline queue and try to sync straight away in case
+ * the connection is already back.
  *
- * @param {string} newDate
+ * @param {{type: string, username: string, time: string, shiftId: string}} entry
  */
-async function updatePayPeriodStart(newDate) {
-  payPeriodStartDate = newDate;
-  await db.collection('settings').doc('config').set({ payPeriodStart: newDate });
+function queuePunch(entry) {
+  const queue = getPunchQueue();
+  queue.push({ ...entry, id: `${entry.username}_${Date.now()}_${queue.length}` });
+  localStorage.setItem(PUNCH_QUEUE_KEY, JSON.stringify(queue));
+  rememberOpenShift(entry.username, entry.type === 'in' ? entry.shiftId : null);
+  syncPunchQueue();
 }
 
 /**
- * Fetch all shift documents for a given user. Returns an array of objects
- * sorted by date ascending. Each object contains the shift data and the
- * document ID.
+ * Remember the user's open shift on this device so punches can be
+ * validated while offline.
  *
  * @param {string} username
+ * @param {string|null} shiftId
  */
-async function getShiftsForUser(username) {
-  const result = await db.collection('shifts').where('username', '==', username).get();
-  const shifts = result.docs.map((doc) => {
-    const data = doc.data();
-    return {
-      ...data,
-      docId: doc.id
-    };
-  });
-  shifts.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
-  return shifts;
+function rememberOpenShift(username, shiftId) {
+  let cache = {};
+  try {
+    cache = JSON.parse(localStorage.getItem(OPEN_SHIFT_CACHE_KEY)) || {};
+  } catch (e) {
+    cache = {};
+  }
+  cache[username] = shiftId || '';
+  localStorage.setItem(OPEN_SHIFT_CACHE_KEY, JSON.stringify(cache));
 }
 
 /**
- * Render the employee dashboard for a given user. Provides punch in/out
- * buttons, displays the user's shift history, and shows pay period totals.
+ * Return the ID of the user's open shift as far as this device knows,
+ * taking queued punches into account, or null if they are not punched in.
  *
  * @param {string} username
+ * @returns {string|null}
  */
-async function renderEmployeeDashboard(username) {
-  const container = document.getElementById('dashboard');
-  container.innerHTML = '';
-  const header = document.createElement('h2');
-  header.textContent = 'Employee Dashboard';
-  container.appendChild(header);
-  const greeting = document.createElement('p');
-  greeting.textContent = `Hello, ${username}.`;
-  container.appendChild(greeting);
-  // Logout button
-  const logoutBtn = document.createElement('button');
-  logoutBtn.textContent = 'Logout';
-  logoutBtn.addEventListener('click', logout);
-  container.appendChild(logoutBtn);
-  // Determine punch state
-  const today = getISODateString();
-  const docId = `${username}_${today}`;
-  const shiftDoc = await db.collection('shifts').doc(docId).get();
-  const hasShift = shiftDoc.exists;
-  const shiftData = hasShift ? shiftDoc.data() : null;
-  // Buttons container
-  const btnDiv = document.createElement('div');
-  btnDiv.classList.add('button-group');
-  const punchInBtn = document.createElement('button');
-  punchInBtn.textContent = 'Punch In';
-  const punchOutBtn = document.createElement('button');
-  punchOutBtn.textContent = 'Punch Out';
-  // Determine which buttons to enable
-  if (!hasShift) {
-    punchInBtn.disabled = false;
-    punchOutBtn.disabled = true;
-  } else if (shiftData && shiftData.timeIn && !shiftData.timeOut) {
-    punchInBtn.disabled = true;
-    punchOutBtn.disabled = false;
-  } else {
-    punchInBtn.disabled = true;
-    punchOutBtn.disabled = true;
+function getKnownOpenShiftId(username) {
+  try {
+    const cache = JSON.parse(localStorage.getItem(OPEN_SHIFT_CACHE_KEY)) || {};
+    return cache[username] || null;
+  } catch (e) {
+    return null;
   }
-  punchInBtn.addEventListener('click', async () => {
-    await punchIn(username);
-    await renderEmployeeDashboard(username);
+}
+
+/**
+ * Replay queued punches into the `shifts` collection in the order they
+ * were made. Only the signed in user's own punches are replayed (a kiosk
+ * replays everyone's); punches queued by others on a shared device stay
+ * queued until they sign in again. Stops at the first connectivity failure
+ * or refused write and leaves the rest queued. Punches that conflict with changes made on the server (for
+ * example a manager already set the time out) are not applied; they are
+ * moved to the conflict list shown on the employee dashboard and recorded
+ * in the audit log. Runs automatically when the browser comes back online.
+ *
+ * @returns {Promise<void>}
+ */
+async function syncPunchQueue() {
+  if (punchSyncInProgress || !navigator.onLine || !db) return;
+  punchSyncInProgress = true;
+  try {
+    const isKiosk = !!currentIdentity && currentIdentity.role === 'kiosk';
+    const entries = getPunchQueue().filter((entry) => isKiosk || entry.username === currentUser);
+    for (const entry of entries) {
+      try {
+        await withTimeout(replayPunch(entry), PUNCH_TIMEOUT_MS);
+      } catch (err) {
+        // A refused write is not the punch's fault (the session may have
+        // changed), so it is kept for a later sync rather than dropped
+        if (isConnectivityError(err) || err.code === 'permission-denied') break;
+        console.error(err);
+        const conflicts = readLocalList(PUNCH_CONFLICTS_KEY);
+        conflicts.push({ ...entry, message: err.message, detectedAt: new Date().toISOString() });
+        localStorage.setItem(PUNCH_CONFLICTS_KEY, JSON.stringify(conflicts));
+        await recordAudit({
+          action: 'shift.syncConflict',
+          collection: 'shifts',
+          docId: entry.shiftId || '',
+          subject: entry.username,
+          before: null,
+          after: { type: entry.type, time: entry.time },
+          reason: err.message
+        }).catch((auditErr) => console.error(auditErr));
+      }
+      const queue = getPunchQueue().filter((e) => e.id !== entry.id);
+      localStorage.setItem(PUNCH_QUEUE_KEY, JSON.stringify(queue));
+    }
+  } finally {
+    punchSyncInProgress = false;
+  }
+  window.dispatchEvent(new CustomEvent('punchqueuechange'));
+}
+
+/**
+ * Apply one queued punch, checking it against the current server state.
+ * Replaying a punch that already reached the server (the SDK may deliver
+ * it on its own once online) does nothing.
+ *
+ * @param {object} entry queued punch
+ */
+async function replayPunch(entry) {
+  const time = new Date(entry.time);
+  const timeZone = await getTimeZoneForUser(entry.username);
+  const when = `${getISODateString(time, timeZone)} ${formatTime(time, timeZone)}`;
+  if (entry.type === 'in') {
+    const existing = await db.collection('shifts').doc(entry.shiftId).get();
+    if (existing.exists) return;
+    const openShift = await getOpenShift(entry.username);
+    if (openShift) {
+      throw new PunchConflictError(`Punch in at ${when} was not saved: you were already punched in on the server since ${formatTime(resolveShiftTimes(openShift, timeZone).start, timeZone)}.`);
+    }
+    await recordPunchIn(entry.username, time, entry.shiftId, { source: 'offline' });
+    return;
+  }
+  const doc = await db.collection('shifts').doc(entry.shiftId).get();
+  if (!doc.exists) {
+    throw new PunchConflictError(`Punch out at ${when} was not saved: the shift no longer exists.`);
+  }
+  const shift = { ...doc.data(), docId: doc.id };
+  if (shift.timeOut) {
+    if (shift.timeOut === formatPunchTime(time)) return;
+    throw new PunchConflictError(`Punch out at ${when} was not saved: the shift was already punched out at ${formatTime(resolveShiftTimes(shift, timeZone).timeOut, timeZone)}.`);
+  }
+  if (shift.adjTimeOut) {
+    throw new PunchConflictError(`Punch out at ${when} was not saved: a manager already set the time out.`);
+  }
+  const start = resolveShiftTimes(shift, timeZone).start;
+  if (start && time <= start) {
+    throw new PunchConflictError(`Punch out at ${when} was not saved: it is before the shift started.`);
+  }
+  await recordPunchOut(shift, time, { source: 'offline' });
+}
+
+// Seconds the kiosk shows a confirmation, and waits on an unfinished PIN
+// entry, before returning to the roster
+const KIOSK_CONFIRMATION_SECONDS = 5;
+const KIOSK_IDLE_SECONDS = 30;
+
+/**
+ * Initialise the kiosk page (kiosk.html), a shared punch clock for a wall
+ * mounted device. The device is signed in once with a kiosk account; any
+ * other account signed in on it is signed out, so the kiosk never exposes
+ * a dashboard session. Employees pick their name, enter their PIN and are
+ * punched in or out with punchIn/punchOut. Checking the PIN needs the
+ * server, so the kiosk does not punch anyone while offline; only a punch
+ * whose connection drops after the PIN was accepted goes to the offline
+ * queue.
+ */
+async function initKioskPage() {
+  await initDatabase();
+  const container = document.getElementById('kiosk');
+  let identity = await getVerifiedUser();
+  if (identity && identity.role !== 'kiosk') {
+    await auth.signOut();
+    identity = null;
+  }
+  if (!identity) {
+    renderKioskSetup(container);
+    return;
+  }
+  await loadSettings();
+  currentUser = identity.username;
+  currentIdentity = identity;
+  if (!identity.userData.kioskEnabled) {
+    container.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'Kiosk Disabled';
+    container.appendChild(heading);
+    const note = document.createElement('p');
+    note.textContent = 'This kiosk has been disabled by an administrator.';
+    container.appendChild(note);
+    const signOutBtn = document.createElement('button');
+    signOutBtn.textContent = 'Sign Out Kiosk';
+    signOutBtn.addEventListener('click', async () => {
+      await auth.signOut();
+      window.location.reload();
+    });
+    container.appendChild(signOutBtn);
+    return;
+  }
+  await syncPunchQueue();
+  window.addEventListener('online', syncPunchQueue);
+  await renderKioskRoster(container);
+}
+
+/**
+ * Render the one-time setup form that signs the device in with a kiosk
+ * account.
+ *
+ * @param {HTMLElement} container
+ */
+function renderKioskSetup(container) {
+  container.innerHTML = '';
+  const heading = document.createElement('h2');
+  heading.textContent = 'Kiosk Setup';
+  container.appendChild(heading);
+  const note = document.createElement('p');
+  note.textContent = 'Sign in with a kiosk account created by an administrator.';
+  container.appendChild(note);
+  const form = document.createElement('form');
+  form.classList.add('form');
+  form.innerHTML = `
+    <label for="kioskUsername">Kiosk account</label>
+    <input type="text" id="kioskUsername" required>
+    <label for="kioskPassword">Password</label>
+    <input type="password" id="kioskPassword" required>
+    <button type="submit">Start Kiosk</button>
+  `;
+  const message = document.createElement('p');
+  message.classList.add('message');
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    message.textContent = '';
+    const username = form.querySelector('#kioskUsername').value.trim();
+    try {
+      await auth.signInWithEmailAndPassword(usernameToEmail(username), form.querySelector('#kioskPassword').value);
+    } catch (err) {
+      message.textContent = 'Invalid kiosk account or password.';
+      return;
+    }
+    const identity = await getVerifiedUser();
+    if (!identity || identity.role !== 'kiosk') {
+      await auth.signOut();
+      message.textContent = 'That is not a kiosk account.';
+      return;
+    }
+    window.location.reload();
   });
-  punchOutBtn.addEventListener('click', async () => {
-    await punchOut(username);
-    await renderEmployeeDashboard(username);
+  container.appendChild(form);
+  container.appendChild(message);
+}
+
+/**
+ * Render the kiosk roster: a button for every employee with a kiosk PIN.
+ *
+ * @param {HTMLElement} container
+ */
+async function renderKioskRoster(container) {
+  container.innerHTML = '';
+  const heading = document.createElement('h2');
+  heading.textContent = 'Tap your name to punch in or out';
+  container.appendChild(heading);
+  const clock = document.createElement('p');
+  clock.classList.add('kiosk-clock');
+  clock.textContent = formatTime(new Date());
+  container.appendChild(clock);
+  const result = await db.collection('kioskPins').get();
+  const roster = result.docs.map((doc) => doc.data()).sort((a, b) => (a.username < b.username ? -1 : 1));
+  const grid = document.createElement('div');
+  grid.classList.add('kiosk-roster');
+  roster.forEach((entry) => {
+    knownUserTimeZones[entry.username] = entry.timeZone || '';
+    const btn = document.createElement('button');
+    btn.textContent = entry.username;
+    btn.addEventListener('click', () => renderKioskPinPad(container, entry.username));
+    grid.appendChild(btn);
   });
-  btnDiv.appendChild(punchInBtn);
-  btnDiv.appendChild(punchOutBtn);
-  container.appendChild(btnDiv);
-  // Load user data for hourly rate
-  const userDoc = await db.collection('users').doc(username).get();
-  const userData = userDoc.data();
-  // Load shifts and render table
-  const shifts = await getShiftsForUser(username);
-  const table = document.createElement('table');
-  const thead = document.createElement('thead');
-  thead.innerHTML = `<tr><th>Date</th><th>Day</th><th>Time In</th><th>Adj. In</th><th>Time Out</th><th>Adj. Out</th><th>Hours</th><th>Pay</th></tr>`;
-  table.appendChild(thead);
-  const tbody = document.createElement('tbody');
-  let totalHours = 0;
-  let totalPay = 0;
-  // Determine current pay period (index 0) for employee view
-  const baseStart = new Date(payPeriodStartDate);
-  const todayDate = new Date(today);
-  const diffDays = Math.floor((todayDate - baseStart) / (1000 * 60 * 60 * 24));
-  const currentIndex = Math.floor(diffDays / 14);
-  const periodStart = new Date(baseStart.getTime());
-  periodStart.setDate(periodStart.getDate() + currentIndex * 14);
-  const periodEnd = new Date(periodStart.getTime());
-  periodEnd.setDate(periodEnd.getDate() + 13);
-  const periodStartISO = getISODateString(periodStart);
-  const periodEndISO = getISODateString(periodEnd);
-  for (const shift of shifts) {
-    // Only include rows that fall into the current pay period
-    if (shift.date < periodStartISO || shift.date > periodEndISO) continue;
-    const tr = document.createElement('tr');
-    const dateObj = new Date(shift.date + 'T00:00');
-    const dayStr = dateObj.toLocaleDateString(undefined, { weekday: 'short' });
-    const startTimeStr = shift.timeIn || '';
-    const endTimeStr = shift.timeOut || '';
-    const adjInStr = shift.adjTimeIn || '';
-    const adjOutStr = shift.adjTimeOut || '';
-    const actualStartStr = adjInStr || startTimeStr;
-    const actualEndStr = adjOutStr || endTimeStr;
-    let hours = 0;
-    let pay = 0;
-    if (actualStartStr && actualEndStr) {
-      hours = computeHours(actualStartStr, actualEndStr);
-      pay = Math.round(hours * userData.hourlyRate * 100) / 100;
-      totalHours += hours;
-      totalPay += pay;
-    }
-    tr.innerHTML = `
-      <td>${shift.date}</td>
-      <td>${dayStr}</td>
-      <td>${formatTime(startTimeStr)}</td>
-      <td>${adjInStr ? formatTime(adjInStr) : ''}</td>
-      <td>${formatTime(endTimeStr)}</td>
-      <td>${adjOutStr ? formatTime(adjOutStr) : ''}</td>
-      <td>${hours.toFixed(2)}</td>
-      <td>${pay.toFixed(2)}</td>
-    `;
-    tbody.appendChild(tr);
+  if (roster.length === 0) {
+    grid.textContent = 'No employees have a kiosk PIN yet.';
+  }
+  container.appendChild(grid);
+  const pending = getPunchQueue();
+  if (pending.length > 0) {
+    const syncBanner = document.createElement('div');
+    syncBanner.classList.add('banner', 'banner-pending');
+    syncBanner.textContent = `${pending.length} punch(es) waiting to sync.`;
+    container.appendChild(syncBanner);
   }
-  const totalTr = document.createElement('tr');
-  totalTr.innerHTML = `<td colspan="6" style="text-align:right;font-weight:bold;">Total:</td><td>${totalHours.toFixed(2)}</td><td>${totalPay.toFixed(2)}</td>`;
-  tbody.appendChild(totalTr);
-  table.appendChild(tbody);
-  container.appendChild(table);
-  // Display period range
-  const periodInfo = document.createElement('p');
-  periodInfo.textContent = `Current pay period: ${periodStartISO} to ${periodEndISO}`;
-  container.appendChild(periodInfo);
 }
 
 /**
- * Create or update today's shift document to record the punch in time. Uses
- * the device's current time. If a shift document already exists for today
- * then this call is ignored.
+ * Render the PIN pad for an employee. On a correct PIN the employee is
+ * punched in, or out if they are on the clock.
  *
+ * @param {HTMLElement} container
  * @param {string} username
  */
-async function punchIn(username) {
-  const date = getISODateString();
-  const docId = `${username}_${date}`;
-  const docRef = db.collection('shifts').doc(docId);
-  const doc = await docRef.get();
-  if (doc.exists) {
-    const data = doc.data();
-    if (data.timeIn) {
-      alert('You have already punched in today.');
+function renderKioskPinPad(container, username) {
+  container.innerHTML = '';
+  const heading = document.createElement('h2');
+  heading.textContent = `Hello, ${username}. Enter your PIN.`;
+  container.appendChild(heading);
+  const display = document.createElement('p');
+  display.classList.add('kiosk-pin-display');
+  container.appendChild(display);
+  const message = document.createElement('p');
+  message.classList.add('message');
+  let pin = '';
+  const backToRoster = () => renderKioskRoster(container);
+  // Go back to the roster if the employee walks away mid-entry
+  let idleTimer = setTimeout(backToRoster, KIOSK_IDLE_SECONDS * 1000);
+  const update = () => {
+    display.textContent = '•'.repeat(pin.length) || '\u00a0';
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(backToRoster, KIOSK_IDLE_SECONDS * 1000);
+  };
+  const submit = async () => {
+    clearTimeout(idleTimer);
+    pad.querySelectorAll('button').forEach((btn) => { btn.disabled = true; });
+    message.textContent = '';
+    const offlineMessage = 'This kiosk cannot reach the server to check your PIN. Please try again shortly or tell a manager.';
+    // PINs are checked on the server, so there is nothing to queue yet.
+    // Offline reads may also come from the cache and reject a right PIN
+    if (!navigator.onLine) {
+      message.textContent = offlineMessage;
+      pad.querySelectorAll('button').forEach((btn) => { btn.disabled = false; });
       return;
     }
-  }
-  const now = new Date();
-  const iso = now.toISOString().substring(0, 16); // up to minutes
-  await docRef.set({
-    username,
-    date,
-    timeIn: iso,
-    timeOut: '',
-    adjTimeIn: '',
-    adjTimeOut: ''
+    try {
+      const check = await withTimeout(verifyKioskPin(username, pin), PUNCH_TIMEOUT_MS);
+      if (!check.valid) {
+        message.textContent = check.lockedUntil
+          ? `Too many wrong PINs. Try again after ${formatTime(check.lockedUntil)}.`
+          : 'Wrong PIN. Please try again.';
+        pin = '';
+        update();
+        pad.querySelectorAll('button').forEach((btn) => { btn.disabled = false; });
+        return;
+      }
+      await kioskPunch(container, username);
+    } catch (err) {
+      console.error(err);
+      message.textContent = isConnectivityError(err)
+        ? offlineMessage
+        : 'Something went wrong. Please try again or tell a manager.';
+      pad.querySelectorAll('button').forEach((btn) => { btn.disabled = false; });
+    }
+  };
+  const pad = document.createElement('div');
+  pad.classList.add('pin-pad');
+  ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'Clear', '0', 'OK'].forEach((key) => {
+    const btn = document.createElement('button');
+    btn.textContent = key;
+    btn.addEventListener('click', () => {
+      if (key === 'Clear') {
+        pin = '';
+      } else if (key === 'OK') {
+        if (pin) submit();
+        return;
+      } else if (pin.length < 8) {
+        pin += key;
+      }
+      update();
+    });
+    pad.appendChild(btn);
   });
+  container.appendChild(pad);
+  container.appendChild(message);
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.addEventListener('click', () => {
+    clearTimeout(idleTimer);
+    backToRoster();
+  });
+  container.appendChild(cancelBtn);
+  update();
 }
 
 /**
- * Record the punch out time for today's shift. If no shift document exists
- * or the user has not yet punched in, a message is shown. If the shift
- * already has a timeOut recorded then punching out is not allowed.
+ * Punch an employee in or out from the kiosk, whichever applies, and show
+ * a confirmation that returns to the roster by itself.
  *
+ * @param {HTMLElement} container
  * @param {string} username
  */
-async function punchOut(username) {
-  const date = getISODateString();
-  const docId = `${username}_${date}`;
-  const docRef = db.collection('shifts').doc(docId);
-  const doc = await docRef.get();
-  if (!doc.exists || !doc.data().timeIn) {
-    alert('You have not punched in yet today.');
-    return;
+async function kioskPunch(container, username) {
+  // As on the employee dashboard: while punches made on this device are
+  // waiting to sync, the server does not know about them yet, so this
+  // device's own record of the open shift decides
+  let punchedIn = !!getKnownOpenShiftId(username);
+  if (getPendingPunches(username).length === 0 && navigator.onLine) {
+    try {
+      await withTimeout(autoClockOutOpenShifts(username), PUNCH_TIMEOUT_MS);
+      const openShift = await withTimeout(getOpenShift(username), PUNCH_TIMEOUT_MS);
+      punchedIn = !!openShift;
+      rememberOpenShift(username, openShift ? openShift.docId : null);
+    } catch (err) {
+      if (!isConnectivityError(err)) throw err;
+    }
   }
-  if (doc.data().timeOut) {
-    alert('You have already punched out today.');
+  const punched = punchedIn ? await punchOut(username) : await punchIn(username);
+  if (!punched) {
+    renderKioskRoster(container);
     return;
   }
-  const now = new Date();
-  const iso = now.toISOString().substring(0, 16);
-  await docRef.update({ timeOut: iso });
+  container.innerHTML = '';
+  const confirmation = document.createElement('div');
+  confirmation.classList.add('kiosk-confirmation');
+  const heading = document.createElement('h2');
+  heading.textContent = `${username}, you are punched ${punchedIn ? 'out' : 'in'}.`;
+  confirmation.appendChild(heading);
+  const detail = document.createElement('p');
+  const timeZone = await getTimeZoneForUser(username);
+  detail.textContent = `${getISODateString(new Date(), timeZone)} at ${formatTime(new Date(), timeZone)}` +
+    (getPendingPunches(username).length > 0 ? ' (saved on this device, will sync when online)' : '');
+  confirmation.appendChild(detail);
+  container.appendChild(confirmation);
+  setTimeout(() => renderKioskRoster(container), KIOSK_CONFIRMATION_SECONDS * 1000);
 }
 
 // Auto‑initialise pages based on current location
@@ -969,4 +8871,6 @@ if (window.location.pathname.endsWith('index.html') || window.location.pathname
   document.addEventListener('DOMContentLoaded', initLoginPage);
 } else if (window.location.pathname.endsWith('dashboard.html')) {
   document.addEventListener('DOMContentLoaded', initDashboardPage);
+} else if (window.location.pathname.endsWith('kiosk.html')) {
+  document.addEventListener('DOMContentLoaded', initKioskPage);
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+// scripts/migrate-auth.js
+//
+// Account maintenance for a Timekeeper deployment on real Firebase, run by
+// an administrator with the Firebase Admin SDK and a service account key:
+//
+//   npm install --no-save firebase-admin
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-auth.js <command>
+//
+// Commands:
+//   import  Create a Firebase Auth account for every user document that
+//           still holds a password hash from before the switch to Firebase
+//           Auth, so those users keep signing in with their old password.
+//           Users who already have an account are left alone.
+//   clean   Delete the old password hash from every user document whose
+//           user has an Auth account. The dashboard does the same for each
+//           user at their next sign in; this covers everyone else.
+//   prune   Delete the Auth accounts whose user document no longer exists,
+//           i.e. those of deleted employees, so the username can be given
+//           to a new employee.
+
+const admin = require('firebase-admin');
+
+// Must match AUTH_EMAIL_DOMAIN in app.js
+const AUTH_EMAIL_DOMAIN = 'timekeeper.local';
+// Firebase Auth imports at most this many users per call
+const IMPORT_BATCH_SIZE = 1000;
+// Must match CREDENTIAL_FIELDS in app.js
+const CREDENTIAL_FIELDS = ['passwordHash', 'passwordSalt', 'passwordIterations', 'passwordAlgorithm'];
+
+/**
+ * Return the Auth account with an email address, or null if there is none.
+ *
+ * @param {string} email
+ * @returns {Promise<object|null>}
+ */
+async function findAuthUser(email) {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (err) {
+    if (err.code === 'auth/user-not-found') return null;
+    throw err;
+  }
+}
+
+/**
+ * Import the users that signed in with the old password hash. Before
+ * Firebase Auth, user documents held an unsalted SHA-256 hash of the
+ * password, which Auth can import as it is.
+ */
+async function importLegacyUsers() {
+  const db = admin.firestore();
+  const records = [];
+  for (const doc of (await db.collection('users').get()).docs) {
+    const data = doc.data();
+    if (!data.passwordHash || data.passwordSalt) continue;
+    const email = `${doc.id}@${AUTH_EMAIL_DOMAIN}`;
+    if (await findAuthUser(email)) {
+      console.log(`${doc.id}: already has an account`);
+      continue;
+    }
+    records.push({ uid: doc.id, email, passwordHash: Buffer.from(data.passwordHash, 'hex') });
+  }
+  for (let i = 0; i < records.length; i += IMPORT_BATCH_SIZE) {
+    const batch = records.slice(i, i + IMPORT_BATCH_SIZE);
+    const result = await admin.auth().importUsers(batch, { hash: { algorithm: 'SHA256', rounds: 1 } });
+    result.errors.forEach((err) => console.error(`${batch[err.index].uid}: ${err.error.message}`));
+    batch.forEach((record, index) => {
+      if (!result.errors.some((err) => err.index === index)) console.log(`${record.uid}: imported`);
+    });
+  }
+  console.log(`${records.length} account(s) to import.`);
+}
+
+/**
+ * Remove the password hash fields of users that have an Auth account.
+ * Users still waiting for `import` keep them.
+ */
+async function cleanStoredCredentials() {
+  const db = admin.firestore();
+  let remaining = 0;
+  for (const doc of (await db.collection('users').get()).docs) {
+    const fields = CREDENTIAL_FIELDS.filter((field) => field in doc.data());
+    if (fields.length === 0) continue;
+    if (!(await findAuthUser(`${doc.id}@${AUTH_EMAIL_DOMAIN}`))) {
+      console.log(`${doc.id}: no account yet, run import first`);
+      remaining++;
+      continue;
+    }
+    const changes = {};
+    fields.forEach((field) => { changes[field] = admin.firestore.FieldValue.delete(); });
+    await doc.ref.update(changes);
+    console.log(`${doc.id}: password hash removed`);
+  }
+  console.log(`${remaining} user(s) still hold a password hash.`);
+  if (remaining === 0) {
+    // Lets supervisors read their team's user documents (see firestore.rules)
+    await db.collection('settings').doc('config').set({ storedCredentialsRemoved: true }, { merge: true });
+  }
+}
+
+/**
+ * Delete the Auth accounts of users that have no user document.
+ */
+async function pruneDeletedUsers() {
+  const db = admin.firestore();
+  let pageToken;
+  do {
+    const page = await admin.auth().listUsers(1000, pageToken);
+    for (const user of page.users) {
+      if (!user.email || !user.email.endsWith(`@${AUTH_EMAIL_DOMAIN}`)) continue;
+      const username = user.email.split('@')[0];
+      if (!(await db.collection('users').doc(username).get()).exists) {
+        await admin.auth().deleteUser(user.uid);
+        console.log(`${username}: account deleted`);
+      }
+    }
+    pageToken = page.pageToken;
+  } while (pageToken);
+}
+
+const COMMANDS = {
+  import: importLegacyUsers,
+  clean: cleanStoredCredentials,
+  prune: pruneDeletedUsers
+};
+
+const command = COMMANDS[process.argv[2]];
+if (!command) {
+  console.error(`Usage: node scripts/migrate-auth.js <${Object.keys(COMMANDS).join('|')}>`);
+  process.exit(1);
+}
+admin.initializeApp();
+command().then(
+  () => process.exit(0),
+  (err) => {
+    console.error(err);
+    process.exit(1);
+  }
+);